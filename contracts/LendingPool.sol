@@ -2,14 +2,10 @@
 
 pragma solidity ^0.8.18;
 
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
-import {NFTCollateral} from "./NFTCollateral.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import {LendingPoolBase} from "./LendingPoolBase.sol";
 import {VaultAccounting} from "./libraries/VaultAccounting.sol";
 import {PoolStructs} from "./interfaces/PoolStructs.sol";
-import {IFlashLoanReceiver} from "./interfaces/IFlashLoanReceiver.sol";
-import {IFlashAirdropReceiver} from "./interfaces/IFlashAirdropReceiver.sol";
-import {InterestRate} from "./libraries/InterestRate.sol";
-import {Pausable} from "./utils/Pausable.sol";
 import "./libraries/TokenHelper.sol";
 
 /**
@@ -17,110 +13,22 @@ import "./libraries/TokenHelper.sol";
  * @author K.Aymen
  * @notice This contract implements a lending and borrowing protocol with support for ERC20 and NFT collateral.
  * @dev This contract will be owned by the governance who is the only address allowed to: add new vaults, change existing vault setup, pause pool or specific vault.
+ * @dev Implements the EIP-3156 flash lender interface for single token flashloans.
+ * @dev The pool logic is implemented in logic modules (see contracts/modules) executed with delegatecall, to keep the pool under the EIP-170 contract size limit.
  */
-contract LendingPool is Pausable, NFTCollateral {
+contract LendingPool is LendingPoolBase, IERC3156FlashLender {
     using VaultAccounting for PoolStructs.Vault;
-    using InterestRate for PoolStructs.VaultInfo;
     using TokenHelper for address;
 
     //--------------------------------------------------------------------
     /** VARIABLES */
 
-    // ERC20 token => TokenVault
-    mapping(address => PoolStructs.TokenVault) private vaults;
-    // user => token => (colletral, borrow) shares
-    mapping(address => mapping(address => PoolStructs.AccountShares))
-        private userShares;
-    // user => NFT address => tokenId => (liquidator, liquidationTime)
-    mapping(address => mapping(address => mapping(uint256 => PoolStructs.LiquidateWarn)))
-        private nftLiquidationWarning;
-
-    //--------------------------------------------------------------------
-    /** ERRORS */
-
-    error TooHighSlippage(uint256 sharesOutOrAmountIn);
-    error InsufficientBalance();
-    error BelowHeathFactor();
-    error BorrowerIsSolvant();
-    error SelfLiquidation();
-    error InvalidNFTLiquidation(
-        address borrower,
-        address nftAddress,
-        uint256 tokenId
-    );
-    error InvalidFeeRate(uint256 fee);
-    error InvalidReserveRatio(uint256 ratio);
-    error FlashloanPaused(address token);
-    error FlashloanFailed();
-    error FlashAirdropFailed();
-    error NoLiquidateWarn();
-    error WarningDelayHasNotPassed();
-    error MustRepayMoreDebt();
-    error LiquidatorDelayHasNotPassed();
-    error EmptyArray();
-    error ArrayMismatch();
-
-    //--------------------------------------------------------------------
-    /** EVENTS */
-
-    event Deposit(address user, address token, uint256 amount, uint256 shares);
-    event Borrow(address user, address token, uint256 amount, uint256 shares);
-    event Repay(address user, address token, uint256 amount, uint256 shares);
-    event Withdraw(address user, address token, uint256 amount, uint256 shares);
-    event Liquidated(
-        address borrower,
-        address liquidator,
-        uint256 repaidAmount,
-        uint256 liquidatedCollateral,
-        uint256 reward
-    );
-    event UpdateInterestRate(uint256 elapsedTime, uint64 newInterestRate);
-    event AccruedInterest(
-        uint64 interestRatePerSec,
-        uint256 interestEarned,
-        uint256 feesAmount,
-        uint256 feesShare
-    );
-    event FlashloanSuccess(
-        address initiator,
-        address[] tokens,
-        uint256[] amounts,
-        uint256[] fees,
-        bytes data
-    );
-    event FlashAirdropSuccess(
-        address initiator,
-        address nft,
-        uint256[] tokenIds,
-        bytes data
-    );
-    event DepositNFT(address user, address nftAddress, uint256 tokenId);
-    event WithdrawNFT(
-        address user,
-        address recipient,
-        address nftAddress,
-        uint256 tokenId
-    );
-    event LiquidingNFTWarning(
-        address liquidator,
-        address borrower,
-        address nftAddress,
-        uint256 tokenId
-    );
-    event LiquidateNFTStopped(
-        address borrower,
-        address nftAddress,
-        uint256 tokenId
-    );
-    event NFTLiquidated(
-        address liquidator,
-        address borrower,
-        address nftAddress,
-        uint256 tokenId,
-        uint256 totalRepayDebt,
-        uint256 nftBuyPrice
-    );
-    event NewVaultSetup(address token, PoolStructs.VaultSetupParams params);
+    // logic modules executed with delegatecall, they share the pool storage layout (see LendingPoolBase)
+    address private immutable positionModule;
+    address private immutable liquidationModule;
+    address private immutable nftLiquidationModule;
+    address private immutable flashLoanModule;
+    address private immutable adminModule;
 
     //--------------------------------------------------------------------
     /** Constructor */
@@ -130,12 +38,19 @@ contract LendingPool is Pausable, NFTCollateral {
      * @param daiAddress DAI token address.
      * @param daiPriceFeed The address of DAI/USD price feed contract .
      * @param daiVaultParams The parameters for DAI token vault (see PoolStructs.VaultSetupParams).
+     * @param modules The addresses of the deployed logic modules (see PoolStructs.LogicModules).
      */
     constructor(
         address daiAddress,
         address daiPriceFeed,
-        PoolStructs.VaultSetupParams memory daiVaultParams
+        PoolStructs.VaultSetupParams memory daiVaultParams,
+        PoolStructs.LogicModules memory modules
     ) {
+        positionModule = modules.position;
+        liquidationModule = modules.liquidation;
+        nftLiquidationModule = modules.nftLiquidation;
+        flashLoanModule = modules.flashLoan;
+        adminModule = modules.admin;
         _setupVault(
             daiAddress,
             daiPriceFeed,
@@ -143,6 +58,7 @@ contract LendingPool is Pausable, NFTCollateral {
             daiVaultParams,
             true
         );
+        treasury = msg.sender;
     }
 
     /*//////////////////////////////////////////////////////////////
@@ -151,304 +67,161 @@ contract LendingPool is Pausable, NFTCollateral {
 
     /**
      * @notice Allows users to supply ERC20 tokens to the pool.
-     * @dev only supported ERC20 are allowed.
-     * @dev pool or token vault must not be paused.
-     * @param token The ERC20 token address.
-     * @param amount The amount of tokens to supply.
-     * @param minSharesOut The minimum shares to be receive.
+     * @dev see PositionModule.supply.
      */
-    function supply(
-        address token,
-        uint256 amount,
-        uint256 minSharesOut
-    ) external {
-        WhenNotPaused(token);
-        allowedToken(token);
-        _accrueInterest(token);
-
-        token.transferERC20(msg.sender, address(this), amount);
-        uint256 shares = vaults[token].totalAsset.toShares(amount, false);
-        if (shares < minSharesOut) revert TooHighSlippage(shares);
-
-        vaults[token].totalAsset.shares += uint128(shares);
-        vaults[token].totalAsset.amount += uint128(amount);
-        userShares[msg.sender][token].collateral += shares;
-
-        emit Deposit(msg.sender, token, amount, shares);
+    function supply(address, uint256, uint256) external {
+        _delegate(positionModule);
     }
 
     /**
      * @notice Allows users to borrow ERC20 tokens from the pool.
-     * @dev pool or token vault must not be paused.
-     * @dev will revert if pool goes below reserve ratio.
-     * @param token The ERC20 token address.
-     * @param amount The amount of tokens to borrow.
+     * @dev see PositionModule.borrow.
      */
-    function borrow(address token, uint256 amount) external {
-        WhenNotPaused(token);
-        if (!vaultAboveReserveRatio(token, amount))
-            revert InsufficientBalance();
-        _accrueInterest(token);
-
-        uint256 shares = vaults[token].totalBorrow.toShares(amount, false);
-        vaults[token].totalBorrow.shares += uint128(shares);
-        vaults[token].totalBorrow.amount += uint128(amount);
-        userShares[msg.sender][token].borrow += shares;
-
-        token.transferERC20(address(this), msg.sender, amount);
-        if (healthFactor(msg.sender) < MIN_HEALTH_FACTOR)
-            revert BelowHeathFactor();
-
-        emit Borrow(msg.sender, token, amount, shares);
+    function borrow(address, uint256) external {
+        _delegate(positionModule);
     }
 
     /**
      * @notice Allows users to repay borrowed ERC20 tokens to the pool.
-     * @param token The ERC20 token address.
-     * @param amount The amount of tokens to repay, set to type(uint256).max for full repayment.
-     */
-    function repay(address token, uint256 amount) external {
-        _accrueInterest(token);
-        uint256 userBorrowShare = userShares[msg.sender][token].borrow;
-        uint256 shares = vaults[token].totalBorrow.toShares(amount, true);
-        if (amount == type(uint256).max || shares > userBorrowShare) {
-            shares = userBorrowShare;
-            amount = vaults[token].totalBorrow.toAmount(shares, true);
-        }
-        token.transferERC20(msg.sender, address(this), amount);
-        unchecked {
-            vaults[token].totalBorrow.shares -= uint128(shares);
-            vaults[token].totalBorrow.amount -= uint128(amount);
-            userShares[msg.sender][token].borrow = userBorrowShare - shares;
-        }
-        emit Repay(msg.sender, token, amount, shares);
+     * @dev see PositionModule.repay.
+     */
+    function repay(address, uint256) external {
+        _delegate(positionModule);
     }
 
     /**
      * @notice Allows users to withdraw supplied ERC20 tokens.
-     * @param token The ERC20 token address.
-     * @param amount The amount of tokens to withdraw.
-     * @param maxSharesIn The maximum shares to be redeemed for the desired withdraw amount, used as slippage protection.
+     * @dev see PositionModule.withdraw.
      */
-    function withdraw(
-        address token,
-        uint256 amount,
-        uint256 maxSharesIn
-    ) external {
-        _withdraw(token, amount, maxSharesIn, false);
+    function withdraw(address, uint256, uint256) external {
+        _delegate(positionModule);
     }
 
     /**
      * @notice Redeems shares for ERC20 tokens from the lending pool.
-     * @param token The ERC20 token address.
-     * @param shares The amount of shares to redeem.
-     * @param minAmountOut The minimum amount to be received for the shares redeemed, used as slippage protection.
+     * @dev see PositionModule.redeem.
      */
-    function redeem(
-        address token,
-        uint256 shares,
-        uint256 minAmountOut
-    ) external {
-        _withdraw(token, shares, minAmountOut, true);
+    function redeem(address, uint256, uint256) external {
+        _delegate(positionModule);
     }
 
     /**
      * @notice Allows users to liquidate unsolvent borrower.
-     * @dev borrower must be below min HF.
-     * @dev full liquidation is only allowed if borrower HF is below ´CLOSE_FACTOR_HF_THRESHOLD´ otherwise can only repay uo to 50% of borrower debts.
-     * @param account The borrower's address.
-     * @param collateral The collateral asset address.
-     * @param userBorrowToken The token the borrower has borrowed.
-     * @param amountToLiquidate The amount to liquidate.
-     */
-    function liquidate(
-        address account,
-        address collateral,
-        address userBorrowToken,
-        uint256 amountToLiquidate
-    ) external {
-        if (msg.sender == account) revert SelfLiquidation();
-        uint256 accountHF = healthFactor(account);
-        if (accountHF >= MIN_HEALTH_FACTOR) revert BorrowerIsSolvant();
-
-        uint256 collateralShares = userShares[account][collateral].collateral;
-        uint256 borrowShares = userShares[account][userBorrowToken].borrow;
-        if (collateralShares == 0 || borrowShares == 0) return;
-        {
-            uint256 totalBorrowAmount = vaults[userBorrowToken]
-                .totalBorrow
-                .toAmount(borrowShares, true);
-
-            // if HF is above CLOSE_FACTOR_HF_THRESHOLD allow only partial liquidation
-            // else full liquidation is possible
-            uint256 maxBorrowAmountToLiquidate = accountHF >=
-                CLOSE_FACTOR_HF_THRESHOLD
-                ? (totalBorrowAmount * DEFAULT_LIQUIDATION_CLOSE_FACTOR) / BPS
-                : totalBorrowAmount;
-            amountToLiquidate = amountToLiquidate > maxBorrowAmountToLiquidate
-                ? maxBorrowAmountToLiquidate
-                : amountToLiquidate;
-        }
-
-        uint256 collateralAmountToLiquidate;
-        uint256 liquidationReward;
-        {
-            // avoid stack too deep error
-            address user = account;
-            address borrowToken = userBorrowToken;
-            address collToken = collateral;
-            uint256 liquidationAmount = amountToLiquidate;
-
-            uint256 _userTotalCollateralAmount = vaults[collToken]
-                .totalAsset
-                .toAmount(collateralShares, false);
-
-            uint256 collateralPrice = getTokenPrice(collToken);
-            uint256 borrowTokenPrice = getTokenPrice(borrowToken);
-            uint8 collateralDecimals = collToken.tokenDecimals();
-            uint8 borrowTokenDecimals = borrowToken.tokenDecimals();
-
-            collateralAmountToLiquidate =
-                (liquidationAmount *
-                    borrowTokenPrice *
-                    10 ** collateralDecimals) /
-                (collateralPrice * 10 ** borrowTokenDecimals);
-            uint256 maxLiquidationReward = (collateralAmountToLiquidate *
-                LIQUIDATION_REWARD) / BPS;
-            if (collateralAmountToLiquidate > _userTotalCollateralAmount) {
-                collateralAmountToLiquidate = _userTotalCollateralAmount;
-                liquidationAmount =
-                    ((_userTotalCollateralAmount *
-                        collateralPrice *
-                        10 ** borrowTokenDecimals) / borrowTokenPrice) *
-                    10 ** collateralDecimals;
-                amountToLiquidate = liquidationAmount;
-            } else {
-                uint256 collateralBalanceAfter = _userTotalCollateralAmount -
-                    collateralAmountToLiquidate;
-                liquidationReward = maxLiquidationReward >
-                    collateralBalanceAfter
-                    ? collateralBalanceAfter
-                    : maxLiquidationReward;
-            }
+     * @dev see LiquidationModule.liquidate.
+     */
+    function liquidate(address, address, address, uint256) external {
+        _delegate(liquidationModule);
+    }
 
-            // Update borrow vault
-            uint128 repaidBorrowShares = uint128(
-                vaults[borrowToken].totalBorrow.toShares(
-                    liquidationAmount,
-                    false
-                )
-            );
-            vaults[borrowToken].totalBorrow.shares -= repaidBorrowShares;
-            vaults[borrowToken].totalBorrow.amount -= uint128(
-                liquidationAmount
-            );
-
-            // Update collateral vault
-            uint128 liquidatedCollShares = uint128(
-                vaults[collToken].totalAsset.toShares(
-                    collateralAmountToLiquidate + liquidationReward,
-                    false
-                )
-            );
-            vaults[collToken].totalAsset.shares -= liquidatedCollShares;
-            vaults[collToken].totalAsset.amount -= uint128(
-                collateralAmountToLiquidate + liquidationReward
-            );
-            // Update borrower collateral and borrow shares
-            userShares[user][borrowToken].borrow -= repaidBorrowShares;
-            userShares[user][collToken].collateral -= liquidatedCollShares;
-        }
+    /**
+     * @notice Allows users to liquidate many borrows of an unsolvent borrower in a single call.
+     * @dev see LiquidationModule.liquidateBatch.
+     */
+    function liquidateBatch(
+        address,
+        address[] calldata,
+        uint256[] calldata,
+        address[] calldata
+    ) external {
+        _delegate(liquidationModule);
+    }
 
-        // Repay borrowed amount
-        userBorrowToken.transferERC20(
-            msg.sender,
-            address(this),
-            amountToLiquidate
-        );
-        // Transfer collateral & liquidation reward to liquidator
-        collateral.transferERC20(
-            address(this),
-            msg.sender,
-            collateralAmountToLiquidate + liquidationReward
-        );
+    /**
+     * @notice Writes off the debt of an insolvent borrower that has no collateral left (or only dust collateral).
+     * @dev see LiquidationModule.realizeBadDebt.
+     */
+    function realizeBadDebt(address) external {
+        _delegate(liquidationModule);
+    }
 
-        emit Liquidated(
-            account,
-            msg.sender,
-            amountToLiquidate,
-            collateralAmountToLiquidate + liquidationReward,
-            liquidationReward
-        );
+    /**
+     * @notice Pauses a token vault if its price is outside of its governance configured bounds.
+     * @dev see PositionModule.checkPriceBounds.
+     */
+    function checkPriceBounds(address) external returns (bool) {
+        _delegate(positionModule);
     }
 
     /**
      * @notice Allow users to flashloan supported tokens.
-     * @dev must pay flashloan fees to this contract.
-     * @param receiverAddress address that receive flashloaned tokens amounts.
-     * @param tokens array of tokens addresses to be borrowed.
-     * @param amounts array of tokens amounts to be borrowed.
-     * @param data contain user-defined parameters.
+     * @dev see FlashLoanModule.flashloan.
      */
     function flashloan(
-        address receiverAddress,
-        address[] calldata tokens,
-        uint256[] calldata amounts,
-        bytes calldata data
+        address,
+        address[] calldata,
+        uint256[] calldata,
+        bytes calldata
     ) external {
-        if (tokens.length == 0) revert EmptyArray();
-        if (tokens.length != amounts.length) revert ArrayMismatch();
+        _delegate(flashLoanModule);
+    }
 
-        IFlashLoanReceiver receiver = IFlashLoanReceiver(receiverAddress);
-        uint256[] memory fees = new uint256[](tokens.length);
-        for (uint256 i; i < tokens.length; ) {
-            if (maxFlashLoan(tokens[i]) == 0) revert FlashloanPaused(tokens[i]);
-            fees[i] = flashFee(tokens[i], amounts[i]);
-            tokens[i].transferERC20(address(this), receiverAddress, amounts[i]);
-            unchecked {
-                ++i;
-            }
-        }
-        if (!receiver.onFlashLoan(msg.sender, tokens, amounts, fees, data))
-            revert FlashloanFailed();
+    /**
+     * @notice EIP-3156 flashloan of a single supported token.
+     * @dev see FlashLoanModule.flashLoan.
+     */
+    function flashLoan(
+        IERC3156FlashBorrower,
+        address,
+        uint256,
+        bytes calldata
+    ) external returns (bool) {
+        _delegate(flashLoanModule);
+    }
 
-        uint256 amountPlusFee;
-        for (uint256 i; i < tokens.length; ) {
-            amountPlusFee = amounts[i] + fees[i];
-            tokens[i].transferERC20(
-                receiverAddress,
-                address(this),
-                amountPlusFee
-            );
-            vaults[tokens[i]].totalAsset.amount += uint128(fees[i]);
-            unchecked {
-                ++i;
-            }
-        }
+    /**
+     * @notice Allows borrowers to repay their debt with their own collateral in a single call.
+     * @dev see FlashLoanModule.deleverage.
+     */
+    function deleverage(
+        address,
+        uint256,
+        address,
+        uint256,
+        address,
+        bytes calldata
+    ) external {
+        _delegate(flashLoanModule);
+    }
 
-        emit FlashloanSuccess(msg.sender, tokens, amounts, fees, data);
+    /**
+     * @notice Allows users to swap a supplied ERC20 collateral into another one without repaying their debt.
+     * @dev see FlashLoanModule.swapCollateral.
+     */
+    function swapCollateral(
+        address,
+        address,
+        uint256,
+        address,
+        bytes calldata,
+        uint256
+    ) external {
+        _delegate(flashLoanModule);
+    }
+
+    /**
+     * @notice Allows users to move a debt from one ERC20 token to another without repaying it first.
+     * @dev see FlashLoanModule.swapDebt.
+     */
+    function swapDebt(address, address, uint256, address, uint256) external {
+        _delegate(flashLoanModule);
     }
 
     /**
      * @notice Accrue interest for a specific ERC20 token.
-     * @param token The ERC20 token address.
-     * @return _interestEarned The interest earned.
-     * @return _feesAmount The fees amount accrued for the protocol.
-     * @return _feesShare The fees shares accrued for the protocol.
-     * @return _newRate The new interest rate.
+     * @dev see PositionModule.accrueInterest.
      */
     function accrueInterest(
-        address token
-    )
-        external
-        returns (
-            uint256 _interestEarned,
-            uint256 _feesAmount,
-            uint256 _feesShare,
-            uint64 _newRate
-        )
-    {
-        return _accrueInterest(token);
+        address
+    ) external returns (uint256, uint256, uint256, uint64) {
+        _delegate(positionModule);
+    }
+
+    /**
+     * @notice Allows users to opt into an e-mode category (or leave it by giving 0).
+     * @dev see PositionModule.setUserEMode.
+     */
+    function setUserEMode(uint8) external {
+        _delegate(positionModule);
     }
 
     /*//////////////////////////////////////////////////////////////
@@ -457,222 +230,150 @@ contract LendingPool is Pausable, NFTCollateral {
 
     /**
      * @notice Allows users to deposit NFT as collateral.
-     * @dev NFT must be supported by the pool.
-     * @dev can only deposit when lending pool is not paused.
-     * @param nftAddress The address of the NFT contract.
-     * @param tokenId The ID of the NFT to deposit.
+     * @dev see PositionModule.depositNFT.
      */
-    function depositNFT(address nftAddress, uint256 tokenId) external {
-        WhenNotPaused(address(0)); // pool is not paused
-        _depositNFT(nftAddress, tokenId);
-        emit DepositNFT(msg.sender, nftAddress, tokenId);
+    function depositNFT(address, uint256) external {
+        _delegate(positionModule);
     }
 
     /**
      * @notice Allows users to withdraw deposited NFT collateral.
-     * @dev must remain above min HF after withdrawal.
-     * @param recipient The address of the NFT receiver.
-     * @param nftAddress The address of the NFT contract.
-     * @param tokenId The ID of the NFT to withdraw.
+     * @dev see PositionModule.withdrawNFT.
      */
-    function withdrawNFT(
-        address recipient,
-        address nftAddress,
-        uint256 tokenId
-    ) external {
-        _withdrawNFT(msg.sender, recipient, nftAddress, tokenId);
-        if (healthFactor(msg.sender) < MIN_HEALTH_FACTOR)
-            revert BelowHeathFactor();
-        emit WithdrawNFT(msg.sender, recipient, nftAddress, tokenId);
+    function withdrawNFT(address, address, uint256) external {
+        _delegate(positionModule);
     }
 
     /**
-     * @notice Start an NFT collateral liquidation.
-     * @dev will not liquidate NFT.
-     * @dev will emit a warning and give a delay to the borrower to increase HF to avoid NFT liquidation.
-     * @dev caller will be give right to liquidate if warning delay has passed and borrower is still unsolvent.
-     * @param account The address of the borrower to liquidate.
-     * @param nftAddress The address of the NFT contract.
-     * @param tokenId The ID of the NFT to liquidate.
+     * @notice Allows users to deposit many NFTs from different collections in one transaction.
+     * @dev see PositionModule.depositNFTs.
      */
-    function triggerNFTLiquidation(
-        address account,
-        address nftAddress,
-        uint256 tokenId
+    function depositNFTs(address[] calldata, uint256[][] calldata) external {
+        _delegate(positionModule);
+    }
+
+    /**
+     * @notice Allows users to withdraw many deposited NFTs from different collections in one transaction.
+     * @dev see PositionModule.withdrawNFTs.
+     */
+    function withdrawNFTs(
+        address,
+        address[] calldata,
+        uint256[][] calldata
     ) external {
-        if (!hasDepositedNFT(account, nftAddress, tokenId)) revert InvalidNFT();
-        uint256 totalTokenCollateralValue = getUserTotalTokenCollateral(
-            account
-        );
-        // NFT is liquidatable if HF < MIN_HEALTH_FACTOR && totalTokenCollateralValue == 0
-        if (
-            healthFactor(account) >= MIN_HEALTH_FACTOR ||
-            totalTokenCollateralValue != 0
-        ) revert InvalidNFTLiquidation(account, nftAddress, tokenId);
-
-        PoolStructs.LiquidateWarn storage warning = nftLiquidationWarning[
-            account
-        ][nftAddress][tokenId];
-        warning.liquidator = msg.sender;
-        warning.liquidationTimestamp = uint64(
-            block.timestamp + NFT_WARNING_DELAY
-        );
+        _delegate(positionModule);
+    }
+
+    /**
+     * @notice Allows users to deposit ERC1155 tokens as collateral.
+     * @dev see PositionModule.depositERC1155.
+     */
+    function depositERC1155(address, uint256, uint256) external {
+        _delegate(positionModule);
+    }
+
+    /**
+     * @notice Allows users to withdraw deposited ERC1155 collateral.
+     * @dev see PositionModule.withdrawERC1155.
+     */
+    function withdrawERC1155(address, address, uint256, uint256) external {
+        _delegate(positionModule);
+    }
 
-        emit LiquidingNFTWarning(msg.sender, account, nftAddress, tokenId);
+    /**
+     * @notice Start an NFT collateral liquidation.
+     * @dev see NFTLiquidationModule.triggerNFTLiquidation.
+     */
+    function triggerNFTLiquidation(address, address, uint256) external {
+        _delegate(nftLiquidationModule);
     }
 
     /**
      * @notice Stop an NFT collateral liquidation.
-     * @dev callable by anyone
-     * @dev borrower must be above minimum HF.
-     * @param account The address of the borrower getting liquidated.
-     * @param nftAddress The address of the NFT contract.
-     * @param tokenId The ID of the NFT being liquidated.
+     * @dev see NFTLiquidationModule.stopNFTLiquidation.
      */
-    function stopNFTLiquidation(
-        address account,
-        address nftAddress,
-        uint256 tokenId
-    ) external {
-        if (healthFactor(account) < MIN_HEALTH_FACTOR)
-            revert BelowHeathFactor();
-        delete nftLiquidationWarning[account][nftAddress][tokenId];
-        emit LiquidateNFTStopped(account, nftAddress, tokenId);
+    function stopNFTLiquidation(address, address, uint256) external {
+        _delegate(nftLiquidationModule);
     }
 
     /**
      * @notice execute NFT liquidation.
-     * @param account The address of the borrower getting liquidated.
-     * @param nftAddress The address of the NFT contract.
-     * @param tokenId The ID of the NFT being liquidated.
+     * @dev see NFTLiquidationModule.executeNFTLiquidation.
      */
     function executeNFTLiquidation(
-        address account,
-        address nftAddress,
-        uint256 tokenId,
-        address[] calldata repayTokens,
-        uint256[] calldata repayAmounts
+        address,
+        address,
+        uint256,
+        address[] calldata,
+        uint256[] calldata
     ) external {
-        if (repayTokens.length == 0) revert EmptyArray();
-        if (repayTokens.length != repayAmounts.length) revert ArrayMismatch();
-        canLiquidateNFT(account, nftAddress, tokenId);
-
-        uint256 totalDebtValue = getUserTotalBorrow(account);
-        uint256 nftFloorPrice = getTokenPrice(nftAddress);
-        uint256 totalRepaidDebtValue;
-        {
-            // avoid stack too deep
-            address borrower = account;
-            address token;
-            uint256 amount;
-            uint256 borrowShares;
-            for (uint256 i; i < repayTokens.length; ) {
-                token = repayTokens[i];
-                amount = repayAmounts[i];
-                _accrueInterest(token);
-                borrowShares = vaults[token].totalBorrow.toShares(amount, true);
-                // repay borrower debt from liquidator
-                token.transferERC20(msg.sender, address(this), amount);
-                // update borrow vault
-                vaults[token].totalBorrow.shares -= uint128(borrowShares);
-                vaults[token].totalBorrow.amount -= uint128(amount);
-
-                // update borrower shares
-                userShares[borrower][token].borrow -= uint128(borrowShares);
-
-                // increase total debt repaid value
-                totalRepaidDebtValue += getAmountInUSD(token, amount);
-                unchecked {
-                    ++i;
-                }
-            }
-
-            // must repay at least debt equivalent of half NFT value
-            if (
-                totalDebtValue > nftFloorPrice &&
-                totalRepaidDebtValue <
-                (nftFloorPrice * DEFAULT_LIQUIDATION_CLOSE_FACTOR) / BPS
-            ) revert MustRepayMoreDebt();
-        }
+        _delegate(nftLiquidationModule);
+    }
 
-        uint256 nftBuyPrice;
-        {
-            // avoid stack too deep
-            address borrower = account;
-            // liquidator will pay less to buy NFT
-            // must deduct repaidDebtValue and liquidator bonus from NFT price
-            uint256 totalLiquidatorDiscount = (totalRepaidDebtValue *
-                (BPS + NFT_LIQUIDATION_DISCOUNT)) / BPS;
-            nftBuyPrice = nftFloorPrice - totalLiquidatorDiscount;
-
-            address DAI = supportedERC20s[0];
-            // but NFT with discounted price, DAI is used for payment
-            DAI.transferERC20(msg.sender, address(this), nftBuyPrice);
-
-            // supply remaining DAI onbehalf of borrower
-            uint256 shares = vaults[DAI].totalAsset.toShares(
-                nftBuyPrice,
-                false
-            );
-            vaults[DAI].totalAsset.shares += uint128(shares);
-            vaults[DAI].totalAsset.amount += uint128(nftBuyPrice);
-            userShares[borrower][DAI].collateral += shares;
-        }
+    /**
+     * @notice Start an english auction for a liquidated NFT.
+     * @dev see NFTLiquidationModule.startNFTAuction.
+     */
+    function startNFTAuction(address, address, uint256) external {
+        _delegate(nftLiquidationModule);
+    }
 
-        // transfer NFT to liquidator
-        _withdrawNFT(account, msg.sender, nftAddress, tokenId);
+    /**
+     * @notice Bid on a liquidated NFT auction, DAI is used for payment.
+     * @dev see NFTLiquidationModule.bidNFTAuction.
+     */
+    function bidNFTAuction(address, address, uint256, uint256) external {
+        _delegate(nftLiquidationModule);
+    }
 
-        emit NFTLiquidated(
-            msg.sender,
-            account,
-            nftAddress,
-            tokenId,
-            totalRepaidDebtValue,
-            nftBuyPrice
-        );
+    /**
+     * @notice Settle an ended NFT auction, callable by anyone.
+     * @dev see NFTLiquidationModule.settleNFTAuction.
+     */
+    function settleNFTAuction(
+        address,
+        address,
+        uint256,
+        address[] calldata,
+        uint256[] calldata
+    ) external {
+        _delegate(nftLiquidationModule);
     }
 
     /**
      * @notice Allow NFT depositor to flashloan NFT to claim airdrop.
-     * @param receiverAddress address that receive flashloaned tokens amounts.
-     * @param nftAddress address of the NFT collection.
-     * @param tokenIds array of tokens Ids to be flashloaned.
-     * @param data contain user-defined parameters.
+     * @dev see FlashLoanModule.flashAirdrop.
      */
     function flashAirdrop(
-        address receiverAddress,
-        address nftAddress,
-        uint256[] calldata tokenIds,
-        bytes calldata data
+        address,
+        address,
+        uint256[] calldata,
+        bytes calldata
     ) external {
-        if (tokenIds.length == 0) revert EmptyArray();
-        IFlashAirdropReceiver receiver = IFlashAirdropReceiver(receiverAddress);
-        for (uint256 i; i < tokenIds.length; ) {
-            if (!hasDepositedNFT(msg.sender, nftAddress, tokenIds[i]))
-                revert InvalidNFT();
-            IERC721(nftAddress).safeTransferFrom(
-                address(this),
-                receiverAddress,
-                tokenIds[i]
-            );
-            unchecked {
-                ++i;
-            }
-        }
-        if (!receiver.onFlashLoan(msg.sender, nftAddress, tokenIds, data))
-            revert FlashAirdropFailed();
-
-        for (uint256 i; i < tokenIds.length; ) {
-            IERC721(nftAddress).safeTransferFrom(
-                receiverAddress,
-                address(this),
-                tokenIds[i]
-            );
-            unchecked {
-                ++i;
-            }
-        }
-        emit FlashAirdropSuccess(msg.sender, nftAddress, tokenIds, data);
+        _delegate(flashLoanModule);
+    }
+
+    /**
+     * @notice Allow anyone to flashloan the NFTs of a depositor that lends them for airdrop claims.
+     * @dev see FlashLoanModule.rentFlashAirdrop.
+     */
+    function rentFlashAirdrop(
+        address,
+        address,
+        address,
+        uint256[] calldata,
+        uint256,
+        bytes calldata
+    ) external {
+        _delegate(flashLoanModule);
+    }
+
+    /**
+     * @notice Allow NFT depositor to lend its deposited NFTs of a collection to third parties for airdrop claims.
+     * @dev see PositionModule.setNFTRentalFee.
+     */
+    function setNFTRentalFee(address, uint256) external {
+        _delegate(positionModule);
     }
 
     /**
@@ -681,7 +382,7 @@ contract LendingPool is Pausable, NFTCollateral {
      * borrower must be below min health factor.
      * liquidation warning must have been emitted.
      * liquidation warning delay gas passed.
-     * liquidator that triggered the warning will have 5 minutes to liquidate after that anyone will be able to liquidate NFT.
+     * liquidator that triggered the warning will have the collection liquidator delay to liquidate after that anyone will be able to liquidate NFT.
      * @param account The address of the account.
      * @param nftAddress The address of the NFT contract.
      * @param tokenId The ID of the NFT.
@@ -690,20 +391,8 @@ contract LendingPool is Pausable, NFTCollateral {
         address account,
         address nftAddress,
         uint256 tokenId
-    ) public view {
-        if (healthFactor(account) >= MIN_HEALTH_FACTOR)
-            revert BorrowerIsSolvant();
-        PoolStructs.LiquidateWarn storage warning = nftLiquidationWarning[
-            account
-        ][nftAddress][tokenId];
-        if (warning.liquidator == address(0)) revert NoLiquidateWarn();
-        if (block.timestamp <= warning.liquidationTimestamp)
-            revert WarningDelayHasNotPassed();
-        if (
-            block.timestamp <=
-            warning.liquidationTimestamp + NFT_LIQUIDATOR_DELAY &&
-            msg.sender != warning.liquidator
-        ) revert LiquidatorDelayHasNotPassed();
+    ) external view {
+        return nftLiquidatable(account, nftAddress, tokenId);
     }
 
     /*//////////////////////////////////////////////////////////////
@@ -725,9 +414,9 @@ contract LendingPool is Pausable, NFTCollateral {
             uint256 totalBorrowValue
         )
     {
-        totalTokenCollateral = getUserTotalTokenCollateral(user);
-        totalNFTCollateral = getUserNFTCollateralValue(user);
-        totalBorrowValue = getUserTotalBorrow(user);
+        totalTokenCollateral = userTotalTokenCollateral(user);
+        totalNFTCollateral = userNFTCollateralValue(user);
+        totalBorrowValue = userTotalBorrow(user);
     }
 
     /**
@@ -736,21 +425,8 @@ contract LendingPool is Pausable, NFTCollateral {
      */
     function getUserTotalTokenCollateral(
         address user
-    ) public view returns (uint256 totalValueUSD) {
-        uint256 len = supportedERC20s.length;
-        for (uint256 i; i < len; ) {
-            address token = supportedERC20s[i];
-            uint256 tokenAmount = vaults[token].totalAsset.toAmount(
-                userShares[user][token].collateral,
-                false
-            );
-            if (tokenAmount != 0) {
-                totalValueUSD += getAmountInUSD(token, tokenAmount);
-            }
-            unchecked {
-                ++i;
-            }
-        }
+    ) external view returns (uint256 totalValueUSD) {
+        return userTotalTokenCollateral(user);
     }
 
     /**
@@ -760,44 +436,318 @@ contract LendingPool is Pausable, NFTCollateral {
 
     function getUserNFTCollateralValue(
         address user
-    ) public view returns (uint256 totalValueUSD) {
-        uint256 len = supportedNFTs.length;
-        for (uint256 i; i < len; ) {
-            address nftAddress = supportedNFTs[i];
-            uint256 userDepositedNFTs = getDepositedNFTCount(user, nftAddress);
-            if (userDepositedNFTs != 0) {
-                uint256 nftFloorPrice = getTokenPrice(nftAddress);
-                totalValueUSD += nftFloorPrice * userDepositedNFTs;
+    ) external view returns (uint256 totalValueUSD) {
+        return userNFTCollateralValue(user);
+    }
+
+    /**
+     * @dev Calculates the USD value of all tokens and NFTs collateral for a user, weighted by each asset collateral factors.
+     * @dev uses the e-mode category factors for the category collateral if user e-mode is active.
+     * @param user The address of the user.
+     * @return borrowLimitValue The collateral value weighted by each asset loan-to-value, max debt the user can take.
+     * @return liquidationThresholdValue The collateral value weighted by each asset liquidation threshold, used for health factor.
+     */
+    function getUserWeightedCollateral(
+        address user
+    )
+        external
+        view
+        returns (uint256 borrowLimitValue, uint256 liquidationThresholdValue)
+    {
+        return userWeightedCollateral(user);
+    }
+
+    /**
+     * @dev Calculates the remaining USD value a user can borrow for each supported ERC20 token.
+     * @dev the capacity of each token is capped by the vault available liquidity (above reserve ratio) and its remaining borrow cap.
+     * @dev frozen tokens and paused vaults have no capacity as they can't be borrowed.
+     * @param user The address of the user.
+     * @return tokens The list of supported ERC20 tokens.
+     * @return capacitiesUSD The remaining borrowable USD value for each token.
+     */
+    function getBorrowCapacity(
+        address user
+    )
+        external
+        view
+        returns (address[] memory tokens, uint256[] memory capacitiesUSD)
+    {
+        (uint256 borrowLimitValue, ) = userWeightedCollateral(user);
+        uint256 totalBorrowValue = userTotalBorrow(user);
+        uint256 remainingValue = borrowLimitValue > totalBorrowValue
+            ? borrowLimitValue - totalBorrowValue
+            : 0;
+
+        tokens = supportedERC20s;
+        capacitiesUSD = new uint256[](tokens.length);
+        for (uint256 i; i < tokens.length; ) {
+            if (
+                !supportedTokens[tokens[i]].frozen && !pausedStatus(tokens[i])
+            ) {
+                uint256 minVaultReserve = (vaults[tokens[i]].totalAsset.amount *
+                    vaults[tokens[i]].vaultInfo.reserveRatio) / BPS;
+                uint256 balance = vaultBalance(tokens[i]);
+                uint256 available = balance > minVaultReserve
+                    ? balance - minVaultReserve
+                    : 0;
+                uint256 capHeadroom = borrowCapHeadroom(tokens[i]);
+                if (available > capHeadroom) available = capHeadroom;
+                uint256 liquidityValue = available != 0
+                    ? amountInUSD(tokens[i], available)
+                    : 0;
+                capacitiesUSD[i] = remainingValue > liquidityValue
+                    ? liquidityValue
+                    : remainingValue;
             }
             unchecked {
                 ++i;
             }
         }
+
+        // in isolation mode user can only borrow allowed tokens up to the debt ceiling
+        address isolatedCollateral = userIsolatedCollateral(user);
+        if (isolatedCollateral != address(0)) {
+            uint256 debtCeiling = supportedTokens[isolatedCollateral]
+                .debtCeiling;
+            uint256 totalDebt = isolationModeTotalDebt[isolatedCollateral];
+            uint256 remainingDebt = debtCeiling > totalDebt
+                ? debtCeiling - totalDebt
+                : 0;
+            for (uint256 i; i < tokens.length; ) {
+                if (!vaults[tokens[i]].vaultInfo.borrowableInIsolation) {
+                    capacitiesUSD[i] = 0;
+                } else {
+                    uint256 remainingDebtValue = amountInUSD(
+                        tokens[i],
+                        remainingDebt / 10 ** (18 - tokens[i].tokenDecimals())
+                    );
+                    if (capacitiesUSD[i] > remainingDebtValue)
+                        capacitiesUSD[i] = remainingDebtValue;
+                }
+                unchecked {
+                    ++i;
+                }
+            }
+        }
     }
 
     /**
-     * @dev Calculates the total borrowed USD value for a user.
+     * @dev Returns the isolated token used as collateral by a user, user is then in isolation mode.
      * @param user The address of the user.
+     * @return The isolated token address, address(0) if user is not in isolation mode.
      */
-    function getUserTotalBorrow(
+    function getUserIsolatedCollateral(
         address user
-    ) public view returns (uint256 totalValueUSD) {
+    ) external view returns (address) {
+        return userIsolatedCollateral(user);
+    }
+
+    /**
+     * @dev Obtain the liquidation params of a supported ERC20 token or NFT collection.
+     * @param token The address of the token.
+     */
+    function getLiquidationParams(
+        address token
+    ) external view returns (PoolStructs.LiquidationParams memory) {
+        return liquidationParams[token];
+    }
+
+    /**
+     * @dev Returns the cumulative protocol liquidation fees collected in a token.
+     * @param token The address of the ERC20 token.
+     */
+    function getLiquidationRevenue(
+        address token
+    ) external view returns (uint256) {
+        return liquidationRevenue[token];
+    }
+
+    /**
+     * @dev Obtain a liquidated NFT auction.
+     * @param account The address of the liquidated borrower.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT.
+     */
+    function getNFTAuction(
+        address account,
+        address nftAddress,
+        uint256 tokenId
+    ) external view returns (PoolStructs.NFTAuction memory) {
+        return nftAuctions[account][nftAddress][tokenId];
+    }
+
+    /**
+     * @dev Returns the cumulative bad debt written off for each supported ERC20 vault.
+     * @return tokens The list of supported ERC20 tokens.
+     * @return amounts The written off debt amount for each token.
+     */
+    function getBadDebts()
+        external
+        view
+        returns (address[] memory tokens, uint256[] memory amounts)
+    {
         uint256 len = supportedERC20s.length;
+        tokens = supportedERC20s;
+        amounts = new uint256[](len);
         for (uint256 i; i < len; ) {
-            address token = supportedERC20s[i];
-            uint256 tokenAmount = vaults[token].totalBorrow.toAmount(
-                userShares[user][token].borrow,
-                false
-            );
-            if (tokenAmount != 0) {
-                totalValueUSD += getAmountInUSD(token, tokenAmount);
-            }
+            amounts[i] = badDebt[tokens[i]];
             unchecked {
                 ++i;
             }
         }
     }
 
+    /**
+     * @dev Returns the flash fee discount of a flash borrower (BPS = fee exempt).
+     * @param borrower The flash borrower address.
+     */
+    function getFlashFeeDiscount(
+        address borrower
+    ) external view returns (uint256) {
+        return flashFeeDiscounts[borrower];
+    }
+
+    /**
+     * @dev Returns the token vault flashloan limit as a share of its total assets (0 = no limit).
+     * @param token The ERC20 token address.
+     */
+    function getFlashLoanLimit(address token) external view returns (uint256) {
+        return flashLoanLimits[token];
+    }
+
+    /**
+     * @dev Returns the DAI fee paid to a depositor for each of its flashloaned NFTs (0 if not lent).
+     * @param depositor The address of the NFTs depositor.
+     * @param nftAddress address of the NFT collection.
+     */
+    function getNFTRentalFee(
+        address depositor,
+        address nftAddress
+    ) external view returns (uint256) {
+        return nftRentalFees[depositor][nftAddress][tokenListings[nftAddress]];
+    }
+
+    /**
+     * @dev Returns the fallback price source of a token.
+     * @param token The address of the token.
+     */
+    function getFallbackOracle(
+        address token
+    ) external view returns (PoolStructs.FallbackOracle memory) {
+        return fallbackOracles[token];
+    }
+
+    /**
+     * @dev Returns the governance pushed price of a token and its update time.
+     * @param token The address of the token.
+     */
+    function getGovernancePrice(
+        address token
+    ) external view returns (PoolStructs.GovernancePrice memory) {
+        return governancePrices[token];
+    }
+
+    /**
+     * @dev Returns the price feed change proposed for a token and the time it can be executed.
+     * @param token The address of the token.
+     */
+    function getPendingPriceFeed(
+        address token
+    ) external view returns (PoolStructs.PendingPriceFeed memory) {
+        return pendingPriceFeeds[token];
+    }
+
+    /**
+     * @dev Returns the fallback source change proposed for a token and the time it can be executed.
+     * @param token The address of the token.
+     */
+    function getPendingFallbackOracle(
+        address token
+    ) external view returns (PoolStructs.PendingFallbackOracle memory) {
+        return pendingFallbackOracles[token];
+    }
+
+    /**
+     * @dev Returns the price bounds of a token (circuit breaker).
+     * @param token The address of the token.
+     */
+    function getPriceBounds(
+        address token
+    ) external view returns (PoolStructs.PriceBounds memory) {
+        return priceBounds[token];
+    }
+
+    /**
+     * @dev Returns the L2 sequencer uptime feed and its grace period (feed is zero address if not checked).
+     */
+    function getSequencerUptimeFeed()
+        external
+        view
+        returns (address feed, uint256 gracePeriod)
+    {
+        return (sequencerUptimeFeed, sequencerGracePeriod);
+    }
+
+    /**
+     * @dev Returns the address receiving the protocol fees claimed with claimAllProtocolFees.
+     */
+    function getTreasury() external view returns (address) {
+        return treasury;
+    }
+
+    /**
+     * @dev Returns the e-mode category chosen by a user.
+     * @param user The address of the user.
+     * @return categoryId The user e-mode category id, 0 if none.
+     * @return active Whether category factors currently apply (all user borrows are inside the category).
+     */
+    function getUserEMode(
+        address user
+    ) external view returns (uint8 categoryId, bool active) {
+        categoryId = userEMode[user];
+        active = categoryId != 0 && activeEModeCategory(user) == categoryId;
+    }
+
+    /**
+     * @dev Obtain the configuration of an e-mode category.
+     * @param categoryId The e-mode category id.
+     */
+    function getEModeCategory(
+        uint8 categoryId
+    ) external view returns (PoolStructs.EModeCategory memory) {
+        return eModeCategories[categoryId];
+    }
+
+    /**
+     * @dev Returns the total debt borrowed against an isolated token, as borrowed amounts scaled to 18 decimals.
+     * @param token The address of the isolated token.
+     */
+    function getIsolationModeTotalDebt(
+        address token
+    ) external view returns (uint256) {
+        return isolationModeTotalDebt[token];
+    }
+
+    /**
+     * @dev Returns the isolated token a user borrowed against and its debt counted in the token debt ceiling.
+     * @param user The address of the user.
+     */
+    function getUserIsolatedDebt(
+        address user
+    ) external view returns (PoolStructs.IsolatedDebt memory) {
+        return userIsolatedDebt[user];
+    }
+
+    /**
+     * @dev Calculates the total borrowed USD value for a user.
+     * @param user The address of the user.
+     */
+    function getUserTotalBorrow(
+        address user
+    ) external view returns (uint256 totalValueUSD) {
+        return userTotalBorrow(user);
+    }
+
     /**
      * @dev Returns the collateral and borrow shares for a specific token and user.
      * @param user The address of the user.
@@ -817,23 +767,11 @@ contract LendingPool is Pausable, NFTCollateral {
 
     /**
      * @dev Calculates the health factor of a user.
+     * @dev each collateral asset is weighted by its own liquidation threshold.
      * @param user The address of the user.
      */
-    function healthFactor(address user) public view returns (uint256 factor) {
-        (
-            uint256 totalTokenCollateral,
-            uint256 totalNFTCollateral,
-            uint256 totalBorrowValue
-        ) = getUserData(user);
-
-        uint256 userTotalCollateralValue = totalTokenCollateral +
-            totalNFTCollateral;
-        if (totalBorrowValue == 0) return 100 * MIN_HEALTH_FACTOR;
-        uint256 collateralValueWithThreshold = (userTotalCollateralValue *
-            LIQUIDATION_THRESHOLD) / BPS;
-        factor =
-            (collateralValueWithThreshold * MIN_HEALTH_FACTOR) /
-            totalBorrowValue;
+    function healthFactor(address user) external view returns (uint256 factor) {
+        return userHealthFactor(user);
     }
 
     /**
@@ -844,12 +782,8 @@ contract LendingPool is Pausable, NFTCollateral {
     function getAmountInUSD(
         address token,
         uint256 amount
-    ) public view returns (uint256 value) {
-        uint256 price = getTokenPrice(token);
-        uint8 decimals = token.tokenDecimals();
-        uint256 amountIn18Decimals = amount * 10 ** (18 - decimals);
-        // return USD value scaled by 18 decimals
-        value = (amountIn18Decimals * price) / PRECISION;
+    ) external view returns (uint256 value) {
+        return amountInUSD(token, amount);
     }
 
     /**
@@ -862,6 +796,28 @@ contract LendingPool is Pausable, NFTCollateral {
         vault = vaults[token];
     }
 
+    /**
+     * @dev Returns the remaining amount that can be supplied to a token vault before reaching its supply cap.
+     * @dev returns type(uint256).max if the vault has no supply cap.
+     * @param token The address of the token.
+     */
+    function getSupplyCapHeadroom(
+        address token
+    ) external view returns (uint256) {
+        return supplyCapHeadroom(token);
+    }
+
+    /**
+     * @dev Returns the remaining amount that can be borrowed from a token vault before reaching its borrow cap.
+     * @dev returns type(uint256).max if the vault has no borrow cap.
+     * @param token The address of the token.
+     */
+    function getBorrowCapHeadroom(
+        address token
+    ) external view returns (uint256) {
+        return borrowCapHeadroom(token);
+    }
+
     /**
      * @dev Obtain liquidation warning information for a specific NFT.
      * @param account The address of the account.
@@ -915,17 +871,21 @@ contract LendingPool is Pausable, NFTCollateral {
 
     /**
      * @dev The amount of token available to be lended.
+     * @dev returns 0 for unsupported tokens and paused vaults.
+     * @dev capped by the vault flashloan limit if set.
      * @param token The loan currency.
      * @return maxFlashloanAmount The amount of `token` that can be borrowed.
      */
     function maxFlashLoan(
         address token
-    ) public view returns (uint256 maxFlashloanAmount) {
-        maxFlashloanAmount = pausedStatus(token) ? 0 : type(uint256).max;
+    ) external view returns (uint256 maxFlashloanAmount) {
+        return maxFlashLoanAmount(token);
     }
 
     /**
      * @dev The fee to be charged for a given token loan.
+     * @dev the fee discount of the caller is applied, as it is the receiver of EIP-3156 flashloans.
+     * @dev will revert if token is not supported.
      * @param token The loan token.
      * @param amount The amount of tokens lent.
      * @return The fee amount of `token` to be charged for the loan, on top of the returned principal.
@@ -933,8 +893,8 @@ contract LendingPool is Pausable, NFTCollateral {
     function flashFee(
         address token,
         uint256 amount
-    ) public view returns (uint256) {
-        return (amount * vaults[token].vaultInfo.flashFeeRate) / BPS;
+    ) external view returns (uint256) {
+        return effectiveFlashFee(msg.sender, token, amount);
     }
 
     /*//////////////////////////////////////////////////////////////
@@ -942,189 +902,214 @@ contract LendingPool is Pausable, NFTCollateral {
     //////////////////////////////////////////////////////////////*/
 
     /**
-     * @notice Sets up the vault for a specified ERC20 token.
-     * @dev only called by the owner.
-     * @param token The ERC20 token address.
-     * @param priceFeed The address of the price feed contract for the token.
-     * @param tokenType The type of the token (ERC20 or ERC721).
-     * @param params The parameters for vault setup (see PoolStructs.VaultSetupParams).
-     * @param addToken Boolean indicating whether to add a new supported token or just change the setup of an already added token.
+     * @notice Sets up the vault for a specified ERC20 token, or the collateral factors of an NFT collection.
+     * @dev see AdminModule.setupVault.
      */
     function setupVault(
-        address token,
-        address priceFeed,
-        PoolStructs.TokenType tokenType,
-        PoolStructs.VaultSetupParams memory params,
-        bool addToken
-    ) external onlyOwner {
-        _setupVault(token, priceFeed, tokenType, params, addToken);
+        address,
+        address,
+        PoolStructs.TokenType,
+        PoolStructs.VaultSetupParams memory,
+        bool
+    ) external {
+        _delegate(adminModule);
     }
 
-    //--------------------------------------------------------------------
-    /** INTERNAL FUNCTIONS */
+    /**
+     * @notice Freezes or unfreezes a supported token.
+     * @dev see AdminModule.setTokenFrozen.
+     */
+    function setTokenFrozen(address, bool) external {
+        _delegate(adminModule);
+    }
 
     /**
-     * @dev Checks if a specific token vault has sufficient balance and is above the reserve ratio.
-     * @param token The ERC20 token address.
-     * @param pulledAmount The amount to pull from the vault.
-     * @return isAboveReserveRatio True if the vault has sufficient balance, otherwise false.
+     * @notice Removes a frozen token from the supported tokens once no positions remain.
+     * @dev see AdminModule.delistToken.
      */
-    function vaultAboveReserveRatio(
-        address token,
-        uint256 pulledAmount
-    ) internal view returns (bool isAboveReserveRatio) {
-        uint256 minVaultReserve = (vaults[token].totalAsset.amount *
-            vaults[token].vaultInfo.reserveRatio) / BPS;
-        isAboveReserveRatio =
-            vaults[token].totalAsset.amount != 0 &&
-            IERC20(token).balanceOf(address(this)) >=
-            minVaultReserve + pulledAmount;
+    function delistToken(address) external {
+        _delegate(adminModule);
     }
 
-    function _withdraw(
-        address token,
-        uint256 amount,
-        uint256 minAmountOutOrMaxShareIn,
-        bool share
-    ) internal {
-        _accrueInterest(token);
-
-        uint256 userCollShares = userShares[msg.sender][token].collateral;
-        uint256 shares;
-        if (share) {
-            // redeem shares
-            shares = amount;
-            amount = vaults[token].totalAsset.toAmount(shares, false);
-            if (amount < minAmountOutOrMaxShareIn)
-                revert TooHighSlippage(amount);
-        } else {
-            // withdraw amount
-            shares = vaults[token].totalAsset.toShares(amount, false);
-            if (shares > minAmountOutOrMaxShareIn)
-                revert TooHighSlippage(shares);
-        }
-        if (
-            userCollShares < shares ||
-            IERC20(token).balanceOf(address(this)) < amount
-        ) revert InsufficientBalance();
-        unchecked {
-            vaults[token].totalAsset.shares -= uint128(shares);
-            vaults[token].totalAsset.amount -= uint128(amount);
-            userShares[msg.sender][token].collateral -= shares;
-        }
+    /**
+     * @notice Proposes a new price feed and heartbeat for a supported token, executable after PRICE_FEED_CHANGE_DELAY.
+     * @dev see AdminModule.proposePriceFeed.
+     */
+    function proposePriceFeed(address, address, uint64) external {
+        _delegate(adminModule);
+    }
 
-        token.transferERC20(address(this), msg.sender, amount);
-        if (healthFactor(msg.sender) < MIN_HEALTH_FACTOR)
-            revert BelowHeathFactor();
-        emit Withdraw(msg.sender, token, amount, shares);
+    /**
+     * @notice Cancels the pending price feed change of a token.
+     * @dev see AdminModule.cancelPriceFeedChange.
+     */
+    function cancelPriceFeedChange(address) external {
+        _delegate(adminModule);
     }
 
-    function _accrueInterest(
-        address token
-    )
-        internal
-        returns (
-            uint256 _interestEarned,
-            uint256 _feesAmount,
-            uint256 _feesShare,
-            uint64 newRate
-        )
-    {
-        PoolStructs.TokenVault memory _vault = vaults[token];
-        if (_vault.totalAsset.amount == 0) {
-            return (0, 0, 0, 0);
-        }
+    /**
+     * @notice Executes the pending price feed change of a token once its delay has passed.
+     * @dev see AdminModule.executePriceFeedChange.
+     */
+    function executePriceFeedChange(address) external {
+        _delegate(adminModule);
+    }
 
-        // Add interest only once per block
-        PoolStructs.VaultInfo memory _currentRateInfo = _vault.vaultInfo;
-        if (_currentRateInfo.lastTimestamp == block.timestamp) {
-            newRate = _currentRateInfo.ratePerSec;
-            return (_interestEarned, _feesAmount, _feesShare, newRate);
-        }
+    /**
+     * @notice Withdraws accrued protocol fee shares of an ERC20 vault.
+     * @dev see AdminModule.claimProtocolFees.
+     */
+    function claimProtocolFees(address, address, uint256) external {
+        _delegate(adminModule);
+    }
 
-        // If there are no borrows or vault or system is paused, no interest accrues
-        if (_vault.totalBorrow.shares == 0 || pausedStatus(token)) {
-            _currentRateInfo.lastTimestamp = uint64(block.timestamp);
-            _currentRateInfo.lastBlock = uint64(block.number);
-            _vault.vaultInfo = _currentRateInfo;
-        } else {
-            uint256 _deltaTime = block.number - _currentRateInfo.lastBlock;
-            uint256 _utilization = (_vault.totalBorrow.amount * PRECISION) /
-                _vault.totalAsset.amount;
-            // Calculate new interest rate
-            uint256 _newRate = _currentRateInfo.calculateInterestRate(
-                _utilization
-            );
-            _currentRateInfo.ratePerSec = uint64(_newRate);
-            _currentRateInfo.lastTimestamp = uint64(block.timestamp);
-            _currentRateInfo.lastBlock = uint64(block.number);
-
-            emit UpdateInterestRate(_deltaTime, uint64(_newRate));
-
-            // Calculate interest accrued
-            _interestEarned =
-                (_deltaTime *
-                    _vault.totalBorrow.amount *
-                    _currentRateInfo.ratePerSec) /
-                (PRECISION * BLOCKS_PER_YEAR);
-
-            // Accumulate interest and fees
-            _vault.totalBorrow.amount += uint128(_interestEarned);
-            _vault.totalAsset.amount += uint128(_interestEarned);
-            _vault.vaultInfo = _currentRateInfo;
-            if (_currentRateInfo.feeToProtocolRate > 0) {
-                _feesAmount =
-                    (_interestEarned * _currentRateInfo.feeToProtocolRate) /
-                    BPS;
-                _feesShare =
-                    (_feesAmount * _vault.totalAsset.shares) /
-                    (_vault.totalAsset.amount - _feesAmount);
-                _vault.totalAsset.shares += uint128(_feesShare);
-
-                // accrue protocol fee shares to this contract
-                userShares[address(this)][token].collateral += _feesShare;
-            }
-            emit AccruedInterest(
-                _currentRateInfo.ratePerSec,
-                _interestEarned,
-                _feesAmount,
-                _feesShare
-            );
-        }
-        // save to storage
-        vaults[token] = _vault;
+    /**
+     * @notice Withdraws all accrued protocol fee shares of every supported ERC20 vault to the treasury.
+     * @dev see AdminModule.claimAllProtocolFees.
+     */
+    function claimAllProtocolFees() external {
+        _delegate(adminModule);
     }
 
-    function _setupVault(
-        address token,
-        address priceFeed,
-        PoolStructs.TokenType tokenType,
-        PoolStructs.VaultSetupParams memory params,
-        bool addToken
-    ) internal {
-        if (addToken) {
-            addSupportedToken(token, priceFeed, tokenType);
-        } else {
-            // cannot change vault setup when nor system or vault are paused
-            WhenPaused(token);
-        }
-        if (tokenType == PoolStructs.TokenType.ERC20) {
-            if (params.reserveRatio > BPS)
-                revert InvalidReserveRatio(params.reserveRatio);
-            if (params.feeToProtocolRate > MAX_PROTOCOL_FEE)
-                revert InvalidFeeRate(params.feeToProtocolRate);
-            if (params.flashFeeRate > MAX_PROTOCOL_FEE)
-                revert InvalidFeeRate(params.flashFeeRate);
-            PoolStructs.VaultInfo storage _vaultInfo = vaults[token].vaultInfo;
-            _vaultInfo.reserveRatio = params.reserveRatio;
-            _vaultInfo.feeToProtocolRate = params.feeToProtocolRate;
-            _vaultInfo.flashFeeRate = params.flashFeeRate;
-            _vaultInfo.optimalUtilization = params.optimalUtilization;
-            _vaultInfo.baseRate = params.baseRate;
-            _vaultInfo.slope1 = params.slope1;
-            _vaultInfo.slope2 = params.slope2;
-
-            emit NewVaultSetup(token, params);
+    /**
+     * @notice Registers a flash borrower paying a discounted flash fee (e.g. protocol liquidation or rebalancing contracts).
+     * @dev see AdminModule.setFlashFeeDiscount.
+     */
+    function setFlashFeeDiscount(address, uint256) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Sets the max amount of a token that can be flashloaned as a share of the vault total assets.
+     * @dev see AdminModule.setFlashLoanLimit.
+     */
+    function setFlashLoanLimit(address, uint256) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Proposes the fallback price source used when the token primary price feed is stale or invalid, executable after PRICE_FEED_CHANGE_DELAY.
+     * @dev see AdminModule.proposeFallbackOracle.
+     */
+    function proposeFallbackOracle(
+        address,
+        PoolStructs.FallbackOracle memory
+    ) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Cancels the pending fallback source change of a token.
+     * @dev see AdminModule.cancelFallbackOracleChange.
+     */
+    function cancelFallbackOracleChange(address) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Executes the pending fallback source change of a token once its delay has passed.
+     * @dev see AdminModule.executeFallbackOracleChange.
+     */
+    function executeFallbackOracleChange(address) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Sets the price bounds of a token, its vault is paused if its price goes outside of them.
+     * @dev see AdminModule.setPriceBounds.
+     */
+    function setPriceBounds(
+        address,
+        PoolStructs.PriceBounds calldata
+    ) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Sets the L2 sequencer uptime feed checked before borrows and liquidations.
+     * @dev see AdminModule.setSequencerUptimeFeed.
+     */
+    function setSequencerUptimeFeed(address, uint256) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Pushes the USD price of a token, used when its fallback source is set to governance.
+     * @dev see AdminModule.setGovernancePrice.
+     */
+    function setGovernancePrice(address, uint128) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Updates the address receiving the protocol fees claimed with claimAllProtocolFees.
+     * @dev see AdminModule.setTreasury.
+     */
+    function setTreasury(address) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Sets the appraisal oracle used to value each NFT of a collection.
+     * @dev see AdminModule.setNFTValuation.
+     */
+    function setNFTValuation(address, address) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Sets trait tier multipliers applied to the collection floor price for specific NFTs.
+     * @dev see AdminModule.setNFTTierMultipliers.
+     */
+    function setNFTTierMultipliers(
+        address,
+        uint256[] calldata,
+        uint256[] calldata
+    ) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Updates the liquidation params of a supported ERC20 token or NFT collection.
+     * @dev see AdminModule.setLiquidationParams.
+     */
+    function setLiquidationParams(
+        address,
+        PoolStructs.LiquidationParams memory
+    ) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @notice Creates or updates an e-mode category for correlated assets.
+     * @dev see AdminModule.setEModeCategory.
+     */
+    function setEModeCategory(
+        uint8,
+        PoolStructs.EModeCategory memory
+    ) external {
+        _delegate(adminModule);
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Executes the current call in a logic module with delegatecall, and bubbles up its return data or revert reason.
+     * @param module The logic module address.
+     */
+    function _delegate(address module) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
         }
     }
 }
@@ -0,0 +1,1232 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {NFTCollateral} from "./NFTCollateral.sol";
+import {VaultAccounting} from "./libraries/VaultAccounting.sol";
+import {PoolStructs} from "./interfaces/PoolStructs.sol";
+import {InterestRate} from "./libraries/InterestRate.sol";
+import {Pausable} from "./utils/Pausable.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./libraries/TokenHelper.sol";
+
+/**
+ * @title Lending pool base
+ * @author K.Aymen
+ * @notice Holds the lending pool storage, errors and events, and the logic shared by the pool and its logic modules.
+ * @dev LendingPool and its logic modules all inherit this contract and declare no state variable of their own, so they share the same storage layout.
+ */
+abstract contract LendingPoolBase is Pausable, ReentrancyGuard, NFTCollateral {
+    using VaultAccounting for PoolStructs.Vault;
+    using InterestRate for PoolStructs.VaultInfo;
+    using TokenHelper for address;
+
+    //--------------------------------------------------------------------
+    /** VARIABLES */
+
+    // ERC20 token => TokenVault
+    mapping(address => PoolStructs.TokenVault) internal vaults;
+    // user => token => (colletral, borrow) shares
+    mapping(address => mapping(address => PoolStructs.AccountShares))
+        internal userShares;
+    // user => NFT address => tokenId => (liquidator, liquidationTime)
+    mapping(address => mapping(address => mapping(uint256 => PoolStructs.LiquidateWarn)))
+        internal nftLiquidationWarning;
+    // isolated ERC20 token => total debt borrowed against it (borrowed amounts scaled to 18 decimals)
+    mapping(address => uint256) internal isolationModeTotalDebt;
+    // user => isolated token and debt borrowed against it
+    mapping(address => PoolStructs.IsolatedDebt) internal userIsolatedDebt;
+    // e-mode category id => (LTV, liquidation threshold, liquidation bonus)
+    mapping(uint8 => PoolStructs.EModeCategory) internal eModeCategories;
+    // user => chosen e-mode category id (0 if none)
+    mapping(address => uint8) internal userEMode;
+    // e-mode category id => number of users who chose it
+    mapping(uint8 => uint256) internal eModeCategoryUsers;
+    // ERC20 token or NFT collection => liquidation params
+    mapping(address => PoolStructs.LiquidationParams)
+        internal liquidationParams;
+    // ERC20 token => cumulative protocol liquidation fees
+    mapping(address => uint256) internal liquidationRevenue;
+    // recipient of the protocol fees claimed with claimAllProtocolFees
+    address internal treasury;
+    // ERC20 token => cumulative written off bad debt
+    mapping(address => uint256) internal badDebt;
+    // borrower => NFT address => tokenId => liquidation auction
+    mapping(address => mapping(address => mapping(uint256 => PoolStructs.NFTAuction)))
+        internal nftAuctions;
+    // borrower => count of its NFTs being auctioned
+    mapping(address => uint256) internal activeNFTAuctions;
+    // DAI held by the pool for the NFT auctions highest bids, not part of the vault liquidity
+    uint256 internal nftAuctionBids;
+    // flash borrower => flash fee discount (BPS = fee exempt)
+    mapping(address => uint256) internal flashFeeDiscounts;
+    // ERC20 token => max flashloan amount as a share of vault total assets (0 = no limit)
+    mapping(address => uint256) internal flashLoanLimits;
+    // depositor => NFT address => listing => DAI fee paid by third parties for each flashloaned NFT
+    mapping(address => mapping(address => mapping(uint256 => uint256)))
+        internal nftRentalFees;
+
+    //--------------------------------------------------------------------
+    /** ERRORS */
+
+    error TooHighSlippage(uint256 sharesOutOrAmountIn);
+    error InsufficientBalance();
+    error BelowHeathFactor();
+    error ExceedBorrowCapacity();
+    error SupplyCapExceeded(uint256 supplyCap);
+    error BorrowCapExceeded(uint256 borrowCap);
+    error NotBorrowableInIsolation(address token);
+    error DebtCeilingExceeded(uint256 debtCeiling);
+    error MultipleIsolatedCollateral();
+    error CannotEnterIsolationMode();
+    error IsolationModeActive();
+    error InvalidEModeCategory(uint8 categoryId);
+    error BorrowerIsSolvant();
+    error SelfLiquidation();
+    error InvalidNFTLiquidation(
+        address borrower,
+        address nftAddress,
+        uint256 tokenId
+    );
+    error AuctionAlreadyStarted(
+        address borrower,
+        address nftAddress,
+        uint256 tokenId
+    );
+    error InvalidFeeRate(uint256 fee);
+    error InvalidReserveRatio(uint256 ratio);
+    error InvalidLiquidationThreshold(uint256 threshold);
+    error InvalidLoanToValue(uint256 ltv);
+    error InvalidLiquidationParams(address token);
+    error InvalidTreasury();
+    error InvalidFlashLoanLimit(uint256 limit);
+    error InvalidFallbackOracle(address token);
+    error InvalidHeartbeat(uint256 heartbeat);
+    error InvalidGracePeriod(uint256 gracePeriod);
+    error InvalidPriceBounds(address token);
+    error PriceOutOfBounds();
+    error InvalidDelisting(address token);
+    error InvalidPriceFeed();
+    error NoPendingPriceFeed(address token);
+    error NoPendingFallbackOracle(address token);
+    error PriceFeedChangeDelayNotOver(address token);
+    error InvalidTierMultiplier(uint256 multiplier);
+    error NoBadDebt(address account);
+    error FlashloanPaused(address token);
+    error FlashloanFailed();
+    error FlashAirdropFailed();
+    error NoLiquidateWarn();
+    error WarningDelayHasNotPassed();
+    error MustRepayMoreDebt();
+    error LiquidatorDelayHasNotPassed();
+    error EmptyArray();
+    error ArrayMismatch();
+    error InvalidLiquidationMode(address nftAddress);
+    error NoAuction();
+    error AuctionEnded();
+    error AuctionNotEnded();
+    error BidTooLow(uint256 minBid);
+    error TooHighRentalFee(uint256 rentalFee);
+    error NFTNotRentable(address depositor, address nftAddress);
+
+    //--------------------------------------------------------------------
+    /** EVENTS */
+
+    event Deposit(address user, address token, uint256 amount, uint256 shares);
+    event Borrow(address user, address token, uint256 amount, uint256 shares);
+    event Repay(address user, address token, uint256 amount, uint256 shares);
+    event Withdraw(address user, address token, uint256 amount, uint256 shares);
+    event Liquidated(
+        address borrower,
+        address liquidator,
+        uint256 repaidAmount,
+        uint256 liquidatedCollateral,
+        uint256 reward
+    );
+    event BatchLiquidated(
+        address borrower,
+        address liquidator,
+        uint256 totalRepaidUSD
+    );
+    event UpdateInterestRate(uint256 elapsedTime, uint64 newInterestRate);
+    event AccruedInterest(
+        uint64 interestRatePerSec,
+        uint256 interestEarned,
+        uint256 feesAmount,
+        uint256 feesShare
+    );
+    event FlashloanSuccess(
+        address initiator,
+        address[] tokens,
+        uint256[] amounts,
+        uint256[] fees,
+        bytes data
+    );
+    event Deleverage(
+        address user,
+        address collateral,
+        uint256 collateralAmount,
+        address debtToken,
+        uint256 repaidAmount,
+        uint256 fee
+    );
+    event CollateralSwapped(
+        address user,
+        address fromToken,
+        address toToken,
+        uint256 amountIn,
+        uint256 amountOut
+    );
+    event DebtSwapped(
+        address user,
+        address fromToken,
+        address toToken,
+        uint256 repaidAmount,
+        uint256 borrowedAmount
+    );
+    event FlashAirdropSuccess(
+        address initiator,
+        address nft,
+        uint256[] tokenIds,
+        bytes data
+    );
+    event DepositNFT(address user, address nftAddress, uint256 tokenId);
+    event DepositERC1155(
+        address user,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    );
+    event WithdrawERC1155(
+        address user,
+        address recipient,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    );
+    event WithdrawNFT(
+        address user,
+        address recipient,
+        address nftAddress,
+        uint256 tokenId
+    );
+    event LiquidingNFTWarning(
+        address liquidator,
+        address borrower,
+        address nftAddress,
+        uint256 tokenId
+    );
+    event LiquidateNFTStopped(
+        address borrower,
+        address nftAddress,
+        uint256 tokenId
+    );
+    event NFTLiquidated(
+        address liquidator,
+        address borrower,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 totalRepayDebt,
+        uint256 nftBuyPrice
+    );
+    event NFTRentalFeeSet(
+        address depositor,
+        address nftAddress,
+        uint256 rentalFee
+    );
+    event NFTRented(
+        address depositor,
+        address renter,
+        address nftAddress,
+        uint256[] tokenIds,
+        uint256 rentalFee
+    );
+    event NFTAuctionStarted(
+        address borrower,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 minBid,
+        uint256 endTime
+    );
+    event NFTAuctionBid(
+        address bidder,
+        address borrower,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    );
+    event NFTAuctionSettled(
+        address winner,
+        address borrower,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    );
+    event NewVaultSetup(address token, PoolStructs.VaultSetupParams params);
+    event IsolationModeTotalDebtUpdated(address token, uint256 totalDebt);
+    event EModeCategorySet(
+        uint8 categoryId,
+        PoolStructs.EModeCategory category
+    );
+    event UserEModeSet(address user, uint8 categoryId);
+    event LiquidationFeeCollected(
+        address token,
+        uint256 feeAmount,
+        uint256 feeShares
+    );
+    event BadDebtRealized(
+        address borrower,
+        address token,
+        uint256 debtAmount,
+        uint256 coveredByProtocol
+    );
+    event ProtocolFeesClaimed(
+        address token,
+        address recipient,
+        uint256 amount,
+        uint256 shares
+    );
+    event TreasuryUpdated(address treasury);
+    event FlashFeeDiscountSet(address borrower, uint256 discount);
+    event FlashLoanLimitSet(address token, uint256 limit);
+    event FallbackOracleSet(
+        address token,
+        PoolStructs.FallbackOracle fallbackOracle
+    );
+    event FallbackOracleChangeProposed(
+        address token,
+        PoolStructs.FallbackOracle fallbackOracle,
+        uint256 executableAt
+    );
+    event FallbackOracleChangeCancelled(address token);
+    event GovernancePriceSet(address token, uint256 price);
+    event SequencerUptimeFeedSet(address feed, uint256 gracePeriod);
+    event PriceBoundsSet(address token, PoolStructs.PriceBounds bounds);
+    event PriceCircuitBreakerTriggered(address token, uint256 price);
+    event TokenFrozen(address token, bool frozen);
+    event PriceFeedChangeProposed(
+        address token,
+        address priceFeed,
+        uint256 heartbeat,
+        uint256 executableAt
+    );
+    event PriceFeedChangeCancelled(address token);
+    event PriceFeedChanged(address token, address priceFeed, uint256 heartbeat);
+    event NFTValuationSet(address nftAddress, address valuation);
+    event NFTTierMultiplierSet(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 multiplier
+    );
+    event LiquidationParamsSet(
+        address token,
+        PoolStructs.LiquidationParams params
+    );
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Checks if an NFT can be liquidated.
+     * @dev can be liquidated when:
+     * borrower must be below min health factor.
+     * liquidation warning must have been emitted.
+     * liquidation warning delay gas passed.
+     * liquidator that triggered the warning will have the collection liquidator delay to liquidate after that anyone will be able to liquidate NFT.
+     * @param account The address of the account.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT.
+     */
+    function nftLiquidatable(
+        address account,
+        address nftAddress,
+        uint256 tokenId
+    ) internal view {
+        if (userHealthFactor(account) >= MIN_HEALTH_FACTOR)
+            revert BorrowerIsSolvant();
+        PoolStructs.LiquidateWarn storage warning = nftLiquidationWarning[
+            account
+        ][nftAddress][tokenId];
+        if (warning.liquidator == address(0)) revert NoLiquidateWarn();
+        if (block.timestamp <= warning.liquidationTimestamp)
+            revert WarningDelayHasNotPassed();
+        if (
+            block.timestamp <=
+            warning.liquidationTimestamp +
+                liquidationParams[nftAddress].liquidatorDelay &&
+            msg.sender != warning.liquidator
+        ) revert LiquidatorDelayHasNotPassed();
+    }
+
+    /**
+     * @dev Calculates the total USD value of all tokens collateral for a user.
+     * @param user The address of the user.
+     */
+    function userTotalTokenCollateral(
+        address user
+    ) internal view returns (uint256 totalValueUSD) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            uint256 tokenAmount = vaults[token].totalAsset.toAmount(
+                userShares[user][token].collateral,
+                false
+            );
+            if (tokenAmount != 0) {
+                totalValueUSD += amountInUSD(token, tokenAmount);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    function userNFTCollateralValue(
+        address user
+    ) internal view returns (uint256 totalValueUSD) {
+        uint256 len = supportedNFTs.length;
+        for (uint256 i; i < len; ) {
+            address nftAddress = supportedNFTs[i];
+            totalValueUSD += getDepositedNFTsValue(user, nftAddress);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Calculates the USD value of all tokens and NFTs collateral for a user, weighted by each asset collateral factors.
+     * @dev uses the e-mode category factors for the category collateral if user e-mode is active.
+     * @param user The address of the user.
+     * @return borrowLimitValue The collateral value weighted by each asset loan-to-value, max debt the user can take.
+     * @return liquidationThresholdValue The collateral value weighted by each asset liquidation threshold, used for health factor.
+     */
+    function userWeightedCollateral(
+        address user
+    )
+        internal
+        view
+        returns (uint256 borrowLimitValue, uint256 liquidationThresholdValue)
+    {
+        uint8 eModeCategory = activeEModeCategory(user);
+        uint256 value;
+        uint256 ltv;
+        uint256 threshold;
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            uint256 tokenAmount = vaults[token].totalAsset.toAmount(
+                userShares[user][token].collateral,
+                false
+            );
+            if (tokenAmount != 0) {
+                value = amountInUSD(token, tokenAmount);
+                (ltv, threshold) = collateralFactors(token, eModeCategory);
+                borrowLimitValue += (value * ltv) / BPS;
+                liquidationThresholdValue += (value * threshold) / BPS;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+        len = supportedNFTs.length;
+        for (uint256 i; i < len; ) {
+            address nftAddress = supportedNFTs[i];
+            if (getDepositedNFTCount(user, nftAddress) != 0) {
+                value = getDepositedNFTsValue(user, nftAddress);
+                (ltv, threshold) = collateralFactors(nftAddress, eModeCategory);
+                borrowLimitValue += (value * ltv) / BPS;
+                liquidationThresholdValue += (value * threshold) / BPS;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the isolated token used as collateral by a user, user is then in isolation mode.
+     * @param user The address of the user.
+     * @return The isolated token address, address(0) if user is not in isolation mode.
+     */
+    function userIsolatedCollateral(
+        address user
+    ) internal view returns (address) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            if (
+                supportedTokens[token].isolated &&
+                userShares[user][token].collateral != 0
+            ) return token;
+            unchecked {
+                ++i;
+            }
+        }
+        return address(0);
+    }
+
+    /**
+     * @dev Calculates the total borrowed USD value for a user.
+     * @param user The address of the user.
+     */
+    function userTotalBorrow(
+        address user
+    ) internal view returns (uint256 totalValueUSD) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            uint256 tokenAmount = vaults[token].totalBorrow.toAmount(
+                userShares[user][token].borrow,
+                false
+            );
+            if (tokenAmount != 0) {
+                totalValueUSD += amountInUSD(token, tokenAmount);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Calculates the health factor of a user.
+     * @dev each collateral asset is weighted by its own liquidation threshold.
+     * @param user The address of the user.
+     */
+    function userHealthFactor(
+        address user
+    ) internal view returns (uint256 factor) {
+        uint256 totalBorrowValue = userTotalBorrow(user);
+        if (totalBorrowValue == 0) return 100 * MIN_HEALTH_FACTOR;
+        (, uint256 collateralValueWithThreshold) = userWeightedCollateral(user);
+        factor =
+            (collateralValueWithThreshold * MIN_HEALTH_FACTOR) /
+            totalBorrowValue;
+    }
+
+    /**
+     * @dev Converts the given amount of a token to its equivalent value in USD.
+     * @param token The address of the token.
+     * @param amount The amount of the token.
+     */
+    function amountInUSD(
+        address token,
+        uint256 amount
+    ) internal view returns (uint256 value) {
+        uint256 price = getTokenPrice(token);
+        uint8 decimals = token.tokenDecimals();
+        uint256 amountIn18Decimals = amount * 10 ** (18 - decimals);
+        // return USD value scaled by 18 decimals
+        value = (amountIn18Decimals * price) / PRECISION;
+    }
+
+    /**
+     * @dev Returns the remaining amount that can be supplied to a token vault before reaching its supply cap.
+     * @dev returns type(uint256).max if the vault has no supply cap.
+     * @param token The address of the token.
+     */
+    function supplyCapHeadroom(address token) internal view returns (uint256) {
+        uint256 supplyCap = vaults[token].vaultInfo.supplyCap;
+        if (supplyCap == 0) return type(uint256).max;
+        uint256 totalSupplied = vaults[token].totalAsset.amount;
+        return supplyCap > totalSupplied ? supplyCap - totalSupplied : 0;
+    }
+
+    /**
+     * @dev Returns the remaining amount that can be borrowed from a token vault before reaching its borrow cap.
+     * @dev returns type(uint256).max if the vault has no borrow cap.
+     * @param token The address of the token.
+     */
+    function borrowCapHeadroom(address token) internal view returns (uint256) {
+        uint256 borrowCap = vaults[token].vaultInfo.borrowCap;
+        if (borrowCap == 0) return type(uint256).max;
+        uint256 totalBorrowed = vaults[token].totalBorrow.amount;
+        return borrowCap > totalBorrowed ? borrowCap - totalBorrowed : 0;
+    }
+
+    /**
+     * @dev The amount of token available to be lended.
+     * @dev returns 0 for unsupported tokens and paused vaults.
+     * @dev capped by the vault flashloan limit if set.
+     * @param token The loan currency.
+     * @return maxFlashloanAmount The amount of `token` that can be borrowed.
+     */
+    function maxFlashLoanAmount(
+        address token
+    ) internal view returns (uint256 maxFlashloanAmount) {
+        if (
+            !supportedTokens[token].supported ||
+            supportedTokens[token].tokenType != PoolStructs.TokenType.ERC20 ||
+            pausedStatus(token)
+        ) return 0;
+        maxFlashloanAmount = vaultBalance(token);
+        uint256 limit = flashLoanLimits[token];
+        if (limit != 0) {
+            uint256 maxAmount = (vaults[token].totalAsset.amount * limit) / BPS;
+            if (maxAmount < maxFlashloanAmount) maxFlashloanAmount = maxAmount;
+        }
+    }
+
+    /**
+     * @dev Returns the flash fee charged to a flash borrower, after its fee discount.
+     * @dev will revert if token is not supported.
+     * @param borrower The flash borrower address.
+     * @param token The loan token.
+     * @param amount The amount of tokens lent.
+     */
+    function effectiveFlashFee(
+        address borrower,
+        address token,
+        uint256 amount
+    ) internal view returns (uint256) {
+        allowedToken(token);
+        uint256 fee = (amount * vaults[token].vaultInfo.flashFeeRate) / BPS;
+        return (fee * (BPS - flashFeeDiscounts[borrower])) / BPS;
+    }
+
+    /**
+     * @dev Checks if a specific token vault has sufficient balance and is above the reserve ratio.
+     * @param token The ERC20 token address.
+     * @param pulledAmount The amount to pull from the vault.
+     * @return isAboveReserveRatio True if the vault has sufficient balance, otherwise false.
+     */
+    function vaultAboveReserveRatio(
+        address token,
+        uint256 pulledAmount
+    ) internal view returns (bool isAboveReserveRatio) {
+        uint256 minVaultReserve = (vaults[token].totalAsset.amount *
+            vaults[token].vaultInfo.reserveRatio) / BPS;
+        isAboveReserveRatio =
+            vaults[token].totalAsset.amount != 0 &&
+            vaultBalance(token) >= minVaultReserve + pulledAmount;
+    }
+
+    /**
+     * @dev Returns the pool balance of a token available to its vault, the DAI held for NFT auctions bids is excluded.
+     * @param token The ERC20 token address.
+     */
+    function vaultBalance(
+        address token
+    ) internal view returns (uint256 balance) {
+        balance = IERC20(token).balanceOf(address(this));
+        if (token == supportedERC20s[0]) balance -= nftAuctionBids;
+    }
+
+    /**
+     * @dev Converts a USD value to its equivalent amount of a token.
+     * @param token The address of the token.
+     * @param valueUSD The USD value (18 decimals).
+     */
+    function usdToAmount(
+        address token,
+        uint256 valueUSD
+    ) internal view returns (uint256) {
+        return
+            (valueUSD * PRECISION) /
+            (getTokenPrice(token) * 10 ** (18 - token.tokenDecimals()));
+    }
+
+    /**
+     * @dev Checks if a user has any tokens or NFTs collateral left.
+     * @param user The address of the user.
+     */
+    function hasCollateral(address user) internal view returns (bool) {
+        return
+            userTotalTokenCollateral(user) != 0 ||
+            userNFTCollateralValue(user) != 0;
+    }
+
+    /**
+     * @dev Checks if a user has borrowed any ERC20 token.
+     * @param user The address of the user.
+     */
+    function hasDebt(address user) internal view returns (bool) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            if (userShares[user][supportedERC20s[i]].borrow != 0) return true;
+            unchecked {
+                ++i;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Reverts if the user is in isolation mode, NFTs can't be deposited alongside an isolated collateral.
+     * @param user The address of the user.
+     */
+    function notInIsolationMode(address user) internal view {
+        if (userIsolatedCollateral(user) != address(0))
+            revert IsolationModeActive();
+    }
+
+    /**
+     * @dev Scales a borrowed amount to 18 decimals, the unit of the isolated tokens debt ceiling.
+     * @dev the debt ceiling is not priced, so only USD stablecoins are borrowable in isolation mode.
+     * @param token The borrowed ERC20 token.
+     * @param amount The amount of tokens.
+     */
+    function toIsolatedDebt(
+        address token,
+        uint256 amount
+    ) internal view returns (uint256) {
+        return amount * 10 ** (18 - token.tokenDecimals());
+    }
+
+    /**
+     * @dev Checks if a user debt can be written off: user is insolvent with no NFT collateral, ERC20 collateral below the dust threshold and none of its NFTs being auctioned.
+     * @param user The address of the user.
+     */
+    function canRealizeBadDebt(address user) internal view returns (bool) {
+        return
+            activeNFTAuctions[user] == 0 &&
+            userNFTCollateralValue(user) == 0 &&
+            userTotalTokenCollateral(user) <= BAD_DEBT_DUST_THRESHOLD &&
+            userHealthFactor(user) < MIN_HEALTH_FACTOR;
+    }
+
+    /**
+     * @dev Returns the user e-mode category if all its borrows are inside the category, otherwise 0.
+     * @param user The address of the user.
+     */
+    function activeEModeCategory(
+        address user
+    ) internal view returns (uint8 categoryId) {
+        categoryId = userEMode[user];
+        if (categoryId == 0) return 0;
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            if (
+                userShares[user][token].borrow != 0 &&
+                supportedTokens[token].eModeCategory != categoryId
+            ) return 0;
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns the LTV and liquidation threshold of a collateral token, given the user active e-mode category.
+     * @param token The collateral token address.
+     * @param eModeCategory The user active e-mode category (0 if none).
+     */
+    function collateralFactors(
+        address token,
+        uint8 eModeCategory
+    ) internal view returns (uint256 ltv, uint256 threshold) {
+        if (
+            eModeCategory != 0 &&
+            supportedTokens[token].eModeCategory == eModeCategory
+        ) {
+            return (
+                eModeCategories[eModeCategory].loanToValue,
+                eModeCategories[eModeCategory].liquidationThreshold
+            );
+        }
+        return (
+            supportedTokens[token].loanToValue,
+            supportedTokens[token].liquidationThreshold
+        );
+    }
+
+    /**
+     * @dev Checks that the user total debt is within its collateral borrow capacity (loan-to-value).
+     * @dev stricter than the health factor check as loan-to-value is below the liquidation threshold.
+     * @param user The address of the user.
+     */
+    function checkBorrowCapacity(address user) internal view {
+        (uint256 borrowLimitValue, ) = userWeightedCollateral(user);
+        if (userTotalBorrow(user) > borrowLimitValue)
+            revert ExceedBorrowCapacity();
+    }
+
+    /**
+     * @dev Checks that supplying `amount` to the token vault does not exceed its supply cap.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to supply.
+     */
+    function checkSupplyCap(address token, uint256 amount) internal view {
+        if (amount > supplyCapHeadroom(token))
+            revert SupplyCapExceeded(vaults[token].vaultInfo.supplyCap);
+    }
+
+    /**
+     * @dev Checks that borrowing `amount` from the token vault does not exceed its borrow cap.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to borrow.
+     */
+    function checkBorrowCap(address token, uint256 amount) internal view {
+        if (amount > borrowCapHeadroom(token))
+            revert BorrowCapExceeded(vaults[token].vaultInfo.borrowCap);
+    }
+
+    /**
+     * @dev Increases the user debt borrowed against an isolated collateral.
+     * @dev will revert if borrowed token is not allowed in isolation mode or if debt ceiling is exceeded.
+     * @param user The address of the borrower.
+     * @param isolatedCollateral The isolated token used as collateral.
+     * @param borrowToken The ERC20 token borrowed.
+     * @param amount The amount of tokens borrowed.
+     */
+    function _increaseIsolatedDebt(
+        address user,
+        address isolatedCollateral,
+        address borrowToken,
+        uint256 amount
+    ) internal {
+        if (!vaults[borrowToken].vaultInfo.borrowableInIsolation)
+            revert NotBorrowableInIsolation(borrowToken);
+        PoolStructs.IsolatedDebt storage userDebt = userIsolatedDebt[user];
+        if (userDebt.debt == 0) userDebt.collateral = isolatedCollateral;
+        else if (userDebt.collateral != isolatedCollateral)
+            revert MultipleIsolatedCollateral();
+
+        uint256 debt = toIsolatedDebt(borrowToken, amount);
+        uint256 debtCeiling = supportedTokens[isolatedCollateral].debtCeiling;
+        uint256 totalDebt = isolationModeTotalDebt[isolatedCollateral] + debt;
+        if (totalDebt > debtCeiling) revert DebtCeilingExceeded(debtCeiling);
+        isolationModeTotalDebt[isolatedCollateral] = totalDebt;
+        userDebt.debt += uint128(debt);
+        emit IsolationModeTotalDebtUpdated(isolatedCollateral, totalDebt);
+    }
+
+    /**
+     * @dev Decreases the user debt borrowed against an isolated collateral when a token borrowable in isolation is repaid.
+     * @dev repaid interest is also released, up to the user recorded isolated debt.
+     * @param user The address of the borrower.
+     * @param repaidToken The ERC20 token repaid.
+     * @param amount The amount of tokens repaid.
+     */
+    function _decreaseIsolatedDebt(
+        address user,
+        address repaidToken,
+        uint256 amount
+    ) internal {
+        uint256 userDebt = userIsolatedDebt[user].debt;
+        if (
+            userDebt == 0 ||
+            !vaults[repaidToken].vaultInfo.borrowableInIsolation
+        ) return;
+        uint256 released = toIsolatedDebt(repaidToken, amount);
+        _releaseIsolatedDebt(user, released > userDebt ? userDebt : released);
+    }
+
+    /**
+     * @dev Removes debt from the user isolated debt and from its isolated token total debt.
+     * @param user The address of the borrower.
+     * @param debt The isolated debt to release, must not exceed the user isolated debt.
+     */
+    function _releaseIsolatedDebt(address user, uint256 debt) internal {
+        if (debt == 0) return;
+        PoolStructs.IsolatedDebt storage userDebt = userIsolatedDebt[user];
+        address isolatedCollateral = userDebt.collateral;
+        userDebt.debt -= uint128(debt);
+        uint256 totalDebt = isolationModeTotalDebt[isolatedCollateral] - debt;
+        isolationModeTotalDebt[isolatedCollateral] = totalDebt;
+        emit IsolationModeTotalDebtUpdated(isolatedCollateral, totalDebt);
+    }
+
+    /**
+     * @dev Adds supplied collateral to the user shares, the tokens must be sent to the pool by the caller.
+     * @dev will revert if vault supply cap is exceeded or user already holds another isolated collateral.
+     * @dev a new isolated collateral can only be supplied by users without other collateral or debt.
+     * @param user The address of the user.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens supplied.
+     * @return shares The amount of collateral shares minted.
+     */
+    function _supplyCollateral(
+        address user,
+        address token,
+        uint256 amount
+    ) internal returns (uint256 shares) {
+        checkSupplyCap(token, amount);
+        if (
+            supportedTokens[token].isolated &&
+            userShares[user][token].collateral == 0
+        ) {
+            if (userIsolatedCollateral(user) != address(0))
+                revert MultipleIsolatedCollateral();
+            if (hasCollateral(user) || hasDebt(user))
+                revert CannotEnterIsolationMode();
+        }
+
+        shares = _mintCollateralShares(user, token, amount);
+    }
+
+    /**
+     * @dev Mints collateral shares to the user for tokens already held by the pool.
+     * @dev does not check the vault supply cap, used for supplies that must not fail.
+     * @param user The address of the user.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens supplied.
+     * @return shares The amount of collateral shares minted.
+     */
+    function _mintCollateralShares(
+        address user,
+        address token,
+        uint256 amount
+    ) internal returns (uint256 shares) {
+        shares = vaults[token].totalAsset.toShares(amount, false);
+        vaults[token].totalAsset.shares += uint128(shares);
+        vaults[token].totalAsset.amount += uint128(amount);
+        userShares[user][token].collateral += shares;
+    }
+
+    /**
+     * @dev Adds borrowed amount to the user shares, the tokens must be sent by the caller.
+     * @dev will revert if vault borrow cap or isolated collateral debt ceiling is exceeded.
+     * @param user The address of the borrower.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens borrowed.
+     * @return shares The amount of borrow shares minted.
+     */
+    function _borrowDebt(
+        address user,
+        address token,
+        uint256 amount
+    ) internal returns (uint256 shares) {
+        checkBorrowCap(token, amount);
+        address isolatedCollateral = userIsolatedCollateral(user);
+        if (isolatedCollateral != address(0))
+            _increaseIsolatedDebt(user, isolatedCollateral, token, amount);
+
+        shares = vaults[token].totalBorrow.toShares(amount, false);
+        vaults[token].totalBorrow.shares += uint128(shares);
+        vaults[token].totalBorrow.amount += uint128(amount);
+        userShares[user][token].borrow += shares;
+    }
+
+    /**
+     * @dev Decreases the user debt, the repaid tokens must be sent to the pool by the caller.
+     * @param user The address of the borrower.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to repay, set to type(uint256).max for full repayment.
+     * @return repaidAmount The amount of debt repaid.
+     * @return repaidShares The amount of borrow shares repaid.
+     */
+    function _repayDebt(
+        address user,
+        address token,
+        uint256 amount
+    ) internal returns (uint256 repaidAmount, uint256 repaidShares) {
+        uint256 userBorrowShare = userShares[user][token].borrow;
+        // avoid shares conversion overflow on full repayment
+        if (amount != type(uint256).max)
+            repaidShares = vaults[token].totalBorrow.toShares(amount, true);
+        repaidAmount = amount;
+        if (amount == type(uint256).max || repaidShares > userBorrowShare) {
+            repaidShares = userBorrowShare;
+            repaidAmount = vaults[token].totalBorrow.toAmount(
+                repaidShares,
+                true
+            );
+        }
+        unchecked {
+            vaults[token].totalBorrow.shares -= uint128(repaidShares);
+            vaults[token].totalBorrow.amount -= uint128(repaidAmount);
+            userShares[user][token].borrow = userBorrowShare - repaidShares;
+        }
+        _decreaseIsolatedDebt(user, token, repaidAmount);
+    }
+
+    /**
+     * @dev Credits the protocol cut of a liquidation bonus to the protocol collateral shares.
+     * @param token The address of the ERC20 token in which the fee is collected.
+     * @param feeAmount The fee amount, must already be held by the pool.
+     */
+    function _collectLiquidationFee(address token, uint256 feeAmount) internal {
+        if (feeAmount == 0) return;
+        uint256 feeShares = vaults[token].totalAsset.toShares(feeAmount, false);
+        vaults[token].totalAsset.shares += uint128(feeShares);
+        vaults[token].totalAsset.amount += uint128(feeAmount);
+        userShares[address(this)][token].collateral += feeShares;
+        liquidationRevenue[token] += feeAmount;
+        emit LiquidationFeeCollected(token, feeAmount, feeShares);
+    }
+
+    /**
+     * @dev Pauses a token vault and emits an alert if its price is outside of its bounds.
+     * @dev caller must return without reverting when tripped to keep the vault paused.
+     * @param token The address of the token.
+     * @return tripped True if the vault was paused.
+     */
+    function _tripCircuitBreaker(address token) internal returns (bool) {
+        (bool withinBounds, uint256 price) = priceWithinBounds(token);
+        if (withinBounds) return false;
+        vaultPaused[token] = true;
+        emit VaultPaused(token, true);
+        emit PriceCircuitBreakerTriggered(token, price);
+        return true;
+    }
+
+    /**
+     * @dev Runs the circuit breaker on every collateral and debt token of an account, pausing all the vaults outside of their bounds.
+     * @dev caller must return without reverting when tripped to keep the vaults paused.
+     * @param account The address of the account.
+     * @return tripped True if any vault was paused.
+     */
+    function _tripAccountCircuitBreakers(
+        address account
+    ) internal returns (bool tripped) {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            if (
+                (userShares[account][token].collateral != 0 ||
+                    userShares[account][token].borrow != 0) &&
+                _tripCircuitBreaker(token)
+            ) tripped = true;
+            unchecked {
+                ++i;
+            }
+        }
+        len = supportedNFTs.length;
+        for (uint256 i; i < len; ) {
+            address nftAddress = supportedNFTs[i];
+            if (
+                getDepositedNFTCount(account, nftAddress) != 0 &&
+                _tripCircuitBreaker(nftAddress)
+            ) tripped = true;
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Fetches the price of every user asset that has a fallback source, to emit the fallback usage and price deviation alerts.
+     * @dev called before the user position is checked, assets without fallback source are always priced from their primary feed.
+     * @param user The address of the user.
+     */
+    function _fetchUserPrices(address user) internal {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            if (
+                fallbackOracles[token].source !=
+                PoolStructs.FallbackSource.NONE &&
+                (userShares[user][token].collateral != 0 ||
+                    userShares[user][token].borrow != 0)
+            ) _fetchTokenPrice(token);
+            unchecked {
+                ++i;
+            }
+        }
+        len = supportedNFTs.length;
+        for (uint256 i; i < len; ) {
+            address nftAddress = supportedNFTs[i];
+            if (
+                fallbackOracles[nftAddress].source !=
+                PoolStructs.FallbackSource.NONE &&
+                getDepositedNFTCount(user, nftAddress) != 0
+            ) _fetchTokenPrice(nftAddress);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Writes off all borrows of a user that has no collateral left (or only dust collateral).
+     * @dev dust collateral is seized by the protocol, bad debt is first covered by burning protocol fee shares, the rest reduces the vault assets (shared by all suppliers).
+     * @dev releases the user debt borrowed against an isolated collateral.
+     * @param user The address of the borrower.
+     */
+    function _realizeBadDebt(address user) internal {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            uint256 collateralShares = userShares[user][token].collateral;
+            if (collateralShares != 0) {
+                userShares[user][token].collateral = 0;
+                userShares[address(this)][token].collateral += collateralShares;
+            }
+            uint256 borrowShares = userShares[user][token].borrow;
+            if (borrowShares != 0) {
+                _accrueInterest(token);
+                PoolStructs.TokenVault storage vault = vaults[token];
+                uint256 debt = vault.totalBorrow.toAmount(borrowShares, true);
+                if (debt > vault.totalBorrow.amount)
+                    debt = vault.totalBorrow.amount;
+                vault.totalBorrow.shares -= uint128(borrowShares);
+                vault.totalBorrow.amount -= uint128(debt);
+                userShares[user][token].borrow = 0;
+
+                // burn protocol fee shares first
+                uint256 protocolShares = userShares[address(this)][token]
+                    .collateral;
+                uint256 covered = vault.totalAsset.toAmount(
+                    protocolShares,
+                    false
+                );
+                uint256 burnedShares = protocolShares;
+                if (covered > debt) {
+                    covered = debt;
+                    burnedShares = vault.totalAsset.toShares(debt, true);
+                }
+                vault.totalAsset.shares -= uint128(burnedShares);
+                userShares[address(this)][token].collateral -= burnedShares;
+
+                // remaining debt is socialized among suppliers
+                vault.totalAsset.amount -= uint128(debt);
+                badDebt[token] += debt;
+                emit BadDebtRealized(user, token, debt, covered);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+
+        // written off debt no longer counts in the isolated token debt ceiling
+        _releaseIsolatedDebt(user, userIsolatedDebt[user].debt);
+    }
+
+    function _accrueInterest(
+        address token
+    )
+        internal
+        returns (
+            uint256 _interestEarned,
+            uint256 _feesAmount,
+            uint256 _feesShare,
+            uint64 newRate
+        )
+    {
+        PoolStructs.TokenVault memory _vault = vaults[token];
+        if (_vault.totalAsset.amount == 0) {
+            return (0, 0, 0, 0);
+        }
+
+        // Add interest only once per block
+        PoolStructs.VaultInfo memory _currentRateInfo = _vault.vaultInfo;
+        if (_currentRateInfo.lastTimestamp == block.timestamp) {
+            newRate = _currentRateInfo.ratePerSec;
+            return (_interestEarned, _feesAmount, _feesShare, newRate);
+        }
+
+        // If there are no borrows or vault or system is paused, no interest accrues
+        if (_vault.totalBorrow.shares == 0 || pausedStatus(token)) {
+            _currentRateInfo.lastTimestamp = uint64(block.timestamp);
+            _currentRateInfo.lastBlock = uint64(block.number);
+            _vault.vaultInfo = _currentRateInfo;
+        } else {
+            uint256 _deltaTime = block.number - _currentRateInfo.lastBlock;
+            uint256 _utilization = (_vault.totalBorrow.amount * PRECISION) /
+                _vault.totalAsset.amount;
+            // Calculate new interest rate
+            uint256 _newRate = _currentRateInfo.calculateInterestRate(
+                _utilization
+            );
+            _currentRateInfo.ratePerSec = uint64(_newRate);
+            _currentRateInfo.lastTimestamp = uint64(block.timestamp);
+            _currentRateInfo.lastBlock = uint64(block.number);
+
+            emit UpdateInterestRate(_deltaTime, uint64(_newRate));
+
+            // Calculate interest accrued
+            _interestEarned =
+                (_deltaTime *
+                    _vault.totalBorrow.amount *
+                    _currentRateInfo.ratePerSec) /
+                (PRECISION * BLOCKS_PER_YEAR);
+
+            // Accumulate interest and fees
+            _vault.totalBorrow.amount += uint128(_interestEarned);
+            _vault.totalAsset.amount += uint128(_interestEarned);
+            _vault.vaultInfo = _currentRateInfo;
+            if (_currentRateInfo.feeToProtocolRate > 0) {
+                _feesAmount =
+                    (_interestEarned * _currentRateInfo.feeToProtocolRate) /
+                    BPS;
+                _feesShare =
+                    (_feesAmount * _vault.totalAsset.shares) /
+                    (_vault.totalAsset.amount - _feesAmount);
+                _vault.totalAsset.shares += uint128(_feesShare);
+
+                // accrue protocol fee shares to this contract
+                userShares[address(this)][token].collateral += _feesShare;
+            }
+            emit AccruedInterest(
+                _currentRateInfo.ratePerSec,
+                _interestEarned,
+                _feesAmount,
+                _feesShare
+            );
+        }
+        // save to storage
+        vaults[token] = _vault;
+    }
+
+    function _setupVault(
+        address token,
+        address priceFeed,
+        PoolStructs.TokenType tokenType,
+        PoolStructs.VaultSetupParams memory params,
+        bool addToken
+    ) internal {
+        if (addToken) {
+            addSupportedToken(token, priceFeed, tokenType);
+            liquidationParams[token] = PoolStructs.LiquidationParams({
+                liquidationBonus: uint64(
+                    tokenType == PoolStructs.TokenType.ERC20
+                        ? LIQUIDATION_REWARD
+                        : NFT_LIQUIDATION_DISCOUNT
+                ),
+                protocolLiquidationFee: 0, // no protocol cut by default
+                closeFactor: uint64(DEFAULT_LIQUIDATION_CLOSE_FACTOR),
+                closeFactorHFThreshold: uint64(CLOSE_FACTOR_HF_THRESHOLD),
+                warningDelay: uint64(NFT_WARNING_DELAY),
+                liquidatorDelay: uint64(NFT_LIQUIDATOR_DELAY),
+                auctionDuration: 0 // fixed floor price sale by default
+            });
+            emit LiquidationParamsSet(token, liquidationParams[token]);
+        } else {
+            // cannot change vault setup when nor system or vault are paused
+            WhenPaused(token);
+        }
+        // liquidation threshold increased by the liquidation bonus must not exceed 100%
+        if (
+            params.liquidationThreshold *
+                (BPS + liquidationParams[token].liquidationBonus) >
+            BPS * BPS
+        ) revert InvalidLiquidationThreshold(params.liquidationThreshold);
+        if (params.loanToValue > params.liquidationThreshold)
+            revert InvalidLoanToValue(params.loanToValue);
+        supportedTokens[token].loanToValue = params.loanToValue;
+        supportedTokens[token].liquidationThreshold = params
+            .liquidationThreshold;
+
+        if (tokenType == PoolStructs.TokenType.ERC20) {
+            if (params.reserveRatio > BPS)
+                revert InvalidReserveRatio(params.reserveRatio);
+            if (params.feeToProtocolRate > MAX_PROTOCOL_FEE)
+                revert InvalidFeeRate(params.feeToProtocolRate);
+            if (params.flashFeeRate > MAX_PROTOCOL_FEE)
+                revert InvalidFeeRate(params.flashFeeRate);
+            PoolStructs.VaultInfo storage _vaultInfo = vaults[token].vaultInfo;
+            _vaultInfo.reserveRatio = params.reserveRatio;
+            _vaultInfo.feeToProtocolRate = params.feeToProtocolRate;
+            _vaultInfo.flashFeeRate = params.flashFeeRate;
+            _vaultInfo.optimalUtilization = params.optimalUtilization;
+            _vaultInfo.baseRate = params.baseRate;
+            _vaultInfo.slope1 = params.slope1;
+            _vaultInfo.slope2 = params.slope2;
+            _vaultInfo.supplyCap = params.supplyCap;
+            _vaultInfo.borrowCap = params.borrowCap;
+            _vaultInfo.borrowableInIsolation = params.borrowableInIsolation;
+            supportedTokens[token].isolated = params.isolated;
+            supportedTokens[token].debtCeiling = params.debtCeiling;
+
+            if (
+                params.eModeCategory != 0 &&
+                eModeCategories[params.eModeCategory].liquidationThreshold == 0
+            ) revert InvalidEModeCategory(params.eModeCategory);
+            supportedTokens[token].eModeCategory = params.eModeCategory;
+        }
+        emit NewVaultSetup(token, params);
+    }
+}
@@ -5,39 +5,118 @@ pragma solidity ^0.8.18;
 import {TokenSupport} from "./TokenSupport.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
 import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import "./interfaces/PoolStructs.sol";
+import "./interfaces/INFTValuation.sol";
 
 /**
  * @title NFT Collateral
- * @dev used for handling the deposit and withdrawal of NFTs as collateral.
+ * @dev used for handling the deposit and withdrawal of NFTs (ERC721 and ERC1155) as collateral.
  */
-contract NFTCollateral is TokenSupport, IERC721Receiver {
+contract NFTCollateral is TokenSupport, IERC721Receiver, IERC1155Receiver {
     using EnumerableSet for EnumerableSet.UintSet;
 
     error InvalidNFT();
+    error InvalidNFTValue(address nftAddress, uint256 tokenId);
 
     // track deposited NFTs for each user and NFT collection
     mapping(address user => mapping(address nft => EnumerableSet.UintSet tokenIds)) depositedNFT;
+    // track deposited ERC1155 amounts for each user, NFT collection and tokenId
+    mapping(address user => mapping(address nft => mapping(uint256 tokenId => uint256 amount))) depositedERC1155;
+    // NFT collection => number of deposited tokenIds over all users (used to delist a collection once empty)
+    mapping(address nft => uint256 count) internal nftDepositsCount;
+    // NFT collection => listing => appraisal oracle valuing each tokenId (zero address to use collection floor price)
+    mapping(address => mapping(uint256 => address)) internal nftValuations;
+    // NFT collection => listing => tokenId => trait tier multiplier applied to floor price (0 means x1)
+    mapping(address => mapping(uint256 => mapping(uint256 => uint256)))
+        internal nftTierMultipliers;
 
     /**
      * @dev Internal function to deposit an NFT into the contract.
-     * @dev will revert if NFT is not allowed as collateral.
+     * @dev will revert if NFT is not allowed as collateral or is an ERC1155 collection.
      * @param nftAddress The address of the NFT contract.
      * @param tokenId The ID of the NFT.
      */
     function _depositNFT(address nftAddress, uint256 tokenId) internal {
         allowedToken(nftAddress);
+        notFrozen(nftAddress);
+        if (isERC1155(nftAddress))
+            revert InvalidTokenType(supportedTokens[nftAddress].tokenType);
         IERC721(nftAddress).safeTransferFrom(
             msg.sender,
             address(this),
             tokenId
         );
-        depositedNFT[msg.sender][nftAddress].add(tokenId);
+        if (depositedNFT[msg.sender][nftAddress].add(tokenId))
+            ++nftDepositsCount[nftAddress];
+    }
+
+    /**
+     * @dev Internal function to deposit ERC1155 tokens into the contract.
+     * @dev will revert if collection is not allowed as ERC1155 collateral.
+     * @param nftAddress The address of the ERC1155 contract.
+     * @param tokenId The ID of the token.
+     * @param amount The amount of tokens to deposit.
+     */
+    function _depositERC1155(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    ) internal {
+        allowedToken(nftAddress);
+        notFrozen(nftAddress);
+        if (!isERC1155(nftAddress))
+            revert InvalidTokenType(supportedTokens[nftAddress].tokenType);
+        if (amount == 0) revert InvalidNFT();
+        IERC1155(nftAddress).safeTransferFrom(
+            msg.sender,
+            address(this),
+            tokenId,
+            amount,
+            ""
+        );
+        if (depositedNFT[msg.sender][nftAddress].add(tokenId))
+            ++nftDepositsCount[nftAddress];
+        depositedERC1155[msg.sender][nftAddress][tokenId] += amount;
+    }
+
+    /**
+     * @dev Internal function to withdraw ERC1155 tokens from the contract.
+     * @dev will revert if owner did not deposit enough tokens.
+     * @param owner The current owner of the tokens.
+     * @param recipient The recipient of the withdrawn tokens.
+     * @param nftAddress The address of the ERC1155 contract.
+     * @param tokenId The ID of the token.
+     * @param amount The amount of tokens to withdraw.
+     */
+    function _withdrawERC1155(
+        address owner,
+        address recipient,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    ) internal {
+        uint256 deposited = depositedERC1155[owner][nftAddress][tokenId];
+        if (amount == 0 || amount > deposited) revert InvalidNFT();
+        depositedERC1155[owner][nftAddress][tokenId] = deposited - amount;
+        if (amount == deposited) {
+            depositedNFT[owner][nftAddress].remove(tokenId);
+            --nftDepositsCount[nftAddress];
+        }
+        IERC1155(nftAddress).safeTransferFrom(
+            address(this),
+            recipient,
+            tokenId,
+            amount,
+            ""
+        );
     }
 
     /**
      * @dev Internal function to withdraw an NFT from the contract.
+     * @dev withdraws the whole deposited balance for ERC1155 tokens.
      * @dev will revert if owner did not deposit NFT.
      * @param owner The current owner of the NFT.
      * @param recipient The recipient of the withdrawn NFT.
@@ -51,10 +130,84 @@ contract NFTCollateral is TokenSupport, IERC721Receiver {
         uint256 tokenId
     ) internal {
         if (!hasDepositedNFT(owner, nftAddress, tokenId)) revert InvalidNFT();
+        if (isERC1155(nftAddress)) {
+            _withdrawERC1155(
+                owner,
+                recipient,
+                nftAddress,
+                tokenId,
+                depositedERC1155[owner][nftAddress][tokenId]
+            );
+            return;
+        }
         depositedNFT[owner][nftAddress].remove(tokenId);
+        --nftDepositsCount[nftAddress];
         IERC721(nftAddress).safeTransferFrom(address(this), recipient, tokenId);
     }
 
+    /**
+     * @dev Internal function to transfer an amount of NFT tokens (always 1 for ERC721).
+     * @param nftAddress The address of the NFT contract.
+     * @param from The current holder of the NFT.
+     * @param to The recipient of the NFT.
+     * @param tokenId The ID of the NFT.
+     * @param amount The amount of tokens to transfer, ignored for ERC721.
+     */
+    function _transferNFT(
+        address nftAddress,
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount
+    ) internal {
+        if (isERC1155(nftAddress)) {
+            IERC1155(nftAddress).safeTransferFrom(
+                from,
+                to,
+                tokenId,
+                amount,
+                ""
+            );
+        } else {
+            IERC721(nftAddress).safeTransferFrom(from, to, tokenId);
+        }
+    }
+
+    /**
+     * @dev Internal function to move an amount of a deposited NFT to another account, NFT stays in the contract.
+     * @dev will revert if from did not deposit enough tokens.
+     * @param from The current owner of the NFT.
+     * @param to The new owner of the NFT.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT.
+     * @param amount The amount of tokens to move, ignored for ERC721.
+     */
+    function _moveDepositedNFT(
+        address from,
+        address to,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    ) internal {
+        if (!hasDepositedNFT(from, nftAddress, tokenId)) revert InvalidNFT();
+        if (isERC1155(nftAddress)) {
+            uint256 deposited = depositedERC1155[from][nftAddress][tokenId];
+            if (amount == 0 || amount > deposited) revert InvalidNFT();
+            depositedERC1155[from][nftAddress][tokenId] = deposited - amount;
+            depositedERC1155[to][nftAddress][tokenId] += amount;
+            // from keeps the remaining tokens
+            if (amount != deposited) {
+                if (depositedNFT[to][nftAddress].add(tokenId))
+                    ++nftDepositsCount[nftAddress];
+                return;
+            }
+        }
+        depositedNFT[from][nftAddress].remove(tokenId);
+        // ERC1155 tokenId may already be deposited by the new owner
+        if (!depositedNFT[to][nftAddress].add(tokenId))
+            --nftDepositsCount[nftAddress];
+    }
+
     /**
      * @dev Checks if a specific NFT has been deposited by a user.
      * @param account The address of the user.
@@ -70,6 +223,22 @@ contract NFTCollateral is TokenSupport, IERC721Receiver {
         return depositedNFT[account][nftAddress].contains(tokenId);
     }
 
+    /**
+     * @dev Gets the amount of a specific NFT deposited by a user (0 or 1 for ERC721).
+     * @param account The address of the user.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT.
+     */
+    function getDepositedNFTAmount(
+        address account,
+        address nftAddress,
+        uint256 tokenId
+    ) public view returns (uint256) {
+        if (isERC1155(nftAddress))
+            return depositedERC1155[account][nftAddress][tokenId];
+        return hasDepositedNFT(account, nftAddress, tokenId) ? 1 : 0;
+    }
+
     /**
      * @dev Gets the list of NFTs deposited by a user for a specific NFT contract.
      * @param account The address of the user.
@@ -94,6 +263,91 @@ contract NFTCollateral is TokenSupport, IERC721Receiver {
         return depositedNFT[account][nftAddress].length();
     }
 
+    /**
+     * @dev Checks if a NFT collection is supported as ERC1155 collateral.
+     * @param nftAddress The address of the NFT contract.
+     */
+    function isERC1155(address nftAddress) internal view returns (bool) {
+        return
+            supportedTokens[nftAddress].tokenType ==
+            PoolStructs.TokenType.ERC1155;
+    }
+
+    /**
+     * @dev Gets the USD value of a specific NFT (one unit for ERC1155).
+     * @dev uses the collection appraisal oracle if set, otherwise the collection floor price weighted by the token trait tier multiplier.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT.
+     */
+    function getNFTValue(
+        address nftAddress,
+        uint256 tokenId
+    ) public view returns (uint256) {
+        address valuation = nftValuations[nftAddress][
+            tokenListings[nftAddress]
+        ];
+        if (valuation != address(0))
+            return appraisedValue(valuation, nftAddress, tokenId);
+        uint256 floorPrice = getTokenPrice(nftAddress);
+        uint256 multiplier = nftTierMultipliers[nftAddress][
+            tokenListings[nftAddress]
+        ][tokenId];
+        return multiplier == 0 ? floorPrice : (floorPrice * multiplier) / BPS;
+    }
+
+    /**
+     * @dev Gets the USD value of a specific NFT from the collection appraisal oracle.
+     * @dev reverts if the value is zero, older than the collection heartbeat or outside of the collection price bounds.
+     * @dev reverts while the L2 sequencer is down or within its grace period, as appraisals have no feed rounds to validate.
+     * @param valuation The collection INFTValuation oracle address.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT.
+     */
+    function appraisedValue(
+        address valuation,
+        address nftAddress,
+        uint256 tokenId
+    ) internal view returns (uint256 value) {
+        checkSequencerUp();
+        uint256 updatedAt;
+        (value, updatedAt) = INFTValuation(valuation).getTokenValue(
+            nftAddress,
+            tokenId
+        );
+        PoolStructs.PriceBounds memory bounds = priceBounds[nftAddress];
+        if (
+            value == 0 ||
+            block.timestamp - updatedAt >
+            supportedTokens[nftAddress].heartbeat ||
+            value < bounds.minPrice ||
+            (bounds.maxPrice != 0 && value > bounds.maxPrice)
+        ) revert InvalidNFTValue(nftAddress, tokenId);
+    }
+
+    /**
+     * @dev Gets the total USD value of the NFTs deposited by a user for a specific NFT contract.
+     * @param account The address of the user.
+     * @param nftAddress The address of the NFT contract.
+     */
+    function getDepositedNFTsValue(
+        address account,
+        address nftAddress
+    ) public view returns (uint256 totalValueUSD) {
+        EnumerableSet.UintSet storage tokenIds = depositedNFT[account][
+            nftAddress
+        ];
+        uint256 len = tokenIds.length();
+        for (uint256 i; i < len; ) {
+            uint256 tokenId = tokenIds.at(i);
+            totalValueUSD +=
+                getNFTValue(nftAddress, tokenId) *
+                getDepositedNFTAmount(account, nftAddress, tokenId);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
     /**
      * @dev ERC721 receiver callback to accept incoming NFT transfers.
      */
@@ -105,4 +359,42 @@ contract NFTCollateral is TokenSupport, IERC721Receiver {
     ) external pure override returns (bytes4) {
         return IERC721Receiver.onERC721Received.selector;
     }
+
+    /**
+     * @dev ERC1155 receiver callback to accept incoming tokens transfers.
+     */
+    function onERC1155Received(
+        address,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external pure override returns (bytes4) {
+        return IERC1155Receiver.onERC1155Received.selector;
+    }
+
+    /**
+     * @dev ERC1155 receiver callback to accept incoming batch tokens transfers.
+     */
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external pure override returns (bytes4) {
+        return IERC1155Receiver.onERC1155BatchReceived.selector;
+    }
+
+    /**
+     * @dev ERC165 support for the ERC721 and ERC1155 receiver interfaces.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) external pure override returns (bool) {
+        return
+            interfaceId == type(IERC1155Receiver).interfaceId ||
+            interfaceId == type(IERC721Receiver).interfaceId ||
+            interfaceId == type(IERC165).interfaceId;
+    }
 }
@@ -19,10 +19,27 @@ contract TokenSupport is Constants {
 
     // list of all supported ERC20 tokens
     address[] internal supportedERC20s;
-    // list of all supported NFT ERC721 tokens
+    // list of all supported NFT (ERC721 and ERC1155) tokens
     address[] internal supportedNFTs;
     // token => SupportedToken
     mapping(address => PoolStructs.SupportedToken) internal supportedTokens;
+    // token => fallback price source used when the primary feed is unusable
+    mapping(address => PoolStructs.FallbackOracle) internal fallbackOracles;
+    // token => USD price pushed by governance (used as fallback source)
+    mapping(address => PoolStructs.GovernancePrice) internal governancePrices;
+    // token => price feed change waiting for its timelock
+    mapping(address => PoolStructs.PendingPriceFeed) internal pendingPriceFeeds;
+    // token => fallback price source change waiting for its timelock
+    mapping(address => PoolStructs.PendingFallbackOracle)
+        internal pendingFallbackOracles;
+    // token => governance configured price bounds (circuit breaker)
+    mapping(address => PoolStructs.PriceBounds) internal priceBounds;
+    // token => number of times it was listed, scopes the settings keyed by user or tokenId to the current listing
+    mapping(address => uint256) internal tokenListings;
+    // L2 sequencer uptime feed, not checked if not set (L1 deployments)
+    address internal sequencerUptimeFeed;
+    // delay after the sequencer is back up before prices are accepted again
+    uint256 internal sequencerGracePeriod;
 
     //--------------------------------------------------------------------
     /** ERRORS */
@@ -30,20 +47,26 @@ contract TokenSupport is Constants {
     error TokenNotSupported();
     error AlreadySupported(address token);
     error InvalidTokenType(PoolStructs.TokenType tokenType);
+    error TokenIsFrozen(address token);
+    error SequencerDown();
+    error SequencerGracePeriodNotOver();
+    error PriceDeviationTooHigh(address token);
 
     //--------------------------------------------------------------------
     /** EVENTS */
 
     event AddSupportedToken(address token, PoolStructs.TokenType tokenType);
+    event RemoveSupportedToken(address token);
+    event FallbackPriceUsed(address token, uint256 price);
 
     //--------------------------------------------------------------------
     /** FUNCTIONS */
 
     /**
-     * @dev Adds support for a new ERC20 or ERC721 token.
+     * @dev Adds support for a new ERC20, ERC721 or ERC1155 token.
      * @param token The address of the token.
      * @param priceFeed The address of the Chainlink price feed.
-     * @param tokenType The type of the token (ERC20 or ERC721).
+     * @param tokenType The type of the token (ERC20, ERC721 or ERC1155).
      */
     function addSupportedToken(
         address token,
@@ -51,36 +74,259 @@ contract TokenSupport is Constants {
         PoolStructs.TokenType tokenType
     ) internal {
         if (supportedTokens[token].supported) revert AlreadySupported(token);
-        if (uint256(tokenType) > 1) revert InvalidTokenType(tokenType);
+        if (uint256(tokenType) > 2) revert InvalidTokenType(tokenType);
 
         supportedTokens[token].usdPriceFeed = priceFeed;
         supportedTokens[token].tokenType = tokenType;
         supportedTokens[token].supported = true;
+        supportedTokens[token].heartbeat = uint64(DEFAULT_PRICE_FEED_HEARTBEAT);
+        supportedTokens[token].priceDecimals = AggregatorV3Interface(priceFeed)
+            .decimals();
+        ++tokenListings[token];
 
-        if (tokenType == PoolStructs.TokenType.ERC721) {
-            supportedNFTs.push(token);
-        } else {
+        if (tokenType == PoolStructs.TokenType.ERC20) {
             supportedERC20s.push(token);
+        } else {
+            supportedNFTs.push(token);
         }
 
         emit AddSupportedToken(token, tokenType);
     }
 
+    /**
+     * @dev Removes support of an ERC20, ERC721 or ERC1155 token.
+     * @dev token order in the supported lists is not preserved, caller must ensure that no positions remain.
+     * @param token The address of the token.
+     */
+    function removeSupportedToken(address token) internal {
+        address[] storage tokens = supportedTokens[token].tokenType ==
+            PoolStructs.TokenType.ERC20
+            ? supportedERC20s
+            : supportedNFTs;
+        uint256 len = tokens.length;
+        for (uint256 i; i < len; ) {
+            if (tokens[i] == token) {
+                tokens[i] = tokens[len - 1];
+                tokens.pop();
+                break;
+            }
+            unchecked {
+                ++i;
+            }
+        }
+        delete supportedTokens[token];
+
+        emit RemoveSupportedToken(token);
+    }
+
     /**
      * @dev Gets the USD price of a supported token using Chainlink Oracle.
+     * @dev falls back to the token fallback source if the primary feed is stale or invalid.
+     * @dev reverts if the primary feed deviates from the fallback source by more than its max deviation.
      * @param token The address of the token.
      */
     function getTokenPrice(address token) public view returns (uint256 price) {
-        if (!supportedTokens[token].supported) return 0;
-        AggregatorV3Interface priceFeed = AggregatorV3Interface(
-            supportedTokens[token].usdPriceFeed
-        );
-        price = priceFeed.getPrice();
+        (price, ) = tokenPrice(token);
+    }
+
+    /**
+     * @dev Gets the primary price feed status of a token, used to know when its price will expire.
+     * @param token The address of the token.
+     * @return heartbeat The max delay between two feed updates.
+     * @return decimals The feed answer decimals.
+     * @return updatedAt The timestamp of the feed last update.
+     * @return expiresAt The timestamp after which the feed price is stale.
+     */
+    function getPriceFeedStatus(
+        address token
+    )
+        external
+        view
+        returns (
+            uint256 heartbeat,
+            uint8 decimals,
+            uint256 updatedAt,
+            uint256 expiresAt
+        )
+    {
+        allowedToken(token);
+        PoolStructs.SupportedToken storage supportedToken = supportedTokens[
+            token
+        ];
+        heartbeat = supportedToken.heartbeat;
+        decimals = supportedToken.priceDecimals;
+        updatedAt = AggregatorV3Interface(supportedToken.usdPriceFeed)
+            .getUpdatedAt();
+        expiresAt = updatedAt + heartbeat;
+    }
+
+    /**
+     * @dev Gets the support configuration of a token (price feed, type and collateral factors).
+     * @param token The address of the token.
+     */
+    function getSupportedToken(
+        address token
+    ) external view returns (PoolStructs.SupportedToken memory) {
+        return supportedTokens[token];
     }
 
     //--------------------------------------------------------------------
     /** INTERNAL FUNCTIONS */
 
+    /**
+     * @dev Gets the USD price of a supported token, emits an event if the fallback source is used.
+     * @param token The address of the token.
+     */
+    function _fetchTokenPrice(address token) internal returns (uint256 price) {
+        bool usedFallback;
+        (price, usedFallback) = tokenPrice(token);
+        if (usedFallback) emit FallbackPriceUsed(token, price);
+    }
+
+    /**
+     * @dev Gets the USD price of a supported token from its primary feed, or from its fallback source if the primary feed is stale or invalid.
+     * @dev reverts if both sources are unusable, or if both are valid but deviate by more than the fallback max deviation.
+     * @param token The address of the token.
+     * @return price The token USD price (18 decimals).
+     * @return usedFallback True if the price comes from the fallback source.
+     */
+    function tokenPrice(
+        address token
+    ) internal view returns (uint256 price, bool usedFallback) {
+        if (!supportedTokens[token].supported) return (0, false);
+        PoolStructs.SupportedToken memory supportedToken = supportedTokens[
+            token
+        ];
+        AggregatorV3Interface priceFeed = AggregatorV3Interface(
+            supportedToken.usdPriceFeed
+        );
+        PoolStructs.FallbackOracle memory fallbackOracle = fallbackOracles[
+            token
+        ];
+        if (fallbackOracle.source == PoolStructs.FallbackSource.NONE)
+            return (
+                priceFeed.getPrice(
+                    supportedToken.heartbeat,
+                    supportedToken.priceDecimals
+                ),
+                false
+            );
+
+        bool valid;
+        (valid, price) = priceFeed.tryGetPrice(
+            supportedToken.heartbeat,
+            supportedToken.priceDecimals
+        );
+        (bool fallbackValid, uint256 fallbackPrice) = tryGetFallbackPrice(
+            token,
+            fallbackOracle
+        );
+        if (valid) {
+            // primary feed is preferred, but not used if the fallback source disagrees
+            if (fallbackValid) {
+                uint256 deviation = price > fallbackPrice
+                    ? price - fallbackPrice
+                    : fallbackPrice - price;
+                if (deviation * BPS > price * fallbackOracle.maxDeviation)
+                    revert PriceDeviationTooHigh(token);
+            }
+            return (price, false);
+        }
+        if (!fallbackValid) revert ChainlinkOracle.InvalidPrice();
+        return (fallbackPrice, true);
+    }
+
+    /**
+     * @dev Gets the token price from its fallback source without reverting.
+     * @param token The address of the token.
+     * @param fallbackOracle The token fallback source.
+     */
+    function tryGetFallbackPrice(
+        address token,
+        PoolStructs.FallbackOracle memory fallbackOracle
+    ) internal view returns (bool valid, uint256 price) {
+        if (fallbackOracle.source == PoolStructs.FallbackSource.PRICE_FEED)
+            return
+                AggregatorV3Interface(fallbackOracle.priceFeed).tryGetPrice(
+                    fallbackOracle.heartbeat,
+                    fallbackOracle.priceDecimals
+                );
+
+        PoolStructs.GovernancePrice memory governancePrice = governancePrices[
+            token
+        ];
+        valid =
+            governancePrice.price != 0 &&
+            block.timestamp - governancePrice.updatedAt <=
+            GOVERNANCE_PRICE_TIMEOUT;
+        price = governancePrice.price;
+    }
+
+    /**
+     * @dev Checks if a token price is within its governance configured bounds.
+     * @dev also checks the change between the two latest primary feed answers.
+     * @param token The address of the token.
+     * @return withinBounds False if the token circuit breaker should be triggered.
+     * @return price The token USD price (18 decimals).
+     */
+    function priceWithinBounds(
+        address token
+    ) internal view returns (bool withinBounds, uint256 price) {
+        PoolStructs.PriceBounds memory bounds = priceBounds[token];
+        if (
+            bounds.minPrice == 0 &&
+            bounds.maxPrice == 0 &&
+            bounds.maxPriceChange == 0
+        ) return (true, 0);
+
+        (price, ) = tokenPrice(token);
+        if (
+            price < bounds.minPrice ||
+            (bounds.maxPrice != 0 && price > bounds.maxPrice)
+        ) return (false, price);
+
+        if (bounds.maxPriceChange != 0) {
+            (
+                bool valid,
+                uint256 answer,
+                uint256 previousAnswer
+            ) = AggregatorV3Interface(supportedTokens[token].usdPriceFeed)
+                    .tryGetLatestAnswers();
+            if (valid) {
+                uint256 change = answer > previousAnswer
+                    ? answer - previousAnswer
+                    : previousAnswer - answer;
+                if (change * BPS > previousAnswer * bounds.maxPriceChange)
+                    return (false, price);
+            }
+        }
+        return (true, price);
+    }
+
+    /**
+     * @dev Checks that the L2 sequencer is up and that its grace period has passed.
+     * @dev used to block borrows and liquidations while oracle prices may be stale after a sequencer outage.
+     */
+    function checkSequencerUp() internal view {
+        if (sequencerUptimeFeed == address(0)) return;
+        // answer == 0: sequencer is up, answer == 1: sequencer is down
+        (, int256 answer, uint256 startedAt, , ) = AggregatorV3Interface(
+            sequencerUptimeFeed
+        ).latestRoundData();
+        // startedAt == 0: uptime feed round not initialized
+        if (answer != 0 || startedAt == 0) revert SequencerDown();
+        if (block.timestamp - startedAt <= sequencerGracePeriod)
+            revert SequencerGracePeriodNotOver();
+    }
+
+    /**
+     * @dev Checks that a token is not frozen.
+     * @param token The address of the token.
+     */
+    function notFrozen(address token) internal view {
+        if (supportedTokens[token].frozen) revert TokenIsFrozen(token);
+    }
+
     /**
      * @dev Checks if a token is supported.
      * @param token The address of the token.
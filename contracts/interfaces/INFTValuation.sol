@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+interface INFTValuation {
+    /**
+     * @dev Gets the appraised USD value of a specific NFT.
+     * @param nftAddress address of the NFT collection.
+     * @param tokenId The ID of the NFT.
+     * @return value The NFT USD value (18 decimals).
+     * @return updatedAt The timestamp of the NFT value last update.
+     */
+    function getTokenValue(
+        address nftAddress,
+        uint256 tokenId
+    ) external view returns (uint256 value, uint256 updatedAt);
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+interface ISwapAdapter {
+    /**
+     * @dev Swaps the received input tokens, the output tokens are then pulled by the caller.
+     * @dev `amountIn` of `tokenIn` is transferred to the adapter before the call, adapter must approve `amountOut` of `tokenOut` to the caller.
+     * @param tokenIn The address of the token to swap.
+     * @param tokenOut The address of the token to receive.
+     * @param amountIn The amount of input tokens.
+     * @param data Arbitrary data structure, intended to contain user-defined parameters.
+     * @return amountOut The amount of output tokens approved to the caller.
+     */
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        bytes calldata data
+    ) external returns (uint256 amountOut);
+
+    /**
+     * @dev Swaps the received input tokens for an exact amount of output tokens, pulled by the caller with the unused input tokens.
+     * @dev `maxAmountIn` of `tokenIn` is transferred to the adapter before the call, adapter must approve `amountOut` of `tokenOut` and `maxAmountIn - amountIn` of `tokenIn` to the caller.
+     * @param tokenIn The address of the token to swap.
+     * @param tokenOut The address of the token to receive.
+     * @param amountOut The amount of output tokens.
+     * @param maxAmountIn The maximum amount of input tokens.
+     * @param data Arbitrary data structure, intended to contain user-defined parameters.
+     * @return amountIn The amount of input tokens spent.
+     */
+    function swapExactOut(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountOut,
+        uint256 maxAmountIn,
+        bytes calldata data
+    ) external returns (uint256 amountIn);
+}
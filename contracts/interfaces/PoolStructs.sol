@@ -5,13 +5,32 @@ pragma solidity ^0.8.18;
 interface PoolStructs {
     enum TokenType {
         ERC20,
-        ERC721
+        ERC721,
+        ERC1155
+    }
+
+    enum FallbackSource {
+        NONE,
+        PRICE_FEED,
+        GOVERNANCE
     }
 
     struct SupportedToken {
         address usdPriceFeed;
         TokenType tokenType;
         bool supported;
+        // max delay between two price feed updates before its price is stale
+        uint64 heartbeat;
+        // price feed answer decimals (read from the feed on listing)
+        uint8 priceDecimals;
+        // frozen tokens can't be supplied, deposited or borrowed (repay and withdraw still allowed)
+        bool frozen;
+        uint64 loanToValue;
+        uint64 liquidationThreshold;
+        bool isolated;
+        // max debt borrowed against an isolated token, in borrowed amounts scaled to 18 decimals (not USD)
+        uint128 debtCeiling;
+        uint8 eModeCategory;
     }
 
     struct AccountShares {
@@ -30,6 +49,37 @@ interface PoolStructs {
         VaultInfo vaultInfo;
     }
 
+    struct LiquidationParams {
+        // liquidator bonus for ERC20 collateral, buy price discount for NFT collateral
+        uint64 liquidationBonus;
+        // protocol cut of the liquidation bonus (or NFT discount)
+        uint64 protocolLiquidationFee;
+        uint64 closeFactor;
+        // full liquidation is allowed below this health factor (1e18 precision)
+        uint64 closeFactorHFThreshold;
+        // NFT collections only
+        uint64 warningDelay;
+        uint64 liquidatorDelay;
+        // NFT sold through an english auction if non zero, else at discounted floor price
+        uint64 auctionDuration;
+    }
+
+    struct NFTAuction {
+        address highestBidder;
+        uint64 endTime;
+        // auctioned amount, always 1 for ERC721
+        uint128 amount;
+        uint128 highestBid;
+        uint128 minBid;
+    }
+
+    struct IsolatedDebt {
+        // isolated token the debt was borrowed against
+        address collateral;
+        // borrowed amounts (scaled to 18 decimals) counted in the isolated token debt ceiling
+        uint128 debt;
+    }
+
     struct LiquidateWarn {
         address liquidator;
         uint64 liquidationTimestamp;
@@ -46,6 +96,10 @@ interface PoolStructs {
         uint64 slope1;
         uint64 slope2;
         uint256 optimalUtilization;
+        uint128 supplyCap;
+        uint128 borrowCap;
+        // must only be set for USD stablecoins as the debt ceiling is not priced
+        bool borrowableInIsolation;
     }
 
     struct VaultSetupParams {
@@ -56,5 +110,62 @@ interface PoolStructs {
         uint64 slope1;
         uint64 slope2;
         uint256 optimalUtilization;
+        uint64 loanToValue;
+        uint64 liquidationThreshold;
+        uint128 supplyCap;
+        uint128 borrowCap;
+        bool isolated;
+        bool borrowableInIsolation;
+        uint128 debtCeiling;
+        uint8 eModeCategory;
+    }
+
+    struct EModeCategory {
+        uint64 loanToValue;
+        uint64 liquidationThreshold;
+        uint64 liquidationBonus;
+    }
+
+    struct FallbackOracle {
+        FallbackSource source;
+        address priceFeed;
+        uint64 maxDeviation;
+        // PRICE_FEED source only
+        uint64 heartbeat;
+        // read from the fallback feed when set
+        uint8 priceDecimals;
+    }
+
+    struct GovernancePrice {
+        uint128 price;
+        uint64 updatedAt;
+    }
+
+    struct PendingPriceFeed {
+        address priceFeed;
+        uint64 heartbeat;
+        uint64 executableAt;
+    }
+
+    struct PendingFallbackOracle {
+        FallbackOracle fallbackOracle;
+        uint64 executableAt;
+    }
+
+    struct PriceBounds {
+        // USD prices (18 decimals), 0 disables the bound
+        uint128 minPrice;
+        uint128 maxPrice;
+        // max change between two price feed updates (1e5 precision), 0 disables the check
+        uint64 maxPriceChange;
+    }
+
+    // logic modules executed by the lending pool with delegatecall
+    struct LogicModules {
+        address position;
+        address liquidation;
+        address nftLiquidation;
+        address flashLoan;
+        address admin;
     }
 }
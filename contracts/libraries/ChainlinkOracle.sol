@@ -7,40 +7,126 @@ import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/interfaces/Ag
 library ChainlinkOracle {
     error InvalidPrice();
 
-    // duration after which returned price is considered outdated
-    uint256 private constant TIMEOUT = 2 hours;
-
-    // chainlink USD feed are in 8 decimals
-    // need to multiply by 10^10 to return price in 18 decimals
-    uint256 private constant USD_ORACLE_DECIMALS = 10;
+    // returned prices are scaled to 18 decimals whatever the feed decimals
+    uint256 private constant PRICE_DECIMALS = 18;
 
     /// @notice Fetch token price using chainlink price feeds
     /// @dev Checks that returned price is positive and not stale
     /// @param priceFeed chainlink aggregator interface
+    /// @param heartbeat duration after which the feed price is considered outdated
+    /// @param decimals decimals of the feed answer
     /// @return price of the token in USD (scaled by 18 decimals)
     function getPrice(
-        AggregatorV3Interface priceFeed
+        AggregatorV3Interface priceFeed,
+        uint256 heartbeat,
+        uint8 decimals
     ) internal view returns (uint256 price) {
-        (
+        bool valid;
+        (valid, price) = tryGetPrice(priceFeed, heartbeat, decimals);
+        if (!valid) revert InvalidPrice();
+    }
+
+    /// @notice Fetch token price using chainlink price feeds without reverting
+    /// @dev Returned price is invalid if the feed reverts, is not positive or is older than heartbeat
+    /// @param priceFeed chainlink aggregator interface (or any feed exposing the same interface)
+    /// @param heartbeat duration after which the feed price is considered outdated
+    /// @param decimals decimals of the feed answer
+    /// @return valid True if the returned price can be used
+    /// @return price of the token in USD (scaled by 18 decimals)
+    function tryGetPrice(
+        AggregatorV3Interface priceFeed,
+        uint256 heartbeat,
+        uint8 decimals
+    ) internal view returns (bool valid, uint256 price) {
+        try priceFeed.latestRoundData() returns (
             uint80 roundId,
             int256 answer,
-            ,
+            uint256,
             uint256 updatedAt,
             uint80 answeredInRound
-        ) = priceFeed.latestRoundData();
+        ) {
+            if (
+                answer <= 0 ||
+                updatedAt == 0 ||
+                answeredInRound < roundId ||
+                block.timestamp - updatedAt > heartbeat
+            ) return (false, 0);
+            return (true, scalePrice(uint256(answer), decimals));
+        } catch {
+            return (false, 0);
+        }
+    }
 
-        if (
-            answer <= 0 ||
-            updatedAt == 0 ||
-            answeredInRound < roundId ||
-            block.timestamp - updatedAt > TIMEOUT
-        ) revert InvalidPrice();
+    /// @notice Fetch the two latest answers of a price feed without reverting
+    /// @dev Returned answers are invalid if the feed reverts, has no previous round or any answer is not positive
+    /// @param priceFeed chainlink aggregator interface
+    /// @return valid True if the returned answers can be used
+    /// @return answer latest feed answer (feed decimals)
+    /// @return previousAnswer previous round feed answer (feed decimals)
+    function tryGetLatestAnswers(
+        AggregatorV3Interface priceFeed
+    )
+        internal
+        view
+        returns (bool valid, uint256 answer, uint256 previousAnswer)
+    {
+        try priceFeed.latestRoundData() returns (
+            uint80 roundId,
+            int256 latestAnswer,
+            uint256,
+            uint256,
+            uint80
+        ) {
+            if (roundId == 0 || latestAnswer <= 0) return (false, 0, 0);
+            try priceFeed.getRoundData(roundId - 1) returns (
+                uint80,
+                int256 previousRoundAnswer,
+                uint256,
+                uint256,
+                uint80
+            ) {
+                if (previousRoundAnswer <= 0) return (false, 0, 0);
+                return (
+                    true,
+                    uint256(latestAnswer),
+                    uint256(previousRoundAnswer)
+                );
+            } catch {
+                return (false, 0, 0);
+            }
+        } catch {
+            return (false, 0, 0);
+        }
+    }
 
-        price = uint256(answer) * 10 ** USD_ORACLE_DECIMALS;
+    /// @notice Get the timestamp of the feed last update
+    /// @dev Returns 0 if the feed reverts
+    /// @param priceFeed chainlink aggregator interface
+    function getUpdatedAt(
+        AggregatorV3Interface priceFeed
+    ) internal view returns (uint256) {
+        try priceFeed.latestRoundData() returns (
+            uint80,
+            int256,
+            uint256,
+            uint256 updatedAt,
+            uint80
+        ) {
+            return updatedAt;
+        } catch {
+            return 0;
+        }
     }
 
-    /// @notice Get timeout duration after which prices are considered stale
-    function getTimeout(AggregatorV3Interface) public pure returns (uint256) {
-        return TIMEOUT;
+    /// @notice Scale a feed answer to 18 decimals
+    /// @param answer feed answer
+    /// @param decimals decimals of the feed answer
+    function scalePrice(
+        uint256 answer,
+        uint8 decimals
+    ) internal pure returns (uint256) {
+        if (decimals <= PRICE_DECIMALS)
+            return answer * 10 ** (PRICE_DECIMALS - decimals);
+        return answer / 10 ** (decimals - PRICE_DECIMALS);
     }
 }
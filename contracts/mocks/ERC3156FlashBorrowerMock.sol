@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+
+/// @title Simple EIP-3156 FlashBorrower mock
+/// @author kaymen99
+/// @notice will do anything with flashlaoned amount
+contract ERC3156FlashBorrowerMock is IERC3156FlashBorrower {
+    address private immutable lender;
+
+    constructor(address _lender) {
+        lender = _lender;
+    }
+
+    /**
+     * @dev Receive a flash loan.
+     * @param initiator The initiator of the loan.
+     * @param token The loan currency.
+     * @param amount The amount of tokens lent.
+     * @param fee The additional amount of tokens to repay.
+     * @param data Arbitrary data structure, intended to contain user-defined parameters.
+     * @return The keccak256 hash of "ERC3156FlashBorrower.onFlashLoan"
+     */
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external returns (bytes32) {
+        require(msg.sender == lender, "untrusted lender");
+        // do user operations
+
+        IERC20(token).approve(lender, amount + fee);
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+}
+
+/// @title Bad EIP-3156 FlashBorrower implementation mock
+/// @author kaymen99
+/// @dev will always return a wrong value in ´onFlashLoan´ callback
+/// @dev should always cause flashloan transaction to revert
+contract BadERC3156FlashBorrowerMock is IERC3156FlashBorrower {
+    /**
+     * @dev Receive a flash loan.
+     * @param initiator The initiator of the loan.
+     * @param token The loan currency.
+     * @param amount The amount of tokens lent.
+     * @param fee The additional amount of tokens to repay.
+     * @param data Arbitrary data structure, intended to contain user-defined parameters.
+     * @return The keccak256 hash of "ERC3156FlashBorrower.onFlashLoan"
+     */
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external returns (bytes32) {
+        // do user operations
+
+        // will always return wrong value which should revert the flashloan tx
+        return bytes32(0);
+    }
+}
@@ -4,11 +4,16 @@ pragma solidity ^0.8.0;
 
 import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
 
 /// @title Simple FlashAirdropReceiver mock
 /// @author kaymen99
 /// @notice will do anything with flashlaoned amount
 contract FlashAirdropReceiverMock is IERC721Receiver {
+    // last flashAirdrop initiator and number of claimed airdrops
+    address public lastInitiator;
+    uint256 public airdropsClaimed;
+
     constructor(address pool, address nftAddress) {
         IERC721(nftAddress).setApprovalForAll(address(pool), true);
     }
@@ -28,6 +33,8 @@ contract FlashAirdropReceiverMock is IERC721Receiver {
         bytes calldata data
     ) external returns (bool) {
         // do user operations
+        lastInitiator = initiator;
+        airdropsClaimed += tokenIds.length;
 
         return true;
     }
@@ -43,6 +50,19 @@ contract FlashAirdropReceiverMock is IERC721Receiver {
     ) external pure override returns (bytes4) {
         return IERC721Receiver.onERC721Received.selector;
     }
+
+    /**
+     * @dev ERC1155 receiver callback to accept incoming tokens transfers.
+     */
+    function onERC1155Received(
+        address,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external pure returns (bytes4) {
+        return IERC1155Receiver.onERC1155Received.selector;
+    }
 }
 
 /// @title Bad FlashAirdropReceiver implementation mock
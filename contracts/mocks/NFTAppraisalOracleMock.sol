@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import "../interfaces/INFTValuation.sol";
+
+/// @title Simple NFT appraisal oracle mock
+/// @author kaymen99
+/// @notice returns USD values set manually for each NFT
+contract NFTAppraisalOracleMock is INFTValuation {
+    mapping(address => mapping(uint256 => uint256)) private tokenValues;
+    mapping(address => mapping(uint256 => uint256)) private updatedAts;
+
+    /**
+     * @dev Sets the appraised USD value of a specific NFT.
+     * @param nftAddress address of the NFT collection.
+     * @param tokenId The ID of the NFT.
+     * @param value The NFT USD value (18 decimals).
+     */
+    function setTokenValue(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 value
+    ) external {
+        tokenValues[nftAddress][tokenId] = value;
+        updatedAts[nftAddress][tokenId] = block.timestamp;
+    }
+
+    function getTokenValue(
+        address nftAddress,
+        uint256 tokenId
+    ) external view returns (uint256, uint256) {
+        return (
+            tokenValues[nftAddress][tokenId],
+            updatedAts[nftAddress][tokenId]
+        );
+    }
+}
@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../interfaces/ISwapAdapter.sol";
+
+/// @title Simple DEX swap adapter mock
+/// @author kaymen99
+/// @notice swaps the received tokens at a fixed rate (used for deleverage and collateral swaps)
+/// @dev must hold enough of the output token, deleverage surplus is sent to the initiator
+contract SwapAdapterMock is ISwapAdapter {
+    address private immutable pool;
+    // amount of output token given for 1e18 of input token (raw units)
+    uint256 public rate;
+
+    constructor(address _pool, uint256 _rate) {
+        pool = _pool;
+        rate = _rate;
+    }
+
+    /**
+     * @dev Receive the flashloan used to repay the initiator debt.
+     * @param initiator The initiator of the deleverage.
+     * @param tokens array of tokens addresses lent.
+     * @param amounts array of tokens amounts lent.
+     * @param fees The additional fee amount of paid to the protocol.
+     * @param data abi encoded received collateral address, amount and user data.
+     * @return bool either the operation was successful or not.
+     */
+    function onFlashLoan(
+        address initiator,
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        uint256[] calldata fees,
+        bytes calldata data
+    ) external returns (bool) {
+        (address collateral, uint256 collateralAmount, ) = abi.decode(
+            data,
+            (address, uint256, bytes)
+        );
+        IERC20(collateral).transfer(address(0xdead), collateralAmount);
+
+        uint256 amountOut = (collateralAmount * rate) / 1e18;
+        uint256 amountOwed = amounts[0] + fees[0];
+        if (amountOut < amountOwed) return false;
+
+        IERC20(tokens[0]).approve(pool, amountOwed);
+        IERC20(tokens[0]).transfer(initiator, amountOut - amountOwed);
+        return true;
+    }
+
+    /**
+     * @dev Swaps the received input tokens at the fixed rate.
+     * @param tokenIn The address of the token to swap.
+     * @param tokenOut The address of the token to receive.
+     * @param amountIn The amount of input tokens.
+     * @return amountOut The amount of output tokens approved to the caller.
+     */
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        bytes calldata
+    ) external returns (uint256 amountOut) {
+        IERC20(tokenIn).transfer(address(0xdead), amountIn);
+        amountOut = (amountIn * rate) / 1e18;
+        IERC20(tokenOut).approve(msg.sender, amountOut);
+    }
+
+    /**
+     * @dev Swaps the received input tokens for an exact output amount at the fixed rate.
+     * @param tokenIn The address of the token to swap.
+     * @param tokenOut The address of the token to receive.
+     * @param amountOut The amount of output tokens.
+     * @param maxAmountIn The maximum amount of input tokens.
+     * @return amountIn The amount of input tokens spent.
+     */
+    function swapExactOut(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountOut,
+        uint256 maxAmountIn,
+        bytes calldata
+    ) external returns (uint256 amountIn) {
+        amountIn = (amountOut * 1e18 + rate - 1) / rate;
+        require(amountIn <= maxAmountIn, "too much input");
+        IERC20(tokenIn).transfer(address(0xdead), amountIn);
+        IERC20(tokenIn).approve(msg.sender, maxAmountIn - amountIn);
+        IERC20(tokenOut).approve(msg.sender, amountOut);
+    }
+}
+
+/// @title Malicious swap adapter mock
+/// @author kaymen99
+/// @dev supplies the swapped tokens to the pool on behalf of itself before returning, to test reentrancy
+contract ReentrantSwapAdapterMock {
+    address private immutable pool;
+
+    constructor(address _pool) {
+        pool = _pool;
+    }
+
+    /**
+     * @dev Re-enters the pool supply function with the output tokens.
+     * @param tokenOut The address of the token to receive.
+     * @param amountIn The amount of input tokens, also used as output amount.
+     */
+    function swap(
+        address,
+        address tokenOut,
+        uint256 amountIn,
+        bytes calldata
+    ) external returns (uint256) {
+        IERC20(tokenOut).approve(pool, type(uint256).max);
+        (bool success, bytes memory result) = pool.call(
+            abi.encodeWithSignature(
+                "supply(address,uint256,uint256)",
+                tokenOut,
+                amountIn,
+                0
+            )
+        );
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return amountIn;
+    }
+
+    /**
+     * @dev Keeps the whole input and re-enters the pool supply function with it, reports no input spent.
+     * @param tokenIn The address of the token to swap.
+     * @param maxAmountIn The maximum amount of input tokens.
+     */
+    function swapExactOut(
+        address tokenIn,
+        address,
+        uint256,
+        uint256 maxAmountIn,
+        bytes calldata
+    ) external returns (uint256) {
+        IERC20(tokenIn).approve(pool, type(uint256).max);
+        (bool success, bytes memory result) = pool.call(
+            abi.encodeWithSignature(
+                "supply(address,uint256,uint256)",
+                tokenIn,
+                maxAmountIn,
+                0
+            )
+        );
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return 0;
+    }
+}
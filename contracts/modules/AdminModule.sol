@@ -0,0 +1,503 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import {LendingPoolBase} from "../LendingPoolBase.sol";
+import {VaultAccounting} from "../libraries/VaultAccounting.sol";
+import {PoolStructs} from "../interfaces/PoolStructs.sol";
+import "../libraries/TokenHelper.sol";
+
+/**
+ * @title Lending pool admin module
+ * @author K.Aymen
+ * @notice Implements the owner functions of the lending pool: vaults setup and protocol configuration.
+ * @dev only meant to be called by the LendingPool with delegatecall, which executes it in the pool storage context.
+ */
+contract AdminModule is LendingPoolBase {
+    using VaultAccounting for PoolStructs.Vault;
+    using TokenHelper for address;
+
+    /*//////////////////////////////////////////////////////////////
+                        Owner functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Sets up the vault for a specified ERC20 token, or the collateral factors of an NFT collection.
+     * @dev only called by the owner.
+     * @param token The ERC20 token address.
+     * @param priceFeed The address of the price feed contract for the token.
+     * @param tokenType The type of the token (ERC20, ERC721 or ERC1155).
+     * @param params The parameters for vault setup (see PoolStructs.VaultSetupParams).
+     * @param addToken Boolean indicating whether to add a new supported token or just change the setup of an already added token.
+     */
+    function setupVault(
+        address token,
+        address priceFeed,
+        PoolStructs.TokenType tokenType,
+        PoolStructs.VaultSetupParams memory params,
+        bool addToken
+    ) external onlyOwner {
+        _setupVault(token, priceFeed, tokenType, params, addToken);
+    }
+
+    /**
+     * @notice Freezes or unfreezes a supported token.
+     * @dev only called by the owner.
+     * @dev frozen tokens can't be supplied, deposited or borrowed, repay, withdraw and liquidations are still allowed.
+     * @dev frozen collateral still counts in users health factor.
+     * @param token The address of the token.
+     * @param frozen The new frozen state.
+     */
+    function setTokenFrozen(address token, bool frozen) external onlyOwner {
+        allowedToken(token);
+        supportedTokens[token].frozen = frozen;
+        emit TokenFrozen(token, frozen);
+    }
+
+    /**
+     * @notice Removes a frozen token from the supported tokens once no positions remain.
+     * @dev only called by the owner.
+     * @dev ERC20 vault must have no supply and borrow shares left (protocol fee shares must be claimed first), NFT collection must have no deposited NFTs.
+     * @dev isolated token must have no debt borrowed against it left, users that withdrew it must repay that debt first.
+     * @dev DAI (first vault) can't be delisted as it is used for NFT liquidations.
+     * @dev all token settings are cleared (e-mode and isolation settings are part of the token support), NFT appraisal oracles, tier multipliers and rental fees are kept per listing and reset on relisting.
+     * @param token The address of the token.
+     */
+    function delistToken(address token) external onlyOwner {
+        allowedToken(token);
+        if (!supportedTokens[token].frozen || token == supportedERC20s[0])
+            revert InvalidDelisting(token);
+        if (supportedTokens[token].tokenType == PoolStructs.TokenType.ERC20) {
+            if (
+                vaults[token].totalAsset.shares != 0 ||
+                vaults[token].totalBorrow.shares != 0 ||
+                isolationModeTotalDebt[token] != 0
+            ) revert InvalidDelisting(token);
+            delete vaults[token];
+            delete flashLoanLimits[token];
+        } else {
+            if (nftDepositsCount[token] != 0) revert InvalidDelisting(token);
+        }
+        delete liquidationParams[token];
+        delete fallbackOracles[token];
+        delete governancePrices[token];
+        delete priceBounds[token];
+        delete pendingPriceFeeds[token];
+        delete pendingFallbackOracles[token];
+        removeSupportedToken(token);
+    }
+
+    /**
+     * @notice Proposes a new price feed and heartbeat for a supported token, executable after PRICE_FEED_CHANGE_DELAY.
+     * @dev only called by the owner.
+     * @dev replaces any pending price feed change of the token.
+     * @dev give the current price feed to only change the heartbeat, which should match the feed heartbeat (e.g. 24 hours for slow moving feeds).
+     * @param token The address of the token.
+     * @param priceFeed The address of the new price feed.
+     * @param heartbeat The max delay in seconds between two feed updates before its price is considered stale.
+     */
+    function proposePriceFeed(
+        address token,
+        address priceFeed,
+        uint64 heartbeat
+    ) external onlyOwner {
+        allowedToken(token);
+        if (priceFeed == address(0)) revert InvalidPriceFeed();
+        if (heartbeat == 0 || heartbeat > MAX_PRICE_FEED_HEARTBEAT)
+            revert InvalidHeartbeat(heartbeat);
+        uint64 executableAt = uint64(block.timestamp + PRICE_FEED_CHANGE_DELAY);
+        pendingPriceFeeds[token] = PoolStructs.PendingPriceFeed(
+            priceFeed,
+            heartbeat,
+            executableAt
+        );
+        emit PriceFeedChangeProposed(token, priceFeed, heartbeat, executableAt);
+    }
+
+    /**
+     * @notice Cancels the pending price feed change of a token.
+     * @dev only called by the owner.
+     * @param token The address of the token.
+     */
+    function cancelPriceFeedChange(address token) external onlyOwner {
+        if (pendingPriceFeeds[token].priceFeed == address(0))
+            revert NoPendingPriceFeed(token);
+        delete pendingPriceFeeds[token];
+        emit PriceFeedChangeCancelled(token);
+    }
+
+    /**
+     * @notice Executes the pending price feed change of a token once its delay has passed.
+     * @dev only called by the owner.
+     * @dev new feed decimals are read from the feed.
+     * @param token The address of the token.
+     */
+    function executePriceFeedChange(address token) external onlyOwner {
+        PoolStructs.PendingPriceFeed memory pending = pendingPriceFeeds[token];
+        if (pending.priceFeed == address(0)) revert NoPendingPriceFeed(token);
+        if (block.timestamp < pending.executableAt)
+            revert PriceFeedChangeDelayNotOver(token);
+        delete pendingPriceFeeds[token];
+        supportedTokens[token].usdPriceFeed = pending.priceFeed;
+        supportedTokens[token].heartbeat = pending.heartbeat;
+        supportedTokens[token].priceDecimals = AggregatorV3Interface(
+            pending.priceFeed
+        ).decimals();
+        emit PriceFeedChanged(token, pending.priceFeed, pending.heartbeat);
+    }
+
+    /**
+     * @notice Withdraws accrued protocol fee shares of an ERC20 vault.
+     * @dev only called by the owner.
+     * @dev vault must stay above its reserve ratio after the withdrawal.
+     * @param token The ERC20 token address.
+     * @param recipient The address receiving the fees.
+     * @param shares The amount of protocol shares to redeem.
+     */
+    function claimProtocolFees(
+        address token,
+        address recipient,
+        uint256 shares
+    ) external onlyOwner nonReentrant {
+        _accrueInterest(token);
+        uint256 amount = vaults[token].totalAsset.toAmount(shares, false);
+        if (
+            shares > userShares[address(this)][token].collateral ||
+            !vaultAboveReserveRatio(token, amount)
+        ) revert InsufficientBalance();
+        _claimProtocolFees(token, recipient, shares, amount);
+    }
+
+    /**
+     * @notice Withdraws all accrued protocol fee shares of every supported ERC20 vault to the treasury.
+     * @dev only called by the owner.
+     * @dev vaults that would fall below their reserve ratio are skipped.
+     */
+    function claimAllProtocolFees() external onlyOwner nonReentrant {
+        uint256 len = supportedERC20s.length;
+        for (uint256 i; i < len; ) {
+            address token = supportedERC20s[i];
+            _accrueInterest(token);
+            uint256 shares = userShares[address(this)][token].collateral;
+            uint256 amount = vaults[token].totalAsset.toAmount(shares, false);
+            if (shares != 0 && vaultAboveReserveRatio(token, amount)) {
+                _claimProtocolFees(token, treasury, shares, amount);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @notice Registers a flash borrower paying a discounted flash fee (e.g. protocol liquidation or rebalancing contracts).
+     * @dev only called by the owner.
+     * @dev discount of BPS makes the borrower fee exempt, 0 removes it from the whitelist.
+     * @param borrower The flash borrower address (flashloan receiver).
+     * @param discount The flash fee discount (1e5 precision).
+     */
+    function setFlashFeeDiscount(
+        address borrower,
+        uint256 discount
+    ) external onlyOwner {
+        if (discount > BPS) revert InvalidFeeRate(discount);
+        flashFeeDiscounts[borrower] = discount;
+        emit FlashFeeDiscountSet(borrower, discount);
+    }
+
+    /**
+     * @notice Sets the max amount of a token that can be flashloaned as a share of the vault total assets.
+     * @dev only called by the owner.
+     * @param token The ERC20 token address.
+     * @param limit The flashloan limit (1e5 precision), 0 for no limit.
+     */
+    function setFlashLoanLimit(
+        address token,
+        uint256 limit
+    ) external onlyOwner {
+        allowedToken(token);
+        if (limit > BPS) revert InvalidFlashLoanLimit(limit);
+        flashLoanLimits[token] = limit;
+        emit FlashLoanLimitSet(token, limit);
+    }
+
+    /**
+     * @notice Proposes the fallback price source used when the token primary price feed is stale or invalid, executable after PRICE_FEED_CHANGE_DELAY.
+     * @dev only called by the owner.
+     * @dev replaces any pending fallback source change of the token.
+     * @dev fallback source can be a second Chainlink feed, any feed exposing the same interface (like a TWAP adapter) or the governance pushed price.
+     * @dev fallback feed decimals are read from the feed, given priceDecimals is ignored.
+     * @dev primary feed is used while valid, prices revert with PriceDeviationTooHigh when both sources deviate by more than the max deviation.
+     * @param token The address of the token.
+     * @param fallbackOracle The fallback source (see PoolStructs.FallbackOracle).
+     */
+    function proposeFallbackOracle(
+        address token,
+        PoolStructs.FallbackOracle memory fallbackOracle
+    ) external onlyOwner {
+        allowedToken(token);
+        if (
+            fallbackOracle.source != PoolStructs.FallbackSource.NONE &&
+            (fallbackOracle.maxDeviation == 0 ||
+                fallbackOracle.maxDeviation > BPS)
+        ) revert InvalidFallbackOracle(token);
+        if (fallbackOracle.source == PoolStructs.FallbackSource.PRICE_FEED) {
+            if (
+                fallbackOracle.priceFeed == address(0) ||
+                fallbackOracle.heartbeat == 0 ||
+                fallbackOracle.heartbeat > MAX_PRICE_FEED_HEARTBEAT
+            ) revert InvalidFallbackOracle(token);
+            fallbackOracle.priceDecimals = AggregatorV3Interface(
+                fallbackOracle.priceFeed
+            ).decimals();
+        }
+        uint64 executableAt = uint64(block.timestamp + PRICE_FEED_CHANGE_DELAY);
+        pendingFallbackOracles[token] = PoolStructs.PendingFallbackOracle(
+            fallbackOracle,
+            executableAt
+        );
+        emit FallbackOracleChangeProposed(token, fallbackOracle, executableAt);
+    }
+
+    /**
+     * @notice Cancels the pending fallback source change of a token.
+     * @dev only called by the owner.
+     * @param token The address of the token.
+     */
+    function cancelFallbackOracleChange(address token) external onlyOwner {
+        if (pendingFallbackOracles[token].executableAt == 0)
+            revert NoPendingFallbackOracle(token);
+        delete pendingFallbackOracles[token];
+        emit FallbackOracleChangeCancelled(token);
+    }
+
+    /**
+     * @notice Executes the pending fallback source change of a token once its delay has passed.
+     * @dev only called by the owner.
+     * @param token The address of the token.
+     */
+    function executeFallbackOracleChange(address token) external onlyOwner {
+        PoolStructs.PendingFallbackOracle
+            memory pending = pendingFallbackOracles[token];
+        if (pending.executableAt == 0) revert NoPendingFallbackOracle(token);
+        if (block.timestamp < pending.executableAt)
+            revert PriceFeedChangeDelayNotOver(token);
+        delete pendingFallbackOracles[token];
+        fallbackOracles[token] = pending.fallbackOracle;
+        emit FallbackOracleSet(token, pending.fallbackOracle);
+    }
+
+    /**
+     * @notice Sets the price bounds of a token, its vault is paused if its price goes outside of them.
+     * @dev only called by the owner.
+     * @dev bounds are checked on borrows and liquidations, or by anyone with checkPriceBounds.
+     * @param token The address of the token.
+     * @param bounds The min/max USD prices and the max change between two feed updates (see PoolStructs.PriceBounds).
+     */
+    function setPriceBounds(
+        address token,
+        PoolStructs.PriceBounds calldata bounds
+    ) external onlyOwner {
+        allowedToken(token);
+        if (
+            (bounds.maxPrice != 0 && bounds.minPrice > bounds.maxPrice) ||
+            bounds.maxPriceChange > BPS
+        ) revert InvalidPriceBounds(token);
+        priceBounds[token] = bounds;
+        emit PriceBoundsSet(token, bounds);
+    }
+
+    /**
+     * @notice Sets the L2 sequencer uptime feed checked before borrows and liquidations.
+     * @dev only called by the owner.
+     * @dev set feed to zero address to disable the check (L1 deployments).
+     * @dev grace period must not exceed MAX_SEQUENCER_GRACE_PERIOD.
+     * @param feed The Chainlink sequencer uptime feed address.
+     * @param gracePeriod The delay after the sequencer is back up before borrows and liquidations are allowed again.
+     */
+    function setSequencerUptimeFeed(
+        address feed,
+        uint256 gracePeriod
+    ) external onlyOwner {
+        if (gracePeriod > MAX_SEQUENCER_GRACE_PERIOD)
+            revert InvalidGracePeriod(gracePeriod);
+        sequencerUptimeFeed = feed;
+        sequencerGracePeriod = gracePeriod;
+        emit SequencerUptimeFeedSet(feed, gracePeriod);
+    }
+
+    /**
+     * @notice Pushes the USD price of a token, used when its fallback source is set to governance.
+     * @dev only called by the owner.
+     * @param token The address of the token.
+     * @param price The token USD price (18 decimals).
+     */
+    function setGovernancePrice(
+        address token,
+        uint128 price
+    ) external onlyOwner {
+        allowedToken(token);
+        governancePrices[token] = PoolStructs.GovernancePrice(
+            price,
+            uint64(block.timestamp)
+        );
+        emit GovernancePriceSet(token, price);
+    }
+
+    /**
+     * @notice Updates the address receiving the protocol fees claimed with claimAllProtocolFees.
+     * @dev only called by the owner.
+     * @param newTreasury The new treasury address.
+     */
+    function setTreasury(address newTreasury) external onlyOwner {
+        if (newTreasury == address(0)) revert InvalidTreasury();
+        treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
+    }
+
+    /**
+     * @notice Sets the appraisal oracle used to value each NFT of a collection.
+     * @dev only called by the owner.
+     * @dev appraised values are checked against the collection heartbeat and price bounds.
+     * @param nftAddress The address of the NFT collection.
+     * @param valuation The INFTValuation oracle address, zero address to use the collection floor price.
+     */
+    function setNFTValuation(
+        address nftAddress,
+        address valuation
+    ) external onlyOwner {
+        allowedToken(nftAddress);
+        nftValuations[nftAddress][tokenListings[nftAddress]] = valuation;
+        emit NFTValuationSet(nftAddress, valuation);
+    }
+
+    /**
+     * @notice Sets trait tier multipliers applied to the collection floor price for specific NFTs.
+     * @dev only called by the owner.
+     * @dev not used if the collection has an appraisal oracle.
+     * @param nftAddress The address of the NFT collection.
+     * @param tokenIds The IDs of the NFTs.
+     * @param multipliers The floor price multiplier of each NFT (1e5 precision, 0 to reset).
+     */
+    function setNFTTierMultipliers(
+        address nftAddress,
+        uint256[] calldata tokenIds,
+        uint256[] calldata multipliers
+    ) external onlyOwner {
+        allowedToken(nftAddress);
+        if (tokenIds.length != multipliers.length) revert ArrayMismatch();
+        for (uint256 i; i < tokenIds.length; ) {
+            if (multipliers[i] > MAX_NFT_TIER_MULTIPLIER)
+                revert InvalidTierMultiplier(multipliers[i]);
+            nftTierMultipliers[nftAddress][tokenListings[nftAddress]][
+                tokenIds[i]
+            ] = multipliers[i];
+            emit NFTTierMultiplierSet(nftAddress, tokenIds[i], multipliers[i]);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @notice Updates the liquidation params of a supported ERC20 token or NFT collection.
+     * @dev only called by the owner.
+     * @dev newly supported tokens get the default params from Constants.
+     * @dev can only be changed when the system or the token vault is paused.
+     * @param token The address of the token.
+     * @param params The new liquidation params (see PoolStructs.LiquidationParams).
+     */
+    function setLiquidationParams(
+        address token,
+        PoolStructs.LiquidationParams memory params
+    ) external onlyOwner {
+        allowedToken(token);
+        WhenPaused(token);
+        checkLiquidationParams(
+            token,
+            supportedTokens[token].liquidationThreshold,
+            params
+        );
+        liquidationParams[token] = params;
+        emit LiquidationParamsSet(token, params);
+    }
+
+    /**
+     * @notice Creates or updates an e-mode category for correlated assets.
+     * @dev only called by the owner.
+     * @dev can only be changed when the system is paused.
+     * @dev LTV must not be 0 and liquidation threshold increased by the liquidation bonus must not exceed 100%.
+     * @dev liquidation threshold can't be lowered while some users are in the category.
+     * @param categoryId The e-mode category id, must not be 0.
+     * @param category The category LTV, liquidation threshold and liquidation bonus (see PoolStructs.EModeCategory).
+     */
+    function setEModeCategory(
+        uint8 categoryId,
+        PoolStructs.EModeCategory memory category
+    ) external onlyOwner {
+        WhenPaused(address(0));
+        if (
+            categoryId == 0 ||
+            category.loanToValue == 0 ||
+            category.loanToValue > category.liquidationThreshold ||
+            (eModeCategoryUsers[categoryId] != 0 &&
+                category.liquidationThreshold <
+                eModeCategories[categoryId].liquidationThreshold) ||
+            (category.liquidationThreshold *
+                (BPS + category.liquidationBonus)) /
+                BPS >
+            BPS
+        ) revert InvalidEModeCategory(categoryId);
+        eModeCategories[categoryId] = category;
+        emit EModeCategorySet(categoryId, category);
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Checks that liquidation params are within bounds.
+     * @dev liquidation threshold increased by the liquidation bonus must not exceed 100%.
+     * @param token The address of the token.
+     * @param liquidationThreshold The token liquidation threshold.
+     * @param params The liquidation params to check.
+     */
+    function checkLiquidationParams(
+        address token,
+        uint256 liquidationThreshold,
+        PoolStructs.LiquidationParams memory params
+    ) internal pure {
+        if (
+            params.protocolLiquidationFee > BPS ||
+            params.closeFactor == 0 ||
+            params.closeFactor > BPS ||
+            params.closeFactorHFThreshold > MIN_HEALTH_FACTOR ||
+            params.warningDelay > MAX_NFT_LIQUIDATION_DELAY ||
+            params.liquidatorDelay > MAX_NFT_LIQUIDATION_DELAY ||
+            params.auctionDuration > MAX_NFT_AUCTION_DURATION ||
+            liquidationThreshold * (BPS + params.liquidationBonus) > BPS * BPS
+        ) revert InvalidLiquidationParams(token);
+    }
+
+    /**
+     * @dev Redeems protocol fee shares and transfers the tokens to the recipient.
+     * @param token The ERC20 token address.
+     * @param recipient The address receiving the fees.
+     * @param shares The amount of protocol shares to redeem.
+     * @param amount The token amount corresponding to the shares.
+     */
+    function _claimProtocolFees(
+        address token,
+        address recipient,
+        uint256 shares,
+        uint256 amount
+    ) internal {
+        vaults[token].totalAsset.shares -= uint128(shares);
+        vaults[token].totalAsset.amount -= uint128(amount);
+        userShares[address(this)][token].collateral -= shares;
+
+        token.transferERC20(address(this), recipient, amount);
+        emit ProtocolFeesClaimed(token, recipient, amount, shares);
+    }
+}
@@ -0,0 +1,506 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import {LendingPoolBase} from "../LendingPoolBase.sol";
+import {VaultAccounting} from "../libraries/VaultAccounting.sol";
+import {PoolStructs} from "../interfaces/PoolStructs.sol";
+import {IFlashLoanReceiver} from "../interfaces/IFlashLoanReceiver.sol";
+import {IFlashAirdropReceiver} from "../interfaces/IFlashAirdropReceiver.sol";
+import {ISwapAdapter} from "../interfaces/ISwapAdapter.sol";
+import "../libraries/TokenHelper.sol";
+
+/**
+ * @title Lending pool flashloan module
+ * @author K.Aymen
+ * @notice Implements the flashloans, the flashloan based position management (deleverage, collateral swaps and debt swaps) and the NFT flash airdrops and rentals of the lending pool.
+ * @dev only meant to be called by the LendingPool with delegatecall, which executes it in the pool storage context.
+ */
+contract FlashLoanModule is LendingPoolBase {
+    using VaultAccounting for PoolStructs.Vault;
+    using TokenHelper for address;
+
+    /*//////////////////////////////////////////////////////////////
+                        ERC20 Logic functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Allow users to flashloan supported tokens.
+     * @dev must pay flashloan fees to this contract.
+     * @param receiverAddress address that receive flashloaned tokens amounts.
+     * @param tokens array of tokens addresses to be borrowed.
+     * @param amounts array of tokens amounts to be borrowed.
+     * @param data contain user-defined parameters.
+     */
+    function flashloan(
+        address receiverAddress,
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        bytes calldata data
+    ) external nonReentrant {
+        if (tokens.length == 0) revert EmptyArray();
+        if (tokens.length != amounts.length) revert ArrayMismatch();
+
+        IFlashLoanReceiver receiver = IFlashLoanReceiver(receiverAddress);
+        uint256[] memory fees = new uint256[](tokens.length);
+        for (uint256 i; i < tokens.length; ) {
+            uint256 maxAmount = maxFlashLoanAmount(tokens[i]);
+            if (maxAmount == 0) revert FlashloanPaused(tokens[i]);
+            if (amounts[i] > maxAmount) revert InsufficientBalance();
+            fees[i] = effectiveFlashFee(receiverAddress, tokens[i], amounts[i]);
+            tokens[i].transferERC20(address(this), receiverAddress, amounts[i]);
+            unchecked {
+                ++i;
+            }
+        }
+        if (!receiver.onFlashLoan(msg.sender, tokens, amounts, fees, data))
+            revert FlashloanFailed();
+
+        uint256 amountPlusFee;
+        for (uint256 i; i < tokens.length; ) {
+            amountPlusFee = amounts[i] + fees[i];
+            tokens[i].transferERC20(
+                receiverAddress,
+                address(this),
+                amountPlusFee
+            );
+            vaults[tokens[i]].totalAsset.amount += uint128(fees[i]);
+            unchecked {
+                ++i;
+            }
+        }
+
+        emit FlashloanSuccess(msg.sender, tokens, amounts, fees, data);
+    }
+
+    /**
+     * @notice EIP-3156 flashloan of a single supported token.
+     * @dev must pay flashloan fees to this contract, receiver must approve the pool for the amount plus fee.
+     * @param receiver The receiver of the tokens, implementing IERC3156FlashBorrower.
+     * @param token The loan currency.
+     * @param amount The amount of tokens lent.
+     * @param data contain user-defined parameters.
+     * @return bool true if the flashloan was successful.
+     */
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external nonReentrant returns (bool) {
+        uint256 maxAmount = maxFlashLoanAmount(token);
+        if (maxAmount == 0) revert FlashloanPaused(token);
+        if (amount > maxAmount) revert InsufficientBalance();
+
+        uint256 fee = effectiveFlashFee(address(receiver), token, amount);
+        token.transferERC20(address(this), address(receiver), amount);
+        if (
+            receiver.onFlashLoan(msg.sender, token, amount, fee, data) !=
+            FLASHLOAN_CALLBACK_SUCCESS
+        ) revert FlashloanFailed();
+
+        token.transferERC20(address(receiver), address(this), amount + fee);
+        vaults[token].totalAsset.amount += uint128(fee);
+
+        address[] memory tokens = new address[](1);
+        uint256[] memory amounts = new uint256[](1);
+        uint256[] memory fees = new uint256[](1);
+        tokens[0] = token;
+        amounts[0] = amount;
+        fees[0] = fee;
+        emit FlashloanSuccess(msg.sender, tokens, amounts, fees, data);
+        return true;
+    }
+
+    /**
+     * @notice Allows borrowers to repay their debt with their own collateral in a single call.
+     * @dev debt is repaid with a flashloan from the debt token vault, the withdrawn collateral is sent to the swap adapter which must pay back the flashloan (amount + fee) in its ´onFlashLoan´ callback.
+     * @dev the adapter receives abi.encode(collateral, collateralAmount, data) as callback data.
+     * @dev collateral vault must not be paused.
+     * @dev will revert if borrower health factor is below min HF after the operation.
+     * @dev will revert while the L2 sequencer is down or within its grace period.
+     * @param collateral The collateral asset address.
+     * @param collateralAmount The amount of collateral to withdraw and swap.
+     * @param debtToken The token the borrower has borrowed.
+     * @param debtAmount The amount of debt to repay, set to type(uint256).max for full repayment.
+     * @param swapAdapter The contract swapping the collateral into the debt token.
+     * @param data contain user-defined parameters passed to the swap adapter.
+     */
+    function deleverage(
+        address collateral,
+        uint256 collateralAmount,
+        address debtToken,
+        uint256 debtAmount,
+        address swapAdapter,
+        bytes calldata data
+    ) external nonReentrant {
+        WhenNotPaused(collateral);
+        checkSequencerUp();
+        if (maxFlashLoanAmount(debtToken) == 0)
+            revert FlashloanPaused(debtToken);
+        _accrueInterest(debtToken);
+        _accrueInterest(collateral);
+
+        // repay borrower debt with flashloaned vault liquidity
+        (debtAmount, ) = _repayDebt(msg.sender, debtToken, debtAmount);
+
+        // send withdrawn collateral to the swap adapter
+        _withdrawCollateral(
+            msg.sender,
+            collateral,
+            collateralAmount,
+            swapAdapter
+        );
+
+        uint256 fee = effectiveFlashFee(swapAdapter, debtToken, debtAmount);
+        _callSwapAdapter(
+            swapAdapter,
+            debtToken,
+            debtAmount,
+            fee,
+            abi.encode(collateral, collateralAmount, data)
+        );
+
+        debtToken.transferERC20(swapAdapter, address(this), debtAmount + fee);
+        vaults[debtToken].totalAsset.amount += uint128(fee);
+
+        _fetchUserPrices(msg.sender);
+        if (userHealthFactor(msg.sender) < MIN_HEALTH_FACTOR)
+            revert BelowHeathFactor();
+
+        emit Deleverage(
+            msg.sender,
+            collateral,
+            collateralAmount,
+            debtToken,
+            debtAmount,
+            fee
+        );
+    }
+
+    /**
+     * @notice Allows users to swap a supplied ERC20 collateral into another one without repaying their debt.
+     * @dev withdrawn collateral is sent to the swap adapter, the swap output is then pulled from the adapter and supplied on behalf of the user.
+     * @dev user health factor is only checked at the end of the swap, will revert if it's below min HF.
+     * @dev will revert while the L2 sequencer is down or within its grace period.
+     * @param fromToken The collateral token to swap.
+     * @param toToken The collateral token to receive.
+     * @param amount The amount of `fromToken` to swap.
+     * @param adapter The swap adapter contract.
+     * @param data contain user-defined parameters passed to the swap adapter.
+     * @param minAmountOut The minimum amount of `toToken` to receive, used as slippage protection.
+     */
+    function swapCollateral(
+        address fromToken,
+        address toToken,
+        uint256 amount,
+        address adapter,
+        bytes calldata data,
+        uint256 minAmountOut
+    ) external nonReentrant {
+        WhenNotPaused(toToken);
+        allowedToken(fromToken);
+        allowedToken(toToken);
+        notFrozen(toToken);
+        checkSequencerUp();
+        _accrueInterest(fromToken);
+        _accrueInterest(toToken);
+
+        uint256 shares = _withdrawCollateral(
+            msg.sender,
+            fromToken,
+            amount,
+            adapter
+        );
+        emit Withdraw(msg.sender, fromToken, amount, shares);
+
+        // only the pulled output is credited, never the pool balance change
+        uint256 amountOut = ISwapAdapter(adapter).swap(
+            fromToken,
+            toToken,
+            amount,
+            data
+        );
+        if (amountOut < minAmountOut) revert TooHighSlippage(amountOut);
+        toToken.transferERC20(adapter, address(this), amountOut);
+
+        shares = _supplyCollateral(msg.sender, toToken, amountOut);
+        emit Deposit(msg.sender, toToken, amountOut, shares);
+
+        _fetchUserPrices(msg.sender);
+        if (userHealthFactor(msg.sender) < MIN_HEALTH_FACTOR)
+            revert BelowHeathFactor();
+        emit CollateralSwapped(
+            msg.sender,
+            fromToken,
+            toToken,
+            amount,
+            amountOut
+        );
+    }
+
+    /**
+     * @notice Allows users to move a debt from one ERC20 token to another without repaying it first.
+     * @dev the new token is borrowed and swapped by the adapter into the repaid debt token.
+     * @dev will revert if user debt exceeds its collateral loan-to-value capacity after the swap.
+     * @dev will revert if `toToken` or any of the user tokens price is outside of its bounds.
+     * @param fromToken The borrowed token to repay.
+     * @param toToken The token to borrow instead.
+     * @param amount The amount of `fromToken` debt to repay, set to type(uint256).max for full repayment.
+     * @param adapter The swap adapter contract.
+     * @param maxIn The maximum amount of `toToken` to borrow, used as slippage protection.
+     */
+    function swapDebt(
+        address fromToken,
+        address toToken,
+        uint256 amount,
+        address adapter,
+        uint256 maxIn
+    ) external nonReentrant {
+        WhenNotPaused(toToken);
+        allowedToken(toToken);
+        notFrozen(toToken);
+        checkSequencerUp();
+        if (
+            _tripCircuitBreaker(toToken) ||
+            _tripAccountCircuitBreakers(msg.sender)
+        ) revert PriceOutOfBounds();
+        if (!vaultAboveReserveRatio(toToken, maxIn))
+            revert InsufficientBalance();
+        _accrueInterest(fromToken);
+        _accrueInterest(toToken);
+
+        uint256 shares;
+        (amount, shares) = _repayDebt(msg.sender, fromToken, amount);
+        uint256 amountIn = _swapExactOut(
+            adapter,
+            toToken,
+            fromToken,
+            amount,
+            maxIn
+        );
+        emit Repay(msg.sender, fromToken, amount, shares);
+
+        shares = _borrowDebt(msg.sender, toToken, amountIn);
+        emit Borrow(msg.sender, toToken, amountIn, shares);
+
+        _fetchUserPrices(msg.sender);
+        checkBorrowCapacity(msg.sender);
+        emit DebtSwapped(msg.sender, fromToken, toToken, amount, amountIn);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                        NFT Logic functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Allow NFT depositor to flashloan NFT to claim airdrop.
+     * @param receiverAddress address that receive flashloaned tokens amounts.
+     * @param nftAddress address of the NFT collection.
+     * @param tokenIds array of tokens Ids to be flashloaned.
+     * @param data contain user-defined parameters.
+     */
+    function flashAirdrop(
+        address receiverAddress,
+        address nftAddress,
+        uint256[] calldata tokenIds,
+        bytes calldata data
+    ) external nonReentrant {
+        _flashAirdrop(msg.sender, receiverAddress, nftAddress, tokenIds, data);
+    }
+
+    /**
+     * @notice Allow anyone to flashloan the NFTs of a depositor that lends them for airdrop claims.
+     * @dev renter pays the depositor rental fee (in DAI) for each flashloaned NFT (each unit for ERC1155), it is supplied on behalf of the depositor.
+     * @dev DAI supply cap is not enforced on the rental fee to keep NFTs rentable.
+     * @param depositor The address of the NFTs depositor.
+     * @param receiverAddress address that receive flashloaned tokens amounts.
+     * @param nftAddress address of the NFT collection.
+     * @param tokenIds array of tokens Ids to be flashloaned.
+     * @param maxFee The maximum total rental fee paid by the renter (protects against rental fee changes).
+     * @param data contain user-defined parameters.
+     */
+    function rentFlashAirdrop(
+        address depositor,
+        address receiverAddress,
+        address nftAddress,
+        uint256[] calldata tokenIds,
+        uint256 maxFee,
+        bytes calldata data
+    ) external nonReentrant {
+        uint256 rentalFee = nftRentalFees[depositor][nftAddress][
+            tokenListings[nftAddress]
+        ];
+        if (rentalFee == 0) revert NFTNotRentable(depositor, nftAddress);
+        uint256 rentedAmount;
+        for (uint256 i; i < tokenIds.length; ) {
+            rentedAmount += getDepositedNFTAmount(
+                depositor,
+                nftAddress,
+                tokenIds[i]
+            );
+            unchecked {
+                ++i;
+            }
+        }
+        rentalFee *= rentedAmount;
+        if (rentalFee > maxFee) revert TooHighRentalFee(rentalFee);
+
+        _flashAirdrop(depositor, receiverAddress, nftAddress, tokenIds, data);
+
+        // credit rental fee to depositor as DAI collateral
+        address DAI = supportedERC20s[0];
+        _accrueInterest(DAI);
+        DAI.transferERC20(msg.sender, address(this), rentalFee);
+        uint256 shares = _mintCollateralShares(depositor, DAI, rentalFee);
+        emit Deposit(depositor, DAI, rentalFee, shares);
+        emit NFTRented(depositor, msg.sender, nftAddress, tokenIds, rentalFee);
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Removes collateral from the user shares and transfers the tokens to the recipient.
+     * @dev borrow capacity must be checked by the caller.
+     * @param user The address of the user.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to withdraw.
+     * @param recipient The address receiving the tokens.
+     * @return shares The amount of collateral shares burned.
+     */
+    function _withdrawCollateral(
+        address user,
+        address token,
+        uint256 amount,
+        address recipient
+    ) internal returns (uint256 shares) {
+        shares = vaults[token].totalAsset.toShares(amount, false);
+        if (
+            userShares[user][token].collateral < shares ||
+            vaultBalance(token) < amount
+        ) revert InsufficientBalance();
+        vaults[token].totalAsset.shares -= uint128(shares);
+        vaults[token].totalAsset.amount -= uint128(amount);
+        userShares[user][token].collateral -= shares;
+        token.transferERC20(address(this), recipient, amount);
+    }
+
+    /**
+     * @dev Calls the deleverage swap adapter ´onFlashLoan´ callback.
+     * @param swapAdapter The contract swapping the collateral into the debt token.
+     * @param debtToken The flashloaned token.
+     * @param amount The flashloaned amount.
+     * @param fee The flashloan fee.
+     * @param data The callback data.
+     */
+    function _callSwapAdapter(
+        address swapAdapter,
+        address debtToken,
+        uint256 amount,
+        uint256 fee,
+        bytes memory data
+    ) internal {
+        address[] memory tokens = new address[](1);
+        uint256[] memory amounts = new uint256[](1);
+        uint256[] memory fees = new uint256[](1);
+        tokens[0] = debtToken;
+        amounts[0] = amount;
+        fees[0] = fee;
+        if (
+            !IFlashLoanReceiver(swapAdapter).onFlashLoan(
+                msg.sender,
+                tokens,
+                amounts,
+                fees,
+                data
+            )
+        ) revert FlashloanFailed();
+    }
+
+    /**
+     * @dev Swaps pool tokens through the adapter for an exact output amount.
+     * @dev `maxAmountIn` is sent to the adapter, the output and the unused input tokens are then pulled from the adapter.
+     * @dev spent amount is accounted from the transferred amounts, never from the pool balance changes.
+     * @param adapter The swap adapter contract.
+     * @param tokenIn The address of the token to swap.
+     * @param tokenOut The address of the token to receive.
+     * @param amountOut The amount of output tokens to receive.
+     * @param maxAmountIn The maximum amount of input tokens to swap.
+     * @return amountIn The amount of input tokens spent.
+     */
+    function _swapExactOut(
+        address adapter,
+        address tokenIn,
+        address tokenOut,
+        uint256 amountOut,
+        uint256 maxAmountIn
+    ) internal returns (uint256 amountIn) {
+        tokenIn.transferERC20(address(this), adapter, maxAmountIn);
+        amountIn = ISwapAdapter(adapter).swapExactOut(
+            tokenIn,
+            tokenOut,
+            amountOut,
+            maxAmountIn,
+            ""
+        );
+        if (amountIn > maxAmountIn) revert TooHighSlippage(amountIn);
+        if (amountIn != maxAmountIn)
+            tokenIn.transferERC20(
+                adapter,
+                address(this),
+                maxAmountIn - amountIn
+            );
+        tokenOut.transferERC20(adapter, address(this), amountOut);
+    }
+
+    /**
+     * @dev Flashloans deposited NFTs to the receiver and checks they are returned.
+     * @param depositor The address of the NFTs depositor.
+     * @param receiverAddress address that receive flashloaned tokens amounts.
+     * @param nftAddress address of the NFT collection.
+     * @param tokenIds array of tokens Ids to be flashloaned.
+     * @param data contain user-defined parameters.
+     */
+    function _flashAirdrop(
+        address depositor,
+        address receiverAddress,
+        address nftAddress,
+        uint256[] calldata tokenIds,
+        bytes calldata data
+    ) internal {
+        if (tokenIds.length == 0) revert EmptyArray();
+        IFlashAirdropReceiver receiver = IFlashAirdropReceiver(receiverAddress);
+        for (uint256 i; i < tokenIds.length; ) {
+            if (!hasDepositedNFT(depositor, nftAddress, tokenIds[i]))
+                revert InvalidNFT();
+            _transferNFT(
+                nftAddress,
+                address(this),
+                receiverAddress,
+                tokenIds[i],
+                getDepositedNFTAmount(depositor, nftAddress, tokenIds[i])
+            );
+            unchecked {
+                ++i;
+            }
+        }
+        if (!receiver.onFlashLoan(msg.sender, nftAddress, tokenIds, data))
+            revert FlashAirdropFailed();
+
+        for (uint256 i; i < tokenIds.length; ) {
+            _transferNFT(
+                nftAddress,
+                receiverAddress,
+                address(this),
+                tokenIds[i],
+                getDepositedNFTAmount(depositor, nftAddress, tokenIds[i])
+            );
+            unchecked {
+                ++i;
+            }
+        }
+        emit FlashAirdropSuccess(msg.sender, nftAddress, tokenIds, data);
+    }
+}
@@ -0,0 +1,365 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {LendingPoolBase} from "../LendingPoolBase.sol";
+import {VaultAccounting} from "../libraries/VaultAccounting.sol";
+import {PoolStructs} from "../interfaces/PoolStructs.sol";
+import "../libraries/TokenHelper.sol";
+
+/**
+ * @title Lending pool liquidation module
+ * @author K.Aymen
+ * @notice Implements the ERC20 liquidations and the bad debt write off of the lending pool.
+ * @dev only meant to be called by the LendingPool with delegatecall, which executes it in the pool storage context.
+ */
+contract LiquidationModule is LendingPoolBase {
+    using VaultAccounting for PoolStructs.Vault;
+    using TokenHelper for address;
+
+    /*//////////////////////////////////////////////////////////////
+                        ERC20 Logic functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Allows users to liquidate unsolvent borrower.
+     * @dev borrower must be below min HF.
+     * @dev will revert while the L2 sequencer is down or within its grace period.
+     * @dev collateral and borrowed token vaults must not be paused, a vault is paused and nothing is liquidated if the price of any borrower token is outside of its bounds.
+     * @dev full liquidation is only allowed if borrower HF is below the collateral ´closeFactorHFThreshold´ otherwise can only repay up to the collateral ´closeFactor´ of borrower debts.
+     * @param account The borrower's address.
+     * @param collateral The collateral asset address.
+     * @param userBorrowToken The token the borrower has borrowed.
+     * @param amountToLiquidate The amount to liquidate.
+     */
+    function liquidate(
+        address account,
+        address collateral,
+        address userBorrowToken,
+        uint256 amountToLiquidate
+    ) external nonReentrant {
+        if (msg.sender == account) revert SelfLiquidation();
+        checkSequencerUp();
+        WhenVaultNotPaused(collateral);
+        WhenVaultNotPaused(userBorrowToken);
+        if (
+            _tripCircuitBreaker(collateral) ||
+            _tripCircuitBreaker(userBorrowToken) ||
+            _tripAccountCircuitBreakers(account)
+        ) return;
+        _fetchUserPrices(account);
+        uint256 accountHF = userHealthFactor(account);
+        if (accountHF >= MIN_HEALTH_FACTOR) revert BorrowerIsSolvant();
+
+        uint256 collateralShares = userShares[account][collateral].collateral;
+        uint256 borrowShares = userShares[account][userBorrowToken].borrow;
+        if (collateralShares == 0 || borrowShares == 0) return;
+        {
+            uint256 totalBorrowAmount = vaults[userBorrowToken]
+                .totalBorrow
+                .toAmount(borrowShares, true);
+
+            // if HF is above collateral closeFactorHFThreshold allow only partial liquidation
+            // else full liquidation is possible
+            PoolStructs.LiquidationParams memory params = liquidationParams[
+                collateral
+            ];
+            uint256 maxBorrowAmountToLiquidate = accountHF >=
+                params.closeFactorHFThreshold
+                ? (totalBorrowAmount * params.closeFactor) / BPS
+                : totalBorrowAmount;
+            amountToLiquidate = amountToLiquidate > maxBorrowAmountToLiquidate
+                ? maxBorrowAmountToLiquidate
+                : amountToLiquidate;
+        }
+
+        _liquidate(account, collateral, userBorrowToken, amountToLiquidate);
+
+        // write off remaining debt if borrower has no collateral left
+        if (canRealizeBadDebt(account)) _realizeBadDebt(account);
+    }
+
+    /**
+     * @notice Allows users to liquidate many borrows of an unsolvent borrower in a single call.
+     * @dev borrower must be below min HF, interest is accrued once for every touched vault before HF is checked.
+     * @dev the close factor applies to the combined USD debt of the borrower, the strictest close factor of the given collaterals is used.
+     * @dev vaults are paused and nothing is liquidated if the price of any given or borrower token is outside of its bounds.
+     * @dev each borrow is repaid by seizing the collaterals in the given order until it is covered.
+     * @param account The borrower's address.
+     * @param borrowTokens The tokens the borrower has borrowed.
+     * @param amounts The amounts of each borrow token to liquidate.
+     * @param collaterals The collateral assets to seize, in order of preference.
+     */
+    function liquidateBatch(
+        address account,
+        address[] calldata borrowTokens,
+        uint256[] calldata amounts,
+        address[] calldata collaterals
+    ) external nonReentrant {
+        if (msg.sender == account) revert SelfLiquidation();
+        checkSequencerUp();
+        uint256 borrowsCount = borrowTokens.length;
+        uint256 collateralsCount = collaterals.length;
+        if (borrowsCount == 0 || collateralsCount == 0) revert EmptyArray();
+        if (borrowsCount != amounts.length) revert ArrayMismatch();
+
+        for (uint256 i; i < borrowsCount; ) {
+            WhenVaultNotPaused(borrowTokens[i]);
+            if (_tripCircuitBreaker(borrowTokens[i])) return;
+            _accrueInterest(borrowTokens[i]);
+            unchecked {
+                ++i;
+            }
+        }
+        for (uint256 i; i < collateralsCount; ) {
+            WhenVaultNotPaused(collaterals[i]);
+            if (_tripCircuitBreaker(collaterals[i])) return;
+            _accrueInterest(collaterals[i]);
+            unchecked {
+                ++i;
+            }
+        }
+        if (_tripAccountCircuitBreakers(account)) return;
+
+        _fetchUserPrices(account);
+        uint256 accountHF = userHealthFactor(account);
+        if (accountHF >= MIN_HEALTH_FACTOR) revert BorrowerIsSolvant();
+
+        // max USD value of the combined debt that can be repaid
+        uint256 remainingValueUSD;
+        {
+            uint256 closeFactor = BPS;
+            for (uint256 i; i < collateralsCount; ) {
+                PoolStructs.LiquidationParams memory params = liquidationParams[
+                    collaterals[i]
+                ];
+                if (
+                    accountHF >= params.closeFactorHFThreshold &&
+                    params.closeFactor < closeFactor
+                ) closeFactor = params.closeFactor;
+                unchecked {
+                    ++i;
+                }
+            }
+            remainingValueUSD = (userTotalBorrow(account) * closeFactor) / BPS;
+        }
+
+        uint256 totalRepaidUSD;
+        for (uint256 i; i < borrowsCount; ) {
+            uint256 repaidValueUSD = _liquidateBorrow(
+                account,
+                borrowTokens[i],
+                amounts[i],
+                collaterals,
+                remainingValueUSD
+            );
+            totalRepaidUSD += repaidValueUSD;
+            remainingValueUSD = repaidValueUSD > remainingValueUSD
+                ? 0
+                : remainingValueUSD - repaidValueUSD;
+            unchecked {
+                ++i;
+            }
+        }
+
+        emit BatchLiquidated(account, msg.sender, totalRepaidUSD);
+
+        // write off remaining debt if borrower has no collateral left
+        if (canRealizeBadDebt(account)) _realizeBadDebt(account);
+    }
+
+    /**
+     * @notice Writes off the debt of an insolvent borrower that has no collateral left (or only dust collateral).
+     * @dev callable by anyone, dust collateral left is seized by the protocol.
+     * @dev debt is covered first by protocol fee shares, the rest is socialized among suppliers.
+     * @dev not allowed while one of the borrower NFTs is being auctioned.
+     * @param account The borrower's address.
+     */
+    function realizeBadDebt(address account) external nonReentrant {
+        if (!canRealizeBadDebt(account)) revert NoBadDebt(account);
+        _realizeBadDebt(account);
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Returns the liquidation bonus given to liquidators when seizing a borrower collateral.
+     * @dev uses the e-mode category bonus if borrower e-mode is active and collateral is inside the category.
+     * @param user The address of the borrower.
+     * @param collateral The collateral token address.
+     */
+    function liquidationBonus(
+        address user,
+        address collateral
+    ) internal view returns (uint256) {
+        uint8 eModeCategory = activeEModeCategory(user);
+        if (
+            eModeCategory != 0 &&
+            supportedTokens[collateral].eModeCategory == eModeCategory
+        ) return eModeCategories[eModeCategory].liquidationBonus;
+        return liquidationParams[collateral].liquidationBonus;
+    }
+
+    /**
+     * @dev Repays borrower debt and transfers the seized collateral and liquidation reward to the liquidator.
+     * @dev if collateral is not enough to cover the amount, all collateral is seized without reward.
+     * @param account The borrower's address.
+     * @param collateral The collateral asset address.
+     * @param userBorrowToken The token the borrower has borrowed.
+     * @param amountToLiquidate The amount to liquidate.
+     * @return repaidAmount The amount of borrow token actually repaid.
+     */
+    function _liquidate(
+        address account,
+        address collateral,
+        address userBorrowToken,
+        uint256 amountToLiquidate
+    ) internal returns (uint256 repaidAmount) {
+        uint256 collateralAmountToLiquidate;
+        uint256 liquidationReward;
+        {
+            // avoid stack too deep error
+            address user = account;
+            address borrowToken = userBorrowToken;
+            address collToken = collateral;
+            uint256 liquidationAmount = amountToLiquidate;
+
+            uint256 _userTotalCollateralAmount = vaults[collToken]
+                .totalAsset
+                .toAmount(userShares[user][collToken].collateral, false);
+
+            uint256 collateralPrice = getTokenPrice(collToken);
+            uint256 borrowTokenPrice = getTokenPrice(borrowToken);
+            uint8 collateralDecimals = collToken.tokenDecimals();
+            uint8 borrowTokenDecimals = borrowToken.tokenDecimals();
+
+            collateralAmountToLiquidate =
+                (liquidationAmount *
+                    borrowTokenPrice *
+                    10 ** collateralDecimals) /
+                (collateralPrice * 10 ** borrowTokenDecimals);
+            uint256 maxLiquidationReward = (collateralAmountToLiquidate *
+                liquidationBonus(user, collToken)) / BPS;
+            if (collateralAmountToLiquidate > _userTotalCollateralAmount) {
+                collateralAmountToLiquidate = _userTotalCollateralAmount;
+                liquidationAmount =
+                    (_userTotalCollateralAmount *
+                        collateralPrice *
+                        10 ** borrowTokenDecimals) /
+                    (borrowTokenPrice * 10 ** collateralDecimals);
+                amountToLiquidate = liquidationAmount;
+            } else {
+                uint256 collateralBalanceAfter = _userTotalCollateralAmount -
+                    collateralAmountToLiquidate;
+                liquidationReward = maxLiquidationReward >
+                    collateralBalanceAfter
+                    ? collateralBalanceAfter
+                    : maxLiquidationReward;
+            }
+
+            // release isolation mode debt before the collateral is seized
+            _decreaseIsolatedDebt(user, borrowToken, liquidationAmount);
+
+            // Update borrow vault
+            uint128 repaidBorrowShares = uint128(
+                vaults[borrowToken].totalBorrow.toShares(
+                    liquidationAmount,
+                    false
+                )
+            );
+            vaults[borrowToken].totalBorrow.shares -= repaidBorrowShares;
+            vaults[borrowToken].totalBorrow.amount -= uint128(
+                liquidationAmount
+            );
+
+            // Update collateral vault
+            uint128 liquidatedCollShares = uint128(
+                vaults[collToken].totalAsset.toShares(
+                    collateralAmountToLiquidate + liquidationReward,
+                    false
+                )
+            );
+            vaults[collToken].totalAsset.shares -= liquidatedCollShares;
+            vaults[collToken].totalAsset.amount -= uint128(
+                collateralAmountToLiquidate + liquidationReward
+            );
+            // Update borrower collateral and borrow shares
+            userShares[user][borrowToken].borrow -= repaidBorrowShares;
+            userShares[user][collToken].collateral -= liquidatedCollShares;
+        }
+
+        // protocol takes its cut of the liquidation reward
+        uint256 protocolFee = (liquidationReward *
+            liquidationParams[collateral].protocolLiquidationFee) / BPS;
+        _collectLiquidationFee(collateral, protocolFee);
+        liquidationReward -= protocolFee;
+
+        // Repay borrowed amount
+        userBorrowToken.transferERC20(
+            msg.sender,
+            address(this),
+            amountToLiquidate
+        );
+        // Transfer collateral & liquidation reward to liquidator
+        collateral.transferERC20(
+            address(this),
+            msg.sender,
+            collateralAmountToLiquidate + liquidationReward
+        );
+
+        repaidAmount = amountToLiquidate;
+        emit Liquidated(
+            account,
+            msg.sender,
+            amountToLiquidate,
+            collateralAmountToLiquidate + liquidationReward,
+            liquidationReward
+        );
+    }
+
+    /**
+     * @dev Liquidates one borrow of a batch liquidation by seizing the collaterals in the given order.
+     * @param account The borrower's address.
+     * @param borrowToken The token the borrower has borrowed.
+     * @param amountToLiquidate The amount to liquidate.
+     * @param collaterals The collateral assets to seize, in order of preference.
+     * @param maxValueUSD The max USD value that can still be repaid.
+     * @return repaidValueUSD The USD value of the repaid debt.
+     */
+    function _liquidateBorrow(
+        address account,
+        address borrowToken,
+        uint256 amountToLiquidate,
+        address[] calldata collaterals,
+        uint256 maxValueUSD
+    ) internal returns (uint256 repaidValueUSD) {
+        {
+            uint256 borrowAmount = vaults[borrowToken].totalBorrow.toAmount(
+                userShares[account][borrowToken].borrow,
+                true
+            );
+            uint256 maxAmount = usdToAmount(borrowToken, maxValueUSD);
+            if (amountToLiquidate > borrowAmount)
+                amountToLiquidate = borrowAmount;
+            if (amountToLiquidate > maxAmount) amountToLiquidate = maxAmount;
+        }
+
+        uint256 repaidAmount;
+        uint256 len = collaterals.length;
+        for (uint256 i; i < len && repaidAmount < amountToLiquidate; ) {
+            if (userShares[account][collaterals[i]].collateral != 0) {
+                repaidAmount += _liquidate(
+                    account,
+                    collaterals[i],
+                    borrowToken,
+                    amountToLiquidate - repaidAmount
+                );
+            }
+            unchecked {
+                ++i;
+            }
+        }
+        repaidValueUSD = amountInUSD(borrowToken, repaidAmount);
+    }
+}
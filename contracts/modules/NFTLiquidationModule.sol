@@ -0,0 +1,408 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {LendingPoolBase} from "../LendingPoolBase.sol";
+import {VaultAccounting} from "../libraries/VaultAccounting.sol";
+import {PoolStructs} from "../interfaces/PoolStructs.sol";
+import "../libraries/TokenHelper.sol";
+
+/**
+ * @title Lending pool NFT liquidation module
+ * @author K.Aymen
+ * @notice Implements the NFT liquidations and the NFT liquidation auctions of the lending pool.
+ * @dev only meant to be called by the LendingPool with delegatecall, which executes it in the pool storage context.
+ */
+contract NFTLiquidationModule is LendingPoolBase {
+    using VaultAccounting for PoolStructs.Vault;
+    using TokenHelper for address;
+
+    /*//////////////////////////////////////////////////////////////
+                        NFT Logic functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Start an NFT collateral liquidation.
+     * @dev will not liquidate NFT.
+     * @dev will emit a warning and give a delay to the borrower to increase HF to avoid NFT liquidation.
+     * @dev caller will be give right to liquidate if warning delay has passed and borrower is still unsolvent.
+     * @param account The address of the borrower to liquidate.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT to liquidate.
+     */
+    function triggerNFTLiquidation(
+        address account,
+        address nftAddress,
+        uint256 tokenId
+    ) external nonReentrant {
+        if (!hasDepositedNFT(account, nftAddress, tokenId)) revert InvalidNFT();
+        checkSequencerUp();
+        _fetchUserPrices(account);
+        uint256 totalTokenCollateralValue = userTotalTokenCollateral(account);
+        // NFT is liquidatable if HF < MIN_HEALTH_FACTOR && totalTokenCollateralValue == 0
+        if (
+            userHealthFactor(account) >= MIN_HEALTH_FACTOR ||
+            totalTokenCollateralValue != 0
+        ) revert InvalidNFTLiquidation(account, nftAddress, tokenId);
+
+        PoolStructs.LiquidateWarn storage warning = nftLiquidationWarning[
+            account
+        ][nftAddress][tokenId];
+        warning.liquidator = msg.sender;
+        warning.liquidationTimestamp = uint64(
+            block.timestamp + liquidationParams[nftAddress].warningDelay
+        );
+
+        emit LiquidingNFTWarning(msg.sender, account, nftAddress, tokenId);
+    }
+
+    /**
+     * @notice Stop an NFT collateral liquidation.
+     * @dev callable by anyone
+     * @dev borrower must be above minimum HF.
+     * @param account The address of the borrower getting liquidated.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT being liquidated.
+     */
+    function stopNFTLiquidation(
+        address account,
+        address nftAddress,
+        uint256 tokenId
+    ) external nonReentrant {
+        _fetchUserPrices(account);
+        if (userHealthFactor(account) < MIN_HEALTH_FACTOR)
+            revert BelowHeathFactor();
+        delete nftLiquidationWarning[account][nftAddress][tokenId];
+        emit LiquidateNFTStopped(account, nftAddress, tokenId);
+    }
+
+    /**
+     * @notice execute NFT liquidation.
+     * @dev only for collections without auction mode, NFT is sold at discounted value.
+     * @dev vaults are paused and nothing is liquidated if the price of the collection or of any borrower token is outside of its bounds.
+     * @param account The address of the borrower getting liquidated.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT being liquidated.
+     */
+    function executeNFTLiquidation(
+        address account,
+        address nftAddress,
+        uint256 tokenId,
+        address[] calldata repayTokens,
+        uint256[] calldata repayAmounts
+    ) external nonReentrant {
+        if (repayTokens.length == 0) revert EmptyArray();
+        if (repayTokens.length != repayAmounts.length) revert ArrayMismatch();
+        if (liquidationParams[nftAddress].auctionDuration != 0)
+            revert InvalidLiquidationMode(nftAddress);
+        checkSequencerUp();
+        WhenVaultNotPaused(nftAddress);
+        if (
+            _tripCircuitBreaker(nftAddress) ||
+            _tripAccountCircuitBreakers(account)
+        ) return;
+        _fetchUserPrices(account);
+        nftLiquidatable(account, nftAddress, tokenId);
+
+        uint256 totalDebtValue = userTotalBorrow(account);
+        // whole deposited balance is liquidated for ERC1155 tokens
+        uint256 nftValue = getNFTValue(nftAddress, tokenId) *
+            getDepositedNFTAmount(account, nftAddress, tokenId);
+        uint256 totalRepaidDebtValue;
+        {
+            // avoid stack too deep
+            address borrower = account;
+            address token;
+            uint256 amount;
+            for (uint256 i; i < repayTokens.length; ) {
+                token = repayTokens[i];
+                _accrueInterest(token);
+                // repay borrower debt from liquidator
+                (amount, ) = _repayDebt(borrower, token, repayAmounts[i]);
+                token.transferERC20(msg.sender, address(this), amount);
+
+                // increase total debt repaid value
+                totalRepaidDebtValue += amountInUSD(token, amount);
+                unchecked {
+                    ++i;
+                }
+            }
+
+            // must repay at least debt equivalent of close factor of NFT value
+            if (
+                totalDebtValue > nftValue &&
+                totalRepaidDebtValue <
+                (nftValue * liquidationParams[nftAddress].closeFactor) / BPS
+            ) revert MustRepayMoreDebt();
+        }
+
+        uint256 nftBuyPrice;
+        {
+            // avoid stack too deep
+            address borrower = account;
+            // liquidator will pay less to buy NFT
+            // must deduct repaidDebtValue and liquidator bonus from NFT price
+            uint256 totalLiquidatorDiscount = (totalRepaidDebtValue *
+                (BPS + liquidationParams[nftAddress].liquidationBonus)) / BPS;
+            nftBuyPrice = nftValue - totalLiquidatorDiscount;
+            // protocol takes its cut of the NFT discount, paid by liquidator
+            uint256 protocolFee = ((totalLiquidatorDiscount -
+                totalRepaidDebtValue) *
+                liquidationParams[nftAddress].protocolLiquidationFee) / BPS;
+
+            address DAI = supportedERC20s[0];
+            _accrueInterest(DAI);
+            // but NFT with discounted price, DAI is used for payment
+            DAI.transferERC20(
+                msg.sender,
+                address(this),
+                nftBuyPrice + protocolFee
+            );
+            _collectLiquidationFee(DAI, protocolFee);
+
+            // supply remaining DAI onbehalf of borrower, not capped as liquidation must not fail
+            _mintCollateralShares(borrower, DAI, nftBuyPrice);
+        }
+
+        // transfer NFT to liquidator
+        _withdrawNFT(account, msg.sender, nftAddress, tokenId);
+
+        emit NFTLiquidated(
+            msg.sender,
+            account,
+            nftAddress,
+            tokenId,
+            totalRepaidDebtValue,
+            nftBuyPrice
+        );
+    }
+
+    /**
+     * @notice Start an english auction for a liquidated NFT.
+     * @dev only for collections with auction mode, same conditions as executeNFTLiquidation.
+     * @dev NFT is escrowed by the pool and no longer counts as borrower collateral, borrower debt can't be written off until the auction is settled.
+     * @dev first bid must be at least the discounted NFT value.
+     * @dev vaults are paused and no auction is started if the price of the collection or of any borrower token is outside of its bounds.
+     * @param account The address of the borrower getting liquidated.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT being liquidated.
+     */
+    function startNFTAuction(
+        address account,
+        address nftAddress,
+        uint256 tokenId
+    ) external nonReentrant {
+        PoolStructs.LiquidationParams memory params = liquidationParams[
+            nftAddress
+        ];
+        if (params.auctionDuration == 0)
+            revert InvalidLiquidationMode(nftAddress);
+        checkSequencerUp();
+        WhenVaultNotPaused(nftAddress);
+        if (
+            _tripCircuitBreaker(nftAddress) ||
+            _tripAccountCircuitBreakers(account)
+        ) return;
+        _fetchUserPrices(account);
+        nftLiquidatable(account, nftAddress, tokenId);
+        // borrower ERC1155 tokens redeposited during an auction wait for its settlement
+        if (nftAuctions[account][nftAddress][tokenId].endTime != 0)
+            revert AuctionAlreadyStarted(account, nftAddress, tokenId);
+        delete nftLiquidationWarning[account][nftAddress][tokenId];
+
+        // whole deposited balance is auctioned for ERC1155 tokens
+        uint256 amount = getDepositedNFTAmount(account, nftAddress, tokenId);
+        uint256 minBid = (getNFTValue(nftAddress, tokenId) *
+            amount *
+            (BPS - params.liquidationBonus)) / BPS;
+        _moveDepositedNFT(account, address(this), nftAddress, tokenId, amount);
+        ++activeNFTAuctions[account];
+        uint64 endTime = uint64(block.timestamp + params.auctionDuration);
+        nftAuctions[account][nftAddress][tokenId] = PoolStructs.NFTAuction({
+            highestBidder: address(0),
+            endTime: endTime,
+            amount: uint128(amount),
+            highestBid: 0,
+            minBid: uint128(minBid)
+        });
+
+        emit NFTAuctionStarted(account, nftAddress, tokenId, minBid, endTime);
+    }
+
+    /**
+     * @notice Bid on a liquidated NFT auction, DAI is used for payment.
+     * @dev previous highest bidder is refunded, the highest bid is held apart from the DAI vault liquidity.
+     * @param account The address of the liquidated borrower.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT being auctioned.
+     * @param amount The DAI bid amount.
+     */
+    function bidNFTAuction(
+        address account,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    ) external nonReentrant {
+        PoolStructs.NFTAuction storage auction = nftAuctions[account][
+            nftAddress
+        ][tokenId];
+        if (auction.endTime == 0) revert NoAuction();
+        if (block.timestamp >= auction.endTime) revert AuctionEnded();
+        uint256 minBid = auction.highestBid == 0
+            ? auction.minBid
+            : (auction.highestBid * (BPS + MIN_BID_INCREMENT)) / BPS;
+        if (amount < minBid) revert BidTooLow(minBid);
+
+        address DAI = supportedERC20s[0];
+        DAI.transferERC20(msg.sender, address(this), amount);
+        nftAuctionBids += amount;
+        if (auction.highestBidder != address(0)) {
+            nftAuctionBids -= auction.highestBid;
+            DAI.transferERC20(
+                address(this),
+                auction.highestBidder,
+                auction.highestBid
+            );
+        }
+        auction.highestBidder = msg.sender;
+        auction.highestBid = uint128(amount);
+
+        emit NFTAuctionBid(msg.sender, account, nftAddress, tokenId, amount);
+    }
+
+    /**
+     * @notice Settle an ended NFT auction, callable by anyone.
+     * @dev protocol takes its cut of the liquidation discount on the winning bid, the remaining proceeds repay the borrower debts across vaults.
+     * @dev caller can repay the borrower non DAI debts with `repayTokens`, it is paid back their value in DAI (at oracle price) from the proceeds.
+     * @dev remaining proceeds repay the borrower DAI debt, surplus is supplied as DAI collateral on behalf of the borrower (can then be liquidated against its other debts).
+     * @dev NFT is returned to borrower collateral if there was no bid.
+     * @param account The address of the liquidated borrower.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the auctioned NFT.
+     * @param repayTokens The borrower debt tokens repaid by the caller.
+     * @param repayAmounts The amounts of each debt token repaid by the caller.
+     */
+    function settleNFTAuction(
+        address account,
+        address nftAddress,
+        uint256 tokenId,
+        address[] calldata repayTokens,
+        uint256[] calldata repayAmounts
+    ) external nonReentrant {
+        if (repayTokens.length != repayAmounts.length) revert ArrayMismatch();
+        PoolStructs.NFTAuction memory auction = nftAuctions[account][
+            nftAddress
+        ][tokenId];
+        if (auction.endTime == 0) revert NoAuction();
+        if (block.timestamp < auction.endTime) revert AuctionNotEnded();
+        delete nftAuctions[account][nftAddress][tokenId];
+        --activeNFTAuctions[account];
+
+        if (auction.highestBidder == address(0)) {
+            _moveDepositedNFT(
+                address(this),
+                account,
+                nftAddress,
+                tokenId,
+                auction.amount
+            );
+        } else {
+            nftAuctionBids -= auction.highestBid;
+            address DAI = supportedERC20s[0];
+            _accrueInterest(DAI);
+            uint256 protocolFee = (uint256(auction.highestBid) *
+                liquidationParams[nftAddress].liquidationBonus *
+                liquidationParams[nftAddress].protocolLiquidationFee) /
+                (BPS * BPS);
+            _collectLiquidationFee(DAI, protocolFee);
+
+            _repayWithAuctionProceeds(
+                account,
+                auction.highestBid - protocolFee,
+                repayTokens,
+                repayAmounts
+            );
+
+            // escrowed ERC1155 balance may hold other borrowers auctioned tokens
+            if (isERC1155(nftAddress)) {
+                _withdrawERC1155(
+                    address(this),
+                    auction.highestBidder,
+                    nftAddress,
+                    tokenId,
+                    auction.amount
+                );
+            } else {
+                _withdrawNFT(
+                    address(this),
+                    auction.highestBidder,
+                    nftAddress,
+                    tokenId
+                );
+            }
+
+            // write off remaining debt if borrower has no collateral left
+            if (canRealizeBadDebt(account)) _realizeBadDebt(account);
+        }
+
+        emit NFTAuctionSettled(
+            auction.highestBidder,
+            account,
+            nftAddress,
+            tokenId,
+            auction.highestBid
+        );
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    /**
+     * @dev Repays the debts of an auctioned NFT borrower with the auction proceeds.
+     * @dev caller repaid debts are paid back their value in DAI first, then the borrower DAI debt is repaid.
+     * @dev surplus is supplied as DAI collateral on behalf of the borrower, supply cap is not enforced to never lock the auction.
+     * @param borrower The address of the borrower.
+     * @param proceeds The DAI auction proceeds.
+     * @param repayTokens The borrower debt tokens repaid by the caller.
+     * @param repayAmounts The amounts of each debt token repaid by the caller.
+     */
+    function _repayWithAuctionProceeds(
+        address borrower,
+        uint256 proceeds,
+        address[] calldata repayTokens,
+        uint256[] calldata repayAmounts
+    ) internal {
+        address DAI = supportedERC20s[0];
+        for (uint256 i; i < repayTokens.length; ) {
+            address token = repayTokens[i];
+            _accrueInterest(token);
+            (uint256 repaidAmount, uint256 shares) = _repayDebt(
+                borrower,
+                token,
+                repayAmounts[i]
+            );
+            uint256 paidAmount = usdToAmount(
+                DAI,
+                amountInUSD(token, repaidAmount)
+            );
+            if (paidAmount > proceeds) revert InsufficientBalance();
+            proceeds -= paidAmount;
+
+            token.transferERC20(msg.sender, address(this), repaidAmount);
+            DAI.transferERC20(address(this), msg.sender, paidAmount);
+            emit Repay(borrower, token, repaidAmount, shares);
+            unchecked {
+                ++i;
+            }
+        }
+
+        (uint256 repaidDAI, uint256 repaidShares) = _repayDebt(
+            borrower,
+            DAI,
+            proceeds
+        );
+        if (repaidDAI != 0) emit Repay(borrower, DAI, repaidDAI, repaidShares);
+
+        _mintCollateralShares(borrower, DAI, proceeds - repaidDAI);
+    }
+}
@@ -0,0 +1,392 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.18;
+
+import {LendingPoolBase} from "../LendingPoolBase.sol";
+import {VaultAccounting} from "../libraries/VaultAccounting.sol";
+import {PoolStructs} from "../interfaces/PoolStructs.sol";
+import "../libraries/TokenHelper.sol";
+
+/**
+ * @title Lending pool position module
+ * @author K.Aymen
+ * @notice Implements the users positions management of the lending pool: ERC20 supply, borrow, repay and withdraw, NFT deposits and withdrawals, e-mode selection and NFT rental fees.
+ * @dev only meant to be called by the LendingPool with delegatecall, which executes it in the pool storage context.
+ */
+contract PositionModule is LendingPoolBase {
+    using VaultAccounting for PoolStructs.Vault;
+    using TokenHelper for address;
+
+    /*//////////////////////////////////////////////////////////////
+                        ERC20 Logic functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Allows users to supply ERC20 tokens to the pool.
+     * @dev only supported ERC20 are allowed, token must not be frozen.
+     * @dev pool or token vault must not be paused.
+     * @dev will revert if vault supply cap is exceeded.
+     * @dev user can only hold a single isolated token as collateral, and only supply it without other collateral or debt.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to supply.
+     * @param minSharesOut The minimum shares to be receive.
+     */
+    function supply(
+        address token,
+        uint256 amount,
+        uint256 minSharesOut
+    ) external nonReentrant {
+        WhenNotPaused(token);
+        allowedToken(token);
+        notFrozen(token);
+        _accrueInterest(token);
+        token.transferERC20(msg.sender, address(this), amount);
+
+        uint256 shares = _supplyCollateral(msg.sender, token, amount);
+        if (shares < minSharesOut) revert TooHighSlippage(shares);
+
+        emit Deposit(msg.sender, token, amount, shares);
+    }
+
+    /**
+     * @notice Allows users to borrow ERC20 tokens from the pool.
+     * @dev pool or token vault must not be paused, token must not be frozen.
+     * @dev will revert if pool goes below reserve ratio.
+     * @dev will revert if vault borrow cap is exceeded.
+     * @dev in isolation mode only tokens borrowable in isolation are allowed, up to the isolated collateral debt ceiling.
+     * @dev will revert if user total debt exceeds its collateral loan-to-value capacity.
+     * @dev will revert while the L2 sequencer is down or within its grace period.
+     * @dev will revert if the borrowed token or any of the user tokens price is outside of its bounds, the vault pause is then persisted with `checkPriceBounds`.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to borrow.
+     */
+    function borrow(address token, uint256 amount) external nonReentrant {
+        WhenNotPaused(token);
+        notFrozen(token);
+        checkSequencerUp();
+        if (
+            _tripCircuitBreaker(token) ||
+            _tripAccountCircuitBreakers(msg.sender)
+        ) revert PriceOutOfBounds();
+        if (!vaultAboveReserveRatio(token, amount))
+            revert InsufficientBalance();
+        _accrueInterest(token);
+        uint256 shares = _borrowDebt(msg.sender, token, amount);
+
+        token.transferERC20(address(this), msg.sender, amount);
+        _fetchUserPrices(msg.sender);
+        checkBorrowCapacity(msg.sender);
+
+        emit Borrow(msg.sender, token, amount, shares);
+    }
+
+    /**
+     * @notice Allows users to repay borrowed ERC20 tokens to the pool.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to repay, set to type(uint256).max for full repayment.
+     */
+    function repay(address token, uint256 amount) external nonReentrant {
+        _accrueInterest(token);
+        uint256 shares;
+        (amount, shares) = _repayDebt(msg.sender, token, amount);
+        token.transferERC20(msg.sender, address(this), amount);
+        emit Repay(msg.sender, token, amount, shares);
+    }
+
+    /**
+     * @notice Allows users to withdraw supplied ERC20 tokens.
+     * @param token The ERC20 token address.
+     * @param amount The amount of tokens to withdraw.
+     * @param maxSharesIn The maximum shares to be redeemed for the desired withdraw amount, used as slippage protection.
+     */
+    function withdraw(
+        address token,
+        uint256 amount,
+        uint256 maxSharesIn
+    ) external nonReentrant {
+        _withdraw(token, amount, maxSharesIn, false);
+    }
+
+    /**
+     * @notice Redeems shares for ERC20 tokens from the lending pool.
+     * @param token The ERC20 token address.
+     * @param shares The amount of shares to redeem.
+     * @param minAmountOut The minimum amount to be received for the shares redeemed, used as slippage protection.
+     */
+    function redeem(
+        address token,
+        uint256 shares,
+        uint256 minAmountOut
+    ) external nonReentrant {
+        _withdraw(token, shares, minAmountOut, true);
+    }
+
+    /**
+     * @notice Pauses a token vault if its price is outside of its governance configured bounds.
+     * @dev callable by anyone (e.g. keepers monitoring the price feeds).
+     * @param token The address of the token.
+     * @return tripped True if the vault was paused.
+     */
+    function checkPriceBounds(
+        address token
+    ) external nonReentrant returns (bool tripped) {
+        allowedToken(token);
+        return _tripCircuitBreaker(token);
+    }
+
+    /**
+     * @notice Accrue interest for a specific ERC20 token.
+     * @param token The ERC20 token address.
+     * @return _interestEarned The interest earned.
+     * @return _feesAmount The fees amount accrued for the protocol.
+     * @return _feesShare The fees shares accrued for the protocol.
+     * @return _newRate The new interest rate.
+     */
+    function accrueInterest(
+        address token
+    )
+        external
+        nonReentrant
+        returns (
+            uint256 _interestEarned,
+            uint256 _feesAmount,
+            uint256 _feesShare,
+            uint64 _newRate
+        )
+    {
+        return _accrueInterest(token);
+    }
+
+    /**
+     * @notice Allows users to opt into an e-mode category (or leave it by giving 0).
+     * @dev category LTV, liquidation threshold and bonus apply to the category collateral only when all user borrows are inside the category.
+     * @dev will revert if user debt exceeds its borrow capacity after the change.
+     * @param categoryId The e-mode category id.
+     */
+    function setUserEMode(uint8 categoryId) external nonReentrant {
+        if (
+            categoryId != 0 &&
+            eModeCategories[categoryId].liquidationThreshold == 0
+        ) revert InvalidEModeCategory(categoryId);
+        uint8 previousCategoryId = userEMode[msg.sender];
+        if (previousCategoryId != 0) eModeCategoryUsers[previousCategoryId]--;
+        if (categoryId != 0) eModeCategoryUsers[categoryId]++;
+        userEMode[msg.sender] = categoryId;
+        _fetchUserPrices(msg.sender);
+        checkBorrowCapacity(msg.sender);
+        emit UserEModeSet(msg.sender, categoryId);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                        NFT Logic functions
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Allows users to deposit NFT as collateral.
+     * @dev NFT must be supported by the pool.
+     * @dev can only deposit when lending pool is not paused.
+     * @dev will revert if user is in isolation mode.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT to deposit.
+     */
+    function depositNFT(
+        address nftAddress,
+        uint256 tokenId
+    ) external nonReentrant {
+        WhenNotPaused(address(0)); // pool is not paused
+        notInIsolationMode(msg.sender);
+        _depositNFT(nftAddress, tokenId);
+        emit DepositNFT(msg.sender, nftAddress, tokenId);
+    }
+
+    /**
+     * @notice Allows users to withdraw deposited NFT collateral.
+     * @dev user debt must remain within its borrow capacity after withdrawal.
+     * @param recipient The address of the NFT receiver.
+     * @param nftAddress The address of the NFT contract.
+     * @param tokenId The ID of the NFT to withdraw.
+     */
+    function withdrawNFT(
+        address recipient,
+        address nftAddress,
+        uint256 tokenId
+    ) external nonReentrant {
+        _withdrawNFT(msg.sender, recipient, nftAddress, tokenId);
+        _fetchUserPrices(msg.sender);
+        checkBorrowCapacity(msg.sender);
+        emit WithdrawNFT(msg.sender, recipient, nftAddress, tokenId);
+    }
+
+    /**
+     * @notice Allows users to deposit many NFTs from different collections in one transaction.
+     * @dev NFTs must be supported by the pool.
+     * @dev can only deposit when lending pool is not paused.
+     * @dev will revert if user is in isolation mode.
+     * @param nftAddresses The addresses of the NFT contracts.
+     * @param tokenIds The IDs of the NFTs to deposit for each NFT contract.
+     */
+    function depositNFTs(
+        address[] calldata nftAddresses,
+        uint256[][] calldata tokenIds
+    ) external nonReentrant {
+        WhenNotPaused(address(0)); // pool is not paused
+        notInIsolationMode(msg.sender);
+        if (nftAddresses.length == 0) revert EmptyArray();
+        if (nftAddresses.length != tokenIds.length) revert ArrayMismatch();
+        for (uint256 i; i < nftAddresses.length; ) {
+            if (tokenIds[i].length == 0) revert EmptyArray();
+            for (uint256 j; j < tokenIds[i].length; ) {
+                _depositNFT(nftAddresses[i], tokenIds[i][j]);
+                emit DepositNFT(msg.sender, nftAddresses[i], tokenIds[i][j]);
+                unchecked {
+                    ++j;
+                }
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @notice Allows users to withdraw many deposited NFTs from different collections in one transaction.
+     * @dev user debt must remain within its borrow capacity after all withdrawals.
+     * @param recipient The address of the NFTs receiver.
+     * @param nftAddresses The addresses of the NFT contracts.
+     * @param tokenIds The IDs of the NFTs to withdraw for each NFT contract.
+     */
+    function withdrawNFTs(
+        address recipient,
+        address[] calldata nftAddresses,
+        uint256[][] calldata tokenIds
+    ) external nonReentrant {
+        if (nftAddresses.length == 0) revert EmptyArray();
+        if (nftAddresses.length != tokenIds.length) revert ArrayMismatch();
+        for (uint256 i; i < nftAddresses.length; ) {
+            if (tokenIds[i].length == 0) revert EmptyArray();
+            for (uint256 j; j < tokenIds[i].length; ) {
+                _withdrawNFT(
+                    msg.sender,
+                    recipient,
+                    nftAddresses[i],
+                    tokenIds[i][j]
+                );
+                emit WithdrawNFT(
+                    msg.sender,
+                    recipient,
+                    nftAddresses[i],
+                    tokenIds[i][j]
+                );
+                unchecked {
+                    ++j;
+                }
+            }
+            unchecked {
+                ++i;
+            }
+        }
+        _fetchUserPrices(msg.sender);
+        checkBorrowCapacity(msg.sender);
+    }
+
+    /**
+     * @notice Allows users to deposit ERC1155 tokens as collateral.
+     * @dev ERC1155 collection must be supported by the pool.
+     * @dev can only deposit when lending pool is not paused.
+     * @dev will revert if user is in isolation mode.
+     * @param nftAddress The address of the ERC1155 contract.
+     * @param tokenId The ID of the token to deposit.
+     * @param amount The amount of tokens to deposit.
+     */
+    function depositERC1155(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    ) external nonReentrant {
+        WhenNotPaused(address(0)); // pool is not paused
+        notInIsolationMode(msg.sender);
+        _depositERC1155(nftAddress, tokenId, amount);
+        emit DepositERC1155(msg.sender, nftAddress, tokenId, amount);
+    }
+
+    /**
+     * @notice Allows users to withdraw deposited ERC1155 collateral.
+     * @dev user debt must remain within its borrow capacity after withdrawal.
+     * @param recipient The address of the tokens receiver.
+     * @param nftAddress The address of the ERC1155 contract.
+     * @param tokenId The ID of the token to withdraw.
+     * @param amount The amount of tokens to withdraw.
+     */
+    function withdrawERC1155(
+        address recipient,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    ) external nonReentrant {
+        _withdrawERC1155(msg.sender, recipient, nftAddress, tokenId, amount);
+        _fetchUserPrices(msg.sender);
+        checkBorrowCapacity(msg.sender);
+        emit WithdrawERC1155(
+            msg.sender,
+            recipient,
+            nftAddress,
+            tokenId,
+            amount
+        );
+    }
+
+    /**
+     * @notice Allow NFT depositor to lend its deposited NFTs of a collection to third parties for airdrop claims.
+     * @param nftAddress address of the NFT collection.
+     * @param rentalFee The DAI fee paid for each flashloaned NFT (each unit for ERC1155), 0 to stop lending.
+     */
+    function setNFTRentalFee(
+        address nftAddress,
+        uint256 rentalFee
+    ) external nonReentrant {
+        allowedToken(nftAddress);
+        nftRentalFees[msg.sender][nftAddress][
+            tokenListings[nftAddress]
+        ] = rentalFee;
+        emit NFTRentalFeeSet(msg.sender, nftAddress, rentalFee);
+    }
+
+    //--------------------------------------------------------------------
+    /** INTERNAL FUNCTIONS */
+
+    function _withdraw(
+        address token,
+        uint256 amount,
+        uint256 minAmountOutOrMaxShareIn,
+        bool share
+    ) internal {
+        _accrueInterest(token);
+
+        uint256 userCollShares = userShares[msg.sender][token].collateral;
+        uint256 shares;
+        if (share) {
+            // redeem shares
+            shares = amount;
+            amount = vaults[token].totalAsset.toAmount(shares, false);
+            if (amount < minAmountOutOrMaxShareIn)
+                revert TooHighSlippage(amount);
+        } else {
+            // withdraw amount
+            shares = vaults[token].totalAsset.toShares(amount, false);
+            if (shares > minAmountOutOrMaxShareIn)
+                revert TooHighSlippage(shares);
+        }
+        if (userCollShares < shares || vaultBalance(token) < amount)
+            revert InsufficientBalance();
+        unchecked {
+            vaults[token].totalAsset.shares -= uint128(shares);
+            vaults[token].totalAsset.amount -= uint128(amount);
+            userShares[msg.sender][token].collateral -= shares;
+        }
+
+        token.transferERC20(address(this), msg.sender, amount);
+        _fetchUserPrices(msg.sender);
+        checkBorrowCapacity(msg.sender);
+        emit Withdraw(msg.sender, token, amount, shares);
+    }
+}
@@ -7,9 +7,10 @@ abstract contract Constants {
     uint256 public constant PRECISION = 1e18; // 18 decimals precision
     // if health factor is below 1e18 then position become liquidatable
     uint256 internal constant MIN_HEALTH_FACTOR = 1e18;
+
+    // default liquidation params given to newly supported tokens (can be changed by owner)
     // if health factor is below 0.9e18 then full liquidation is allowed
     uint256 internal constant CLOSE_FACTOR_HF_THRESHOLD = 0.9e18;
-    uint256 internal constant LIQUIDATION_THRESHOLD = 8e4; // 80%
     uint256 internal constant DEFAULT_LIQUIDATION_CLOSE_FACTOR = 5e4; // 50%
     uint256 internal constant LIQUIDATION_REWARD = 5e3; // 5%
 
@@ -18,6 +19,32 @@ abstract contract Constants {
     uint256 internal constant NFT_WARNING_DELAY = 2 hours;
     // delay given to liquidator (that triggered the liquidation warning) to liquidate the NFT, before allowing anyone to liquidate the NFT
     uint256 internal constant NFT_LIQUIDATOR_DELAY = 5 minutes;
+    // max NFT warning and liquidator delays
+    uint256 internal constant MAX_NFT_LIQUIDATION_DELAY = 7 days;
+    uint256 internal constant MAX_NFT_AUCTION_DURATION = 7 days;
+    // max NFT trait tier multiplier applied to collection floor price
+    uint256 internal constant MAX_NFT_TIER_MULTIPLIER = 1e6; // x10
+    // each NFT auction bid must be higher than previous one by 1%
+    uint256 internal constant MIN_BID_INCREMENT = 1e3;
+    // max USD value of the collateral left to an insolvent borrower for its debt to be written off as bad debt
+    uint256 internal constant BAD_DEBT_DUST_THRESHOLD = 1e18; // 1$
+
+    // default price feed heartbeat given to newly supported tokens (can be changed by owner)
+    uint256 internal constant DEFAULT_PRICE_FEED_HEARTBEAT = 2 hours;
+    // max price feed heartbeat (chainlink feeds update at least once every 24h)
+    uint256 internal constant MAX_PRICE_FEED_HEARTBEAT = 2 days;
+    // delay before a proposed token price feed change can be executed
+    uint256 internal constant PRICE_FEED_CHANGE_DELAY = 2 days;
+
+    // max delay after the L2 sequencer is back up before prices are accepted again
+    uint256 internal constant MAX_SEQUENCER_GRACE_PERIOD = 1 days;
+
+    // duration after which a governance pushed price is considered outdated
+    uint256 internal constant GOVERNANCE_PRICE_TIMEOUT = 1 days;
+
+    // value returned by EIP-3156 flash borrowers on success
+    bytes32 internal constant FLASHLOAN_CALLBACK_SUCCESS =
+        keccak256("ERC3156FlashBorrower.onFlashLoan");
 
     // Default Interest Rate (if borrows = 0)
     uint64 internal constant DEFAULT_INTEREST = 158247046; // 0.5% annual rate 1e18 precision
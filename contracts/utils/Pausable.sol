@@ -30,6 +30,10 @@ contract Pausable is Ownable {
         if (pausedStatus(vault)) revert isPaused();
     }
 
+    function WhenVaultNotPaused(address vault) internal view {
+        if (vaultPaused[vault]) revert isPaused();
+    }
+
     function pausedStatus(address vault) public view returns (bool) {
         return globalPaused || vaultPaused[vault];
     }
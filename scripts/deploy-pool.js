@@ -1,6 +1,10 @@
 const hre = require("hardhat");
 const { verify } = require("../utils/verify");
-const { getAmountInWei, developmentChains } = require("../utils/helpers");
+const {
+  getAmountInWei,
+  developmentChains,
+  deployLogicModules,
+} = require("../utils/helpers");
 
 // mumbai addresses
 const DAI = "0xd393b1E02dA9831Ff419e22eA105aAe4c47E1253";
@@ -13,16 +17,26 @@ const daiVaultParams = {
   baseRate: 0,
   slope1: getAmountInWei(0.04), // 4%
   slope2: getAmountInWei(3), // 300%
+  loanToValue: 75000, // 75%
+  liquidationThreshold: 80000, // 80%
+  supplyCap: 0, // no cap
+  borrowCap: 0, // no cap
+  isolated: false,
+  borrowableInIsolation: false,
+  debtCeiling: 0,
+  eModeCategory: 0, // no e-mode category
 };
 
 async function main() {
   const deployNetwork = hre.network.name;
 
-  // Deploy Lending Pool contract
+  // Deploy the pool logic modules then the Lending Pool contract
+  const modules = await deployLogicModules();
   const pool = await ethers.deployContract("LendingPool", [
     DAI,
     daiPriceFeed,
     daiVaultParams,
+    modules,
   ]);
   await pool.waitForDeployment();
 
@@ -37,7 +51,7 @@ async function main() {
     await pool.deployTransaction.wait(6);
 
     // args represent contract constructor arguments
-    const args = [DAI, daiPriceFeed, daiVaultParams];
+    const args = [DAI, daiPriceFeed, daiVaultParams, modules];
     await verify(pool.address, args);
   }
 }
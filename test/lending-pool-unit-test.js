@@ -1,4 +1,5 @@
 const { expect } = require("chai");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { ethers, network } = require("hardhat");
 const {
   getAmountInWei,
@@ -15,9 +16,17 @@ const {
   moveTime,
   deployERC721Mock,
   mintAndapproveNFT,
+  mintAndapproveNFTs,
+  withCollateralFactors,
+  deployNFTAppraisalMock,
+  deploySwapAdapterMock,
+  deployERC1155Mock,
+  mintAndapproveERC1155,
+  deployLogicModules,
 } = require("../utils/helpers");
 
-const TokenType = { ERC20: 0, ERC721: 1 };
+const TokenType = { ERC20: 0, ERC721: 1, ERC1155: 2 };
+const FallbackSource = { NONE: 0, PRICE_FEED: 1, GOVERNANCE: 2 };
 
 let pool;
 let DAI, WETH, WBTC;
@@ -33,6 +42,14 @@ let vaultInfoParams = {
   baseRate: 0,
   slope1: getAmountInWei(0.04), // 4%
   slope2: getAmountInWei(3), // 300%
+  loanToValue: 75000, // 75%
+  liquidationThreshold: 80000, // 80%
+  supplyCap: 0, // no cap
+  borrowCap: 0, // no cap
+  isolated: false,
+  borrowableInIsolation: false,
+  debtCeiling: 0,
+  eModeCategory: 0, // no e-mode category
 };
 
 !developmentChains.includes(network.name)
@@ -239,6 +256,41 @@ let vaultInfoParams = {
                 .connect(user1)
                 .supply(WBTC.target, wbtcSuppliedAmount, 0);
             });
+            it("should revert if vault supply cap is exceeded", async () => {
+              // set WBTC vault supply cap to 12 WBTC
+              const supplyCap = scaleAmount(12, 8);
+              await pool.connect(owner).setPausedStatus(WBTC.target, true);
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, supplyCap },
+                false
+              );
+              await pool.connect(owner).setPausedStatus(WBTC.target, false);
+
+              // 10 WBTC already supplied by user1 and user2
+              expect(await pool.getSupplyCapHeadroom(WBTC.target)).to.equal(
+                scaleAmount(2, 8)
+              );
+
+              const amount = scaleAmount(3, 8); // 3 WBTC
+              await mintAndapproveERC20(
+                user1,
+                WBTC.target,
+                amount,
+                pool.target
+              );
+              await expect(pool.connect(user1).supply(WBTC.target, amount, 0))
+                .to.be.revertedWithCustomError(pool, "SupplyCapExceeded")
+                .withArgs(supplyCap);
+
+              // can still supply up to the cap
+              await pool
+                .connect(user1)
+                .supply(WBTC.target, scaleAmount(2, 8), 0);
+              expect(await pool.getSupplyCapHeadroom(WBTC.target)).to.equal(0);
+            });
           });
           describe("borrow()", () => {
             before(async () => {
@@ -370,11 +422,22 @@ let vaultInfoParams = {
                 parseFloat(getAmountFromWei(borrowShares)).toFixed(5)
               ).to.be.equal(parseFloat(expectedShares).toFixed(5));
             });
-            it("should revert if borrower is below health factor", async () => {
+            it("should revert if borrower exceeds borrow capacity", async () => {
               // user3 tries to borrow more WETH
               await expect(
                 pool.connect(user3).borrow(WETH.target, getAmountInWei(10))
-              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
+            });
+            it("should revert if borrow exceeds LTV even when health factor stays above minimum", async () => {
+              // user3 has 1.5 WBTC (45000$) collateral and 10 WETH (20000$) debt
+              // borrowing 7 WETH more gives 34000$ debt > 33750$ (75% LTV)
+              // but health factor would still be above 1 (80% liquidation threshold)
+              await expect(
+                pool.connect(user3).borrow(WETH.target, getAmountInWei(7))
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
+              expect(await pool.healthFactor(user3.address)).to.be.greaterThan(
+                getAmountInWei(1)
+              );
             });
             it("should revert if token vault is paused", async () => {
               // pause ETH vault
@@ -383,6 +446,33 @@ let vaultInfoParams = {
                 pool.connect(user3).borrow(WETH.target, getAmountInWei(5))
               ).to.be.revertedWithCustomError(pool, "isPaused");
             });
+            it("should revert if vault borrow cap is exceeded", async () => {
+              // set WBTC vault borrow cap to 1 WBTC
+              const borrowCap = scaleAmount(1, 8);
+              await pool.connect(owner).setPausedStatus(WBTC.target, true);
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, borrowCap },
+                false
+              );
+              await pool.connect(owner).setPausedStatus(WBTC.target, false);
+              expect(await pool.getBorrowCapHeadroom(WBTC.target)).to.equal(
+                borrowCap
+              );
+
+              // user1 tries to borrow 2 WBTC against its WETH collateral
+              await expect(
+                pool.connect(user1).borrow(WBTC.target, scaleAmount(2, 8))
+              )
+                .to.be.revertedWithCustomError(pool, "BorrowCapExceeded")
+                .withArgs(borrowCap);
+
+              // can still borrow up to the cap
+              await pool.connect(user1).borrow(WBTC.target, borrowCap);
+              expect(await pool.getBorrowCapHeadroom(WBTC.target)).to.equal(0);
+            });
           });
           describe("repay()", () => {
             before(async () => {
@@ -695,7 +785,7 @@ let vaultInfoParams = {
                 beforeUserAssetShares - getAmountFromWei(withdrawnShares)
               );
             });
-            it("should revert if user goes below health factor", async () => {
+            it("should revert if user exceeds borrow capacity", async () => {
               // user1 borrows token2
               await pool
                 .connect(user1)
@@ -712,7 +802,7 @@ let vaultInfoParams = {
                 pool
                   .connect(user1)
                   .withdraw(WETH.target, amount, getAmountInWei(10000))
-              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
             });
           });
           describe("redeem()", () => {
@@ -850,13 +940,13 @@ let vaultInfoParams = {
                 beforeUserAssetShares - getAmountFromWei(withdrawnShares)
               );
             });
-            it("should revert if user becomes not solvent", async () => {
+            it("should revert if user exceeds borrow capacity", async () => {
               // user1 borrows token2
               await pool.connect(user1).borrow(WBTC.target, scaleAmount(3, 8));
               // user1 tries to withdraw supplied WETH
               await expect(
                 pool.connect(user1).redeem(WETH.target, getAmountInWei(30), 0)
-              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
             });
           });
           describe("liquidate()", () => {
@@ -1105,8 +1195,7 @@ let vaultInfoParams = {
                 );
             });
           });
-          describe("flashloan()", () => {
-            let flashLoanReceiver;
+          describe("liquidateBatch()", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
@@ -1140,208 +1229,144 @@ let vaultInfoParams = {
                 true
               );
 
-              // user 1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(80));
-              await supply(user1, WETH.target, getAmountInWei(80), pool);
+              // user1 supplies DAI and WBTC
+              await mintERC20(user1, DAI.target, getAmountInWei(50000));
+              await supply(user1, DAI.target, getAmountInWei(50000), pool);
+              await mintERC20(user1, WBTC.target, scaleAmount(1, 8));
+              await supply(user1, WBTC.target, scaleAmount(1, 8), pool);
 
-              // Deploy flashloan receiver mock
-              flashLoanReceiver = await ethers.deployContract(
-                "FlashloanReceiverMock",
-                [pool.target, WETH.target, WBTC.target]
-              );
-              await flashLoanReceiver.waitForDeployment();
+              // user2 supplies 0.5 WBTC (15000$) and 10 WETH (20000$)
+              const wbtcAmount = scaleAmount(0.5, 8);
+              await mintERC20(user2, WBTC.target, wbtcAmount);
+              await supply(user2, WBTC.target, wbtcAmount, pool);
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+
+              // user2 borrows 20000 DAI and 0.1 WBTC (3000$)
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(20000));
+              await pool
+                .connect(user2)
+                .borrow(WBTC.target, scaleAmount(0.1, 8));
             });
-            it("should revert if input array is empty", async () => {
+            it("should revert if input arrays are empty or mismatched", async () => {
               await expect(
                 pool
-                  .connect(user2)
-                  .flashloan(
-                    flashLoanReceiver.target,
-                    [],
-                    [getAmountInWei(20)],
-                    ethers.toUtf8Bytes("")
-                  )
+                  .connect(user3)
+                  .liquidateBatch(user2.address, [], [], [WETH.target])
               ).to.be.revertedWithCustomError(pool, "EmptyArray");
-            });
-            it("should revert if mismatch in input arrays length", async () => {
               await expect(
                 pool
-                  .connect(user2)
-                  .flashloan(
-                    flashLoanReceiver.target,
-                    [WETH.target],
-                    [getAmountInWei(20), getAmountInWei(10)],
-                    ethers.toUtf8Bytes("")
+                  .connect(user3)
+                  .liquidateBatch(
+                    user2.address,
+                    [DAI.target, WBTC.target],
+                    [getAmountInWei(100)],
+                    [WETH.target]
                   )
               ).to.be.revertedWithCustomError(pool, "ArrayMismatch");
             });
-            it("should revert if user does not pay flashfee", async () => {
+            it("should revert if borrower is solvent", async () => {
               await expect(
                 pool
-                  .connect(user2)
-                  .flashloan(
-                    flashLoanReceiver.target,
-                    [WETH.target],
-                    [getAmountInWei(20)],
-                    ethers.toUtf8Bytes("")
+                  .connect(user3)
+                  .liquidateBatch(
+                    user2.address,
+                    [DAI.target],
+                    [getAmountInWei(100)],
+                    [WETH.target]
                   )
-              ).to.be.revertedWith("ERC20: transfer amount exceeds balance");
+              ).to.be.revertedWithCustomError(pool, "BorrowerIsSolvant");
             });
-            let beforePoolWETHBalance, beforePoolWETHAmount, feeAmountsPaid;
-            it("should allow user to flashloan tokens from the pool", async () => {
-              beforePoolWETHBalance = await WETH.balanceOf(pool.target);
-              const vault = await pool.getTokenVault(WETH.target);
-              beforePoolWETHAmount = vault.totalAsset.amount;
-
-              // mint receiver some WETH to pay fees
-              const erc20 = await ethers.getContractAt(
-                "ERC20DecimalsMock",
-                WETH.target
-              );
-              const mint_tx = await erc20.mint(
-                flashLoanReceiver.target,
-                getAmountInWei(1)
-              );
-              await mint_tx.wait(1);
-
-              pool.on(
-                "FlashloanSuccess",
-                (initiator, tokens, amounts, fees, data) => {
-                  expect(initiator).to.equal(user2.address);
-                  expect(tokens[0]).to.equal(WETH.target);
-                  expect(amounts[0]).to.equal(getAmountInWei(20));
-                  feeAmountsPaid = fees[0];
-                }
-              );
-
+            it("should revert if borrower try to liquidate his position", async () => {
               await expect(
                 pool
                   .connect(user2)
-                  .flashloan(
-                    flashLoanReceiver.target,
-                    [WETH.target],
-                    [getAmountInWei(20)],
-                    ethers.toUtf8Bytes("")
+                  .liquidateBatch(
+                    user2.address,
+                    [DAI.target],
+                    [getAmountInWei(100)],
+                    [WETH.target]
                   )
-              ).to.emit(pool, "FlashloanSuccess");
+              ).to.be.revertedWithCustomError(pool, "SelfLiquidation");
             });
-            it("should transfer flash fee amount to pool", async () => {
-              expect(await WETH.balanceOf(pool.target)).to.equal(
-                beforePoolWETHBalance + feeAmountsPaid
+            it("should liquidate many borrows seizing collaterals in the given order", async () => {
+              // simulate decrease in WBTC price
+              await wbtcFeed.updateAnswer(scaleAmount(10000, 8)); // 1 BTC = 10000$
+
+              // user2 HF is above close factor threshold: only 50% of the combined debt (21000$) can be repaid
+              const hf = await pool.healthFactor(user2.address);
+              expect(hf).to.be.lessThan(getAmountInWei(1));
+              expect(hf).to.be.greaterThan(getAmountInWei(0.9));
+
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(10000),
+                pool.target
               );
-            });
-            it("should add flash fee amount to the tokens vaults", async () => {
-              const vault = await pool.getTokenVault(WETH.target);
-              expect(vault.totalAsset.amount).to.equal(
-                beforePoolWETHAmount + feeAmountsPaid
+              await mintAndapproveERC20(
+                user3,
+                WBTC.target,
+                scaleAmount(0.1, 8),
+                pool.target
               );
-            });
-            it("should revert if flashloaned token vault is paused", async () => {
-              // Pause WETH token vault
-              await pool.connect(owner).setPausedStatus(WETH.target, true);
 
               await expect(
                 pool
-                  .connect(user2)
-                  .flashloan(
-                    flashLoanReceiver.target,
-                    [WETH.target],
-                    [getAmountInWei(20)],
-                    ethers.toUtf8Bytes("")
+                  .connect(user3)
+                  .liquidateBatch(
+                    user2.address,
+                    [DAI.target, WBTC.target],
+                    [getAmountInWei(10000), scaleAmount(0.1, 8)],
+                    [WBTC.target, WETH.target]
                   )
-              ).to.be.revertedWithCustomError(pool, "FlashloanPaused");
+              )
+                .to.emit(pool, "BatchLiquidated")
+                .withArgs(user2.address, user3.address, anyValue);
 
-              // unpause WETH token vault
-              await pool.connect(owner).setPausedStatus(WETH.target, false);
-            });
-            it("should revert if flashloan receiver returns false", async () => {
-              // Deploy bad flashloan receiver mock
-              flashLoanReceiver = await ethers.deployContract(
-                "BadFlashloanReceiverMock",
-                [pool.target, WETH.target, WBTC.target]
+              // all WBTC collateral (5000$) was seized first without reward
+              const wbtcShares = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WBTC.target
               );
-              await flashLoanReceiver.waitForDeployment();
-              await expect(
-                pool
-                  .connect(user2)
-                  .flashloan(
-                    flashLoanReceiver.target,
-                    [WETH.target],
-                    [getAmountInWei(20)],
-                    ethers.toUtf8Bytes("")
-                  )
-              ).to.be.revertedWithCustomError(pool, "FlashloanFailed");
+              expect(wbtcShares[0]).to.be.equal(0);
+
+              // 10000 DAI repaid, then remaining 500$ close factor allowance used to repay 0.05 WBTC
+              expect(await DAI.balanceOf(user3.address)).to.be.equal(0);
+              expect(
+                normalizeAmount(await WBTC.balanceOf(user3.address), 8)
+              ).to.be.closeTo(0.55, 0.001); // 0.5 seized + 0.05 not used
+              // 5500$ repaid with WETH collateral + 5% bonus
+              expect(
+                round(getAmountFromWei(await WETH.balanceOf(user3.address)))
+              ).to.be.equal(2.9);
+              expect(
+                round(
+                  getAmountFromWei(await pool.getUserTotalBorrow(user2.address))
+                )
+              ).to.be.equal(10500);
             });
           });
-        });
-        describe("NFT Collateral Logic functions", () => {
-          describe("depositNFT()", () => {
-            let tokenId = 1;
+          describe("liquidation protocol fee", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
                 await deployTokenMocks();
 
-              // Deploy NFT mock and NFT floor price feeds mock
-              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
-
               // Deploy Lending Pool contract
               pool = await deployPool(
                 DAI.target,
                 daiFeed.target,
                 vaultInfoParams
               );
-            });
-            it("should revert if pool is paused", async () => {
-              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
-              await expect(
-                pool.connect(user1).depositNFT(NFT.target, tokenId)
-              ).to.be.revertedWithCustomError(pool, "isPaused");
-            });
-            it("should revert if NFT is not supported as collateral", async () => {
+
               // unpause pool
               await pool
                 .connect(owner)
                 .setPausedStatus(ethers.ZeroAddress, false);
-              await expect(
-                pool.connect(user1).depositNFT(NFT.target, tokenId)
-              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
-            });
-            it("should allow user to deposit supported NFT as collateral", async () => {
-              // add NFT to supported collateral
-              await setupTokenVault(
-                NFT.target,
-                nftFloorPriceFeed.target,
-                TokenType.ERC721,
-                vaultInfoParams,
-                true
-              );
-              await expect(pool.connect(user1).depositNFT(NFT.target, tokenId))
-                .to.emit(pool, "DepositNFT")
-                .withArgs(user1.address, NFT.target, tokenId);
-            });
-            it("should transfer NFT to lending pool", async () => {
-              expect(await NFT.ownerOf(tokenId)).to.be.equal(pool.target);
-              expect(await NFT.balanceOf(pool.target)).to.be.equal(1);
-            });
-            it("should register NFT to user deposited NFT storage", async () => {
-              expect(
-                await pool.hasDepositedNFT(user1.address, NFT.target, tokenId)
-              ).to.be.equal(true);
-              expect(
-                await pool.getDepositedNFTCount(user1.address, NFT.target)
-              ).to.be.equal(1);
-            });
-            it("should increase user collateral value", async () => {
-              const nftValue = await pool.getTokenPrice(NFT.target);
-              // user has only deposited NFT as collateral
-              // expect totalCollValue == NFTCollateralValue
-              const [userTokenCollateralValue, userNFTCollateralValue] =
-                await pool.getUserData(user1.address);
-              expect(userTokenCollateralValue).to.be.equal(0);
-              expect(userNFTCollateralValue).to.be.equal(nftValue);
-            });
-            it("should allow user to borrow against NFT collateral", async () => {
+
               // add supported ERC20 tokens
               await setupTokenVault(
                 WETH.target,
@@ -1350,38 +1375,81 @@ let vaultInfoParams = {
                 vaultInfoParams,
                 true
               );
-
-              // user2 supplies WETH
-              await mintERC20(user2, WETH.target, getAmountInWei(40)); // 40 ETH
-              await supply(user2, WETH.target, getAmountInWei(40), pool);
-
-              const beforeBorrowerWethBalance = getAmountFromWei(
-                await WETH.balanceOf(user1.address)
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
               );
+              // protocol takes 50% of WBTC liquidation bonus
+              await pool.connect(owner).setPausedStatus(WBTC.target, true);
+              await pool.connect(owner).setLiquidationParams(WBTC.target, {
+                ...(await pool.getLiquidationParams(WBTC.target)).toObject(),
+                protocolLiquidationFee: 50000,
+              });
+              await pool.connect(owner).setPausedStatus(WBTC.target, false);
 
-              const borrowAmount = getAmountInWei(1); // 1 WETH
-              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(200));
+              await supply(user1, WETH.target, getAmountInWei(200), pool);
 
-              const afterBorrowerWethBalance = getAmountFromWei(
-                await WETH.balanceOf(user1.address)
+              // user2 supplies 10 WBTC and borrows 100 WETH
+              const amount = scaleAmount(10, 8);
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+              await pool
+                .connect(user2)
+                .borrow(WETH.target, getAmountInWei(100));
+
+              // simulate decrease in WBTC price
+              await wbtcFeed.updateAnswer(scaleAmount(24000, 8)); // 1 BTC = 24000$
+            });
+            it("should credit protocol share of liquidation bonus to the pool", async () => {
+              const liquidatedAmount = getAmountInWei(10); // 10 WETH = 20000$
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                liquidatedAmount,
+                pool.target
               );
 
-              expect(afterBorrowerWethBalance).to.be.equal(
-                getAmountFromWei(borrowAmount) + beforeBorrowerWethBalance
+              // 20000$ of WBTC + 5% bonus, half of the bonus goes to protocol
+              const liquidatedCollateral = 83333333n;
+              const liquidationReward = 4166666n;
+              const protocolFee = 2083333n;
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              )
+                .to.emit(pool, "LiquidationFeeCollected")
+                .withArgs(WBTC.target, protocolFee, anyValue);
+
+              expect(await WBTC.balanceOf(user3.address)).to.be.equal(
+                liquidatedCollateral + liquidationReward - protocolFee
               );
+              expect(await pool.getLiquidationRevenue(WBTC.target)).to.be.equal(
+                protocolFee
+              );
+              const poolShares = await pool.getUserTokenCollateralAndBorrow(
+                pool.target,
+                WBTC.target
+              );
+              expect(poolShares[0]).to.be.greaterThan(0);
             });
           });
-          describe("withdrawNFT()", () => {
-            let tokenId_1 = 1;
-            let tokenId_2 = 2;
+          describe("bad debt", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
                 await deployTokenMocks();
 
-              // Deploy NFT mock and NFT floor price feeds mock
-              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
-
               // Deploy Lending Pool contract
               pool = await deployPool(
                 DAI.target,
@@ -1394,123 +1462,132 @@ let vaultInfoParams = {
                 .connect(owner)
                 .setPausedStatus(ethers.ZeroAddress, false);
 
-              // add NFT to supported collateral
+              // add supported ERC20 tokens
               await setupTokenVault(
-                NFT.target,
-                nftFloorPriceFeed.target,
-                TokenType.ERC721,
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
                 vaultInfoParams,
                 true
               );
-
-              // mint NFT to user1
-              await mintAndapproveNFT(
-                user1,
-                NFT.target,
-                tokenId_1,
-                pool.target
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
               );
 
-              // mint NFT to user1
-              await mintAndapproveNFT(
-                user1,
-                NFT.target,
-                tokenId_2,
-                pool.target
-              );
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(200));
+              await supply(user1, WETH.target, getAmountInWei(200), pool);
 
-              // deposit NFT 1 to pool
-              await pool.connect(user1).depositNFT(NFT.target, tokenId_1);
-            });
-            it("should revert if NFT was not deposited", async () => {
-              await expect(
-                pool
-                  .connect(user1)
-                  .withdrawNFT(user1.address, NFT.target, tokenId_2)
-              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+              // user2 supplies 1 WBTC (30000$) and borrows 10 WETH (20000$)
+              await mintERC20(user2, WBTC.target, scaleAmount(1, 8));
+              await supply(user2, WBTC.target, scaleAmount(1, 8), pool);
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(10));
             });
-            it("should revert if non owner tries to withdraw NFT", async () => {
-              await expect(
-                pool
-                  .connect(user2)
-                  .withdrawNFT(user1.address, NFT.target, tokenId_1)
-              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+            it("should revert if borrower still has collateral", async () => {
+              await expect(pool.realizeBadDebt(user2.address))
+                .to.be.revertedWithCustomError(pool, "NoBadDebt")
+                .withArgs(user2.address);
             });
-            it("should allow depositor to withdraw NFT", async () => {
+            it("should write off remaining debt when all collateral is liquidated", async () => {
+              // simulate crash in WBTC price, collateral only covers 5 WETH
+              await wbtcFeed.updateAnswer(scaleAmount(10000, 8)); // 1 BTC = 10000$
+
+              const liquidatedAmount = getAmountInWei(10);
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                liquidatedAmount,
+                pool.target
+              );
+              const beforeVault = await pool.getTokenVault(WETH.target);
               await expect(
                 pool
-                  .connect(user1)
-                  .withdrawNFT(user1.address, NFT.target, tokenId_1)
-              )
-                .to.emit(pool, "WithdrawNFT")
-                .withArgs(user1.address, user1.address, NFT.target, tokenId_1);
-              expect(await NFT.ownerOf(tokenId_1)).to.be.equal(user1.address);
-              expect(
-                await pool.hasDepositedNFT(user1.address, NFT.target, tokenId_1)
-              ).to.be.equal(false);
-              expect(
-                await pool.getDepositedNFTCount(user1.address, NFT.target)
-              ).to.be.equal(0);
-            });
-            it("should revert if depositor is below min health factor", async () => {
-              // user1 deposit NFT 2 to pool
-              await pool.connect(user1).depositNFT(NFT.target, tokenId_2);
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WBTC.target,
+                    WETH.target,
+                    liquidatedAmount
+                  )
+              ).to.emit(pool, "BadDebtRealized");
 
-              // add WETH to supported ERC20 tokens
-              await setupTokenVault(
-                WETH.target,
-                wethFeed.target,
-                TokenType.ERC20,
-                vaultInfoParams,
-                true
+              // liquidator only repaid 5 WETH for the whole collateral
+              expect(await WBTC.balanceOf(user3.address)).to.be.equal(
+                scaleAmount(1, 8)
+              );
+              expect(await WETH.balanceOf(user3.address)).to.be.equal(
+                getAmountInWei(5)
               );
 
-              // user2 supplies WETH
-              await mintERC20(user2, WETH.target, getAmountInWei(10)); // 10 ETH
-              await supply(user2, WETH.target, getAmountInWei(10), pool);
+              const userShares = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WETH.target
+              );
+              expect(userShares[1]).to.be.equal(0);
 
-              // user1 borrow 2 WETH
-              const borrowAmount = getAmountInWei(2); // 2 WETH
-              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+              const [tokens, amounts] = await pool.getBadDebts();
+              expect(tokens[1]).to.be.equal(WETH.target);
+              expect(amounts[1]).to.be.greaterThanOrEqual(getAmountInWei(5));
 
-              // user cannot withdraw NFT as HF will be below minimum
-              await expect(
-                pool
-                  .connect(user1)
-                  .withdrawNFT(user1.address, NFT.target, tokenId_2)
-              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+              // bad debt is removed from vault borrows and assets
+              const afterVault = await pool.getTokenVault(WETH.target);
+              expect(afterVault.totalBorrow.shares).to.be.equal(0);
+              expect(afterVault.totalAsset.amount).to.be.lessThan(
+                beforeVault.totalAsset.amount
+              );
             });
-            it("should allow depositor to withdraw NFT if he remains above min health factor", async () => {
-              // user1 supplies 5000 DAI
-              await mintERC20(user1, DAI.target, getAmountInWei(5000)); // 5000 DAI
-              await supply(user1, DAI.target, getAmountInWei(5000), pool);
+            it("should write off remaining debt when only dust collateral is left", async () => {
+              // randomUser supplies 1 WBTC (10000$) and dust WETH, borrows 3 WETH (6000$)
+              await mintERC20(randomUser, WBTC.target, scaleAmount(1, 8));
+              await supply(randomUser, WBTC.target, scaleAmount(1, 8), pool);
+              await mintERC20(randomUser, WETH.target, 1000);
+              await supply(randomUser, WETH.target, 1000, pool);
+              await pool
+                .connect(randomUser)
+                .borrow(WETH.target, getAmountInWei(3));
 
+              // dust collateral does not block the write-off once WBTC is liquidated
+              await wbtcFeed.updateAnswer(scaleAmount(1000, 8)); // 1 BTC = 1000$
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                getAmountInWei(3),
+                pool.target
+              );
               await expect(
                 pool
-                  .connect(user1)
-                  .withdrawNFT(user1.address, NFT.target, tokenId_2)
-              )
-                .to.emit(pool, "WithdrawNFT")
-                .withArgs(user1.address, user1.address, NFT.target, tokenId_2);
+                  .connect(user3)
+                  .liquidate(
+                    randomUser.address,
+                    WBTC.target,
+                    WETH.target,
+                    getAmountInWei(3)
+                  )
+              ).to.emit(pool, "BadDebtRealized");
 
-              // NFT2 returned to user1
-              expect(await NFT.ownerOf(tokenId_2)).to.be.equal(user1.address);
-              //user1 health factor still above 1e18
-              expect(
-                await pool.healthFactor(user1.address)
-              ).to.be.greaterThanOrEqual(getAmountInWei(1));
+              // dust collateral is seized by the protocol
+              const userShares = await pool.getUserTokenCollateralAndBorrow(
+                randomUser.address,
+                WETH.target
+              );
+              expect(userShares[0]).to.be.equal(0);
+              expect(userShares[1]).to.be.equal(0);
+              await expect(pool.realizeBadDebt(randomUser.address))
+                .to.be.revertedWithCustomError(pool, "NoBadDebt")
+                .withArgs(randomUser.address);
             });
           });
-          describe("triggerNFTLiquidation()", () => {
-            let tokenId = 1;
+          describe("flashloan()", () => {
+            let flashLoanReceiver;
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
                 await deployTokenMocks();
 
-              // Deploy NFT mock and NFT floor price feeds mock
-              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
-
               // Deploy Lending Pool contract
               pool = await deployPool(
                 DAI.target,
@@ -1523,129 +1600,162 @@ let vaultInfoParams = {
                 .connect(owner)
                 .setPausedStatus(ethers.ZeroAddress, false);
 
-              // add NFT to supported collateral
+              // add supported ERC20 tokens
               await setupTokenVault(
-                NFT.target,
-                nftFloorPriceFeed.target,
-                TokenType.ERC721,
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
                 vaultInfoParams,
                 true
               );
-
-              // add WETH to supported ERC20 tokens
               await setupTokenVault(
-                WETH.target,
-                wethFeed.target,
+                WBTC.target,
+                wbtcFeed.target,
                 TokenType.ERC20,
                 vaultInfoParams,
                 true
               );
 
-              // user3 supplies WETH
-              await mintERC20(user3, WETH.target, getAmountInWei(20)); // 20 ETH
-              await supply(user3, WETH.target, getAmountInWei(20), pool);
-
-              // mint NFT to user1
-              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
-
-              // deposit NFT 1 to pool
-              await pool.connect(user1).depositNFT(NFT.target, tokenId);
+              // user 1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(80));
+              await supply(user1, WETH.target, getAmountInWei(80), pool);
 
-              // user1 borrow 3 WETH
-              const borrowAmount = getAmountInWei(3); // 3 WETH
-              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+              // Deploy flashloan receiver mock
+              flashLoanReceiver = await ethers.deployContract(
+                "FlashloanReceiverMock",
+                [pool.target, WETH.target, WBTC.target]
+              );
+              await flashLoanReceiver.waitForDeployment();
             });
-            it("should revert liquidated account didn't deposit NFT", async () => {
-              const wrongTokenId = 42;
+            it("should revert if input array is empty", async () => {
               await expect(
                 pool
                   .connect(user2)
-                  .triggerNFTLiquidation(
-                    user1.address,
-                    NFT.target,
-                    wrongTokenId
+                  .flashloan(
+                    flashLoanReceiver.target,
+                    [],
+                    [getAmountInWei(20)],
+                    ethers.toUtf8Bytes("")
                   )
-              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+              ).to.be.revertedWithCustomError(pool, "EmptyArray");
             });
-            it("should revert if depositor is above min health factor", async () => {
+            it("should revert if mismatch in input arrays length", async () => {
               await expect(
                 pool
                   .connect(user2)
-                  .triggerNFTLiquidation(user1.address, NFT.target, tokenId)
-              ).to.be.revertedWithCustomError(pool, "InvalidNFTLiquidation");
+                  .flashloan(
+                    flashLoanReceiver.target,
+                    [WETH.target],
+                    [getAmountInWei(20), getAmountInWei(10)],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "ArrayMismatch");
             });
-            it("should allow liquidator to trigger NFT liquidation if depositor is below min health factor", async () => {
-              // simulate decrease in NFT floor price 10000$ -> 7400$
-              await nftFloorPriceFeed.updateAnswer(scaleAmount(7400, 8)); // 1 NFT = 7400$
-
+            it("should revert if user does not pay flashfee", async () => {
               await expect(
                 pool
                   .connect(user2)
-                  .triggerNFTLiquidation(user1.address, NFT.target, tokenId)
-              )
-                .to.emit(pool, "LiquidingNFTWarning")
-                .withArgs(user2.address, user1.address, NFT.target, tokenId);
+                  .flashloan(
+                    flashLoanReceiver.target,
+                    [WETH.target],
+                    [getAmountInWei(20)],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWith("ERC20: transfer amount exceeds balance");
+            });
+            let beforePoolWETHBalance, beforePoolWETHAmount, feeAmountsPaid;
+            it("should allow user to flashloan tokens from the pool", async () => {
+              beforePoolWETHBalance = await WETH.balanceOf(pool.target);
+              const vault = await pool.getTokenVault(WETH.target);
+              beforePoolWETHAmount = vault.totalAsset.amount;
 
-              const [liquidator, liquidationTime] =
-                await pool.getNFTLiquidationWarning(
-                  user1.address,
-                  NFT.target,
-                  tokenId
-                );
-              expect(liquidator).to.be.equal(user2.address);
-              const blockNumber = await ethers.provider.getBlockNumber();
-              const block = await ethers.provider.getBlock(blockNumber);
-              // liquidation after 2 hours delay from warning
-              const expectedLiquidationTime = block.timestamp + 2 * 3600;
-              expect(liquidationTime).to.be.equal(expectedLiquidationTime);
-            });
-            it("should revert if unhealthy borrower has still ERC20 collateral not liquidated", async () => {
-              // set  NFT floor price to 10000$
-              await nftFloorPriceFeed.updateAnswer(scaleAmount(10000, 8));
-
-              // mint NFT to user2 && deposit to pool
-              tokenId = 100;
-              await mintAndapproveNFT(user2, NFT.target, tokenId, pool.target);
-              await pool.connect(user2).depositNFT(NFT.target, tokenId);
+              // mint receiver some WETH to pay fees
+              const erc20 = await ethers.getContractAt(
+                "ERC20DecimalsMock",
+                WETH.target
+              );
+              const mint_tx = await erc20.mint(
+                flashLoanReceiver.target,
+                getAmountInWei(1)
+              );
+              await mint_tx.wait(1);
 
-              // user2 supplies 2000 DAI
-              await mintERC20(user2, DAI.target, getAmountInWei(2000)); // 2000 DAI
-              await supply(user2, DAI.target, getAmountInWei(2000), pool);
+              pool.on(
+                "FlashloanSuccess",
+                (initiator, tokens, amounts, fees, data) => {
+                  expect(initiator).to.equal(user2.address);
+                  expect(tokens[0]).to.equal(WETH.target);
+                  expect(amounts[0]).to.equal(getAmountInWei(20));
+                  feeAmountsPaid = fees[0];
+                }
+              );
 
-              // user2 borrow 4 WETH
-              const borrowAmount = getAmountInWei(4); // 4 WETH
-              await pool.connect(user2).borrow(WETH.target, borrowAmount);
+              await expect(
+                pool
+                  .connect(user2)
+                  .flashloan(
+                    flashLoanReceiver.target,
+                    [WETH.target],
+                    [getAmountInWei(20)],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.emit(pool, "FlashloanSuccess");
+            });
+            it("should transfer flash fee amount to pool", async () => {
+              expect(await WETH.balanceOf(pool.target)).to.equal(
+                beforePoolWETHBalance + feeAmountsPaid
+              );
+            });
+            it("should add flash fee amount to the tokens vaults", async () => {
+              const vault = await pool.getTokenVault(WETH.target);
+              expect(vault.totalAsset.amount).to.equal(
+                beforePoolWETHAmount + feeAmountsPaid
+              );
+            });
+            it("should revert if flashloaned token vault is paused", async () => {
+              // Pause WETH token vault
+              await pool.connect(owner).setPausedStatus(WETH.target, true);
 
-              // simulate decrease in NFT floor price 10000$ -> 7000$
-              await nftFloorPriceFeed.updateAnswer(scaleAmount(7000, 8)); // 1 NFT = 7000$
+              await expect(
+                pool
+                  .connect(user2)
+                  .flashloan(
+                    flashLoanReceiver.target,
+                    [WETH.target],
+                    [getAmountInWei(20)],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "FlashloanPaused");
 
-              // user2 will be below min health factor
-              expect(
-                await pool.healthFactor(user2.address)
-              ).to.be.lessThanOrEqual(getAmountInWei(1));
-              // user2 has still ERC20 collateral
-              expect(
-                await pool.healthFactor(user2.address)
-              ).to.be.lessThanOrEqual(getAmountInWei(1));
-              // NFT liquidation not possible until all ERC20
-              // collateral are liquidated nnd borrower is still unsolvent
+              // unpause WETH token vault
+              await pool.connect(owner).setPausedStatus(WETH.target, false);
+            });
+            it("should revert if flashloan receiver returns false", async () => {
+              // Deploy bad flashloan receiver mock
+              flashLoanReceiver = await ethers.deployContract(
+                "BadFlashloanReceiverMock",
+                [pool.target, WETH.target, WBTC.target]
+              );
+              await flashLoanReceiver.waitForDeployment();
               await expect(
                 pool
-                  .connect(user1)
-                  .triggerNFTLiquidation(user2.address, NFT.target, tokenId)
-              ).to.be.revertedWithCustomError(pool, "InvalidNFTLiquidation");
+                  .connect(user2)
+                  .flashloan(
+                    flashLoanReceiver.target,
+                    [WETH.target],
+                    [getAmountInWei(20)],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "FlashloanFailed");
             });
           });
-          describe("stopNFTLiquidation()", () => {
-            let tokenId = 1;
+          describe("flashLoan() (EIP-3156)", () => {
+            let flashBorrower;
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
                 await deployTokenMocks();
 
-              // Deploy NFT mock and NFT floor price feeds mock
-              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
-
               // Deploy Lending Pool contract
               pool = await deployPool(
                 DAI.target,
@@ -1658,16 +1768,7 @@ let vaultInfoParams = {
                 .connect(owner)
                 .setPausedStatus(ethers.ZeroAddress, false);
 
-              // add NFT to supported collateral
-              await setupTokenVault(
-                NFT.target,
-                nftFloorPriceFeed.target,
-                TokenType.ERC721,
-                vaultInfoParams,
-                true
-              );
-
-              // add WETH to supported ERC20 tokens
+              // add supported ERC20 tokens
               await setupTokenVault(
                 WETH.target,
                 wethFeed.target,
@@ -1676,77 +1777,206 @@ let vaultInfoParams = {
                 true
               );
 
-              // user3 supplies WETH
-              await mintERC20(user3, WETH.target, getAmountInWei(20)); // 20 ETH
-              await supply(user3, WETH.target, getAmountInWei(20), pool);
-
-              // mint NFT to user1
-              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
-
-              // deposit NFT 1 to pool
-              await pool.connect(user1).depositNFT(NFT.target, tokenId);
-
-              // user1 borrow 3 WETH
-              const borrowAmount = getAmountInWei(3); // 3 WETH
-              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+              // user 1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(80));
+              await supply(user1, WETH.target, getAmountInWei(80), pool);
 
-              // simulate decrease in NFT floor price 10000$ -> 7400$
-              await nftFloorPriceFeed.updateAnswer(scaleAmount(7400, 8)); // 1 NFT = 7400$
+              // Deploy EIP-3156 flash borrower mock
+              flashBorrower = await ethers.deployContract(
+                "ERC3156FlashBorrowerMock",
+                [pool.target]
+              );
+              await flashBorrower.waitForDeployment();
+            });
+            it("should return available balance as max flashloan amount", async () => {
+              expect(await pool.maxFlashLoan(WETH.target)).to.equal(
+                getAmountInWei(80)
+              );
+              // unsupported token
+              expect(await pool.maxFlashLoan(WBTC.target)).to.equal(0);
+              await expect(
+                pool.flashFee(WBTC.target, getAmountInWei(1))
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+            });
+            it("should revert if amount exceeds max flashloan amount", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .flashLoan(
+                    flashBorrower.target,
+                    WETH.target,
+                    getAmountInWei(81),
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "InsufficientBalance");
+            });
+            it("should allow EIP-3156 borrower to flashloan tokens", async () => {
+              const fee = await pool.flashFee(WETH.target, getAmountInWei(20));
+              expect(fee).to.equal(getAmountInWei(0.1)); // 0.5%
+              await WETH.mint(flashBorrower.target, fee);
+
+              const beforePoolWETHAmount = (
+                await pool.getTokenVault(WETH.target)
+              ).totalAsset.amount;
+              await expect(
+                pool
+                  .connect(user2)
+                  .flashLoan(
+                    flashBorrower.target,
+                    WETH.target,
+                    getAmountInWei(20),
+                    ethers.toUtf8Bytes("")
+                  )
+              )
+                .to.emit(pool, "FlashloanSuccess")
+                .withArgs(
+                  user2.address,
+                  [WETH.target],
+                  [getAmountInWei(20)],
+                  [fee],
+                  "0x"
+                );
 
-              // trigger NFT liquidation
-              await pool
-                .connect(user2)
-                .triggerNFTLiquidation(user1.address, NFT.target, tokenId);
+              expect(await WETH.balanceOf(pool.target)).to.equal(
+                getAmountInWei(80) + fee
+              );
+              expect(
+                (await pool.getTokenVault(WETH.target)).totalAsset.amount
+              ).to.equal(beforePoolWETHAmount + fee);
             });
-            it("should revert if borrower is still below min health factor", async () => {
+            it("should revert if borrower returns wrong callback value", async () => {
+              const badBorrower = await ethers.deployContract(
+                "BadERC3156FlashBorrowerMock"
+              );
+              await badBorrower.waitForDeployment();
+              await expect(
+                pool
+                  .connect(user2)
+                  .flashLoan(
+                    badBorrower.target,
+                    WETH.target,
+                    getAmountInWei(20),
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "FlashloanFailed");
+            });
+            it("only owner should be allowed to set flash fee discounts and limits", async () => {
               await expect(
                 pool
                   .connect(user1)
-                  .stopNFTLiquidation(user1.address, NFT.target, tokenId)
-              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+                  .setFlashFeeDiscount(flashBorrower.target, 100000)
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              await expect(
+                pool.connect(user1).setFlashLoanLimit(WETH.target, 50000)
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              await expect(
+                pool
+                  .connect(owner)
+                  .setFlashFeeDiscount(flashBorrower.target, 100001)
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidFeeRate")
+                .withArgs(100001);
+              await expect(
+                pool.connect(owner).setFlashLoanLimit(WETH.target, 100001)
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidFlashLoanLimit")
+                .withArgs(100001);
             });
-            it("should stop NFT liquidation if borrower is above min health factor", async () => {
-              // borrower repays borrowed amount
-              await approveERC20(
-                user1,
-                WETH.target,
-                getAmountInWei(1),
-                pool.target
-              );
-              await pool.connect(user1).repay(WETH.target, getAmountInWei(1)); // 1 WETH
-
+            it("should charge discounted flash fee to whitelisted borrowers", async () => {
+              // 50% discount
+              await expect(
+                pool
+                  .connect(owner)
+                  .setFlashFeeDiscount(flashBorrower.target, 50000)
+              )
+                .to.emit(pool, "FlashFeeDiscountSet")
+                .withArgs(flashBorrower.target, 50000);
               expect(
-                await pool.healthFactor(user1.address)
-              ).to.be.greaterThanOrEqual(getAmountInWei(1));
+                await pool.getFlashFeeDiscount(flashBorrower.target)
+              ).to.equal(50000);
+              // quoted fee is the one charged to the receiver
+              expect(
+                await pool
+                  .connect(ethers.provider)
+                  .flashFee(WETH.target, getAmountInWei(20), {
+                    from: flashBorrower.target,
+                  })
+              ).to.equal(getAmountInWei(0.05));
+              expect(
+                await pool.flashFee(WETH.target, getAmountInWei(20))
+              ).to.equal(getAmountInWei(0.1));
 
+              await WETH.mint(flashBorrower.target, getAmountInWei(0.05));
               await expect(
                 pool
-                  .connect(user1)
-                  .stopNFTLiquidation(user1.address, NFT.target, tokenId)
+                  .connect(user2)
+                  .flashLoan(
+                    flashBorrower.target,
+                    WETH.target,
+                    getAmountInWei(20),
+                    ethers.toUtf8Bytes("")
+                  )
               )
-                .to.emit(pool, "LiquidateNFTStopped")
-                .withArgs(user1.address, NFT.target, tokenId);
+                .to.emit(pool, "FlashloanSuccess")
+                .withArgs(
+                  user2.address,
+                  [WETH.target],
+                  [getAmountInWei(20)],
+                  [getAmountInWei(0.05)],
+                  "0x"
+                );
 
-              const [liquidator, liquidationTime] =
-                await pool.getNFTLiquidationWarning(
-                  user1.address,
-                  NFT.target,
-                  tokenId
+              // fee exempt borrower
+              await pool
+                .connect(owner)
+                .setFlashFeeDiscount(flashBorrower.target, 100000);
+              await expect(
+                pool
+                  .connect(user2)
+                  .flashLoan(
+                    flashBorrower.target,
+                    WETH.target,
+                    getAmountInWei(20),
+                    ethers.toUtf8Bytes("")
+                  )
+              )
+                .to.emit(pool, "FlashloanSuccess")
+                .withArgs(
+                  user2.address,
+                  [WETH.target],
+                  [getAmountInWei(20)],
+                  [0],
+                  "0x"
                 );
-              expect(liquidator).to.be.equal(ethers.ZeroAddress);
-              expect(liquidationTime).to.be.equal(0);
+            });
+            it("should cap max flashloan amount with the vault flashloan limit", async () => {
+              await expect(
+                pool.connect(owner).setFlashLoanLimit(WETH.target, 50000)
+              )
+                .to.emit(pool, "FlashLoanLimitSet")
+                .withArgs(WETH.target, 50000);
+
+              const vault = await pool.getTokenVault(WETH.target);
+              const maxAmount = vault.totalAsset.amount / 2n;
+              expect(await pool.maxFlashLoan(WETH.target)).to.equal(maxAmount);
+              await expect(
+                pool
+                  .connect(user2)
+                  .flashLoan(
+                    flashBorrower.target,
+                    WETH.target,
+                    maxAmount + 1n,
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "InsufficientBalance");
             });
           });
-          describe("executeNFTLiquidation()", () => {
-            let tokenId = 1;
+          describe("deleverage()", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
                 await deployTokenMocks();
 
-              // Deploy NFT mock and NFT floor price feeds mock
-              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
-
               // Deploy Lending Pool contract
               pool = await deployPool(
                 DAI.target,
@@ -1759,16 +1989,7 @@ let vaultInfoParams = {
                 .connect(owner)
                 .setPausedStatus(ethers.ZeroAddress, false);
 
-              // add NFT to supported collateral
-              await setupTokenVault(
-                NFT.target,
-                nftFloorPriceFeed.target,
-                TokenType.ERC721,
-                vaultInfoParams,
-                true
-              );
-
-              // add WETH to supported ERC20 tokens
+              // add supported ERC20 tokens
               await setupTokenVault(
                 WETH.target,
                 wethFeed.target,
@@ -1777,294 +1998,3664 @@ let vaultInfoParams = {
                 true
               );
 
-              // user3 supplies WETH
-              await mintERC20(user3, WETH.target, getAmountInWei(20)); // 20 ETH
-              await supply(user3, WETH.target, getAmountInWei(20), pool);
-
-              // mint NFT to user1
-              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
-
-              // deposit NFT 1 to pool
-              await pool.connect(user1).depositNFT(NFT.target, tokenId);
+              // user1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(100000));
+              await supply(user1, DAI.target, getAmountInWei(100000), pool);
 
-              // user1 borrow 3 WETH
-              const borrowAmount = getAmountInWei(3); // 3 WETH
-              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+              // user2 supplies 10 WETH and borrows 15000 DAI
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(15000));
 
-              // simulate decrease in NFT floor price 10000$ -> 7400$
-              await nftFloorPriceFeed.updateAnswer(scaleAmount(7400, 8)); // 1 NFT = 7400$
+              // simulate decrease in WETH price, user2 is close to liquidation
+              await wethFeed.updateAnswer(scaleAmount(1900, 8)); // 1 ETH = 1900$
             });
-            it("should revert if empty array given as input", async () => {
+            it("should revert if swap adapter can't repay the flashloan", async () => {
+              // 4 WETH swapped for 4000 DAI < 7000 DAI + fee
+              const swapAdapter = await deploySwapAdapterMock(
+                pool.target,
+                getAmountInWei(1000)
+              );
+              await DAI.mint(swapAdapter.target, getAmountInWei(10000));
               await expect(
                 pool
                   .connect(user2)
-                  .executeNFTLiquidation(
-                    user1.address,
-                    NFT.target,
-                    tokenId,
-                    [],
-                    [getAmountInWei(10)]
+                  .deleverage(
+                    WETH.target,
+                    getAmountInWei(4),
+                    DAI.target,
+                    getAmountInWei(7000),
+                    swapAdapter.target,
+                    ethers.toUtf8Bytes("")
                   )
-              ).to.be.revertedWithCustomError(pool, "EmptyArray");
+              ).to.be.revertedWithCustomError(pool, "FlashloanFailed");
             });
-            it("should revert if mismatch is input arrays length", async () => {
+            it("should revert if health factor is below min HF after deleverage", async () => {
+              const swapAdapter = await deploySwapAdapterMock(
+                pool.target,
+                getAmountInWei(1900)
+              );
+              await DAI.mint(swapAdapter.target, getAmountInWei(20000));
+              // withdraw 6 WETH to repay only 1000 DAI
               await expect(
                 pool
                   .connect(user2)
-                  .executeNFTLiquidation(
-                    user1.address,
-                    NFT.target,
-                    tokenId,
-                    [WETH.target],
-                    []
+                  .deleverage(
+                    WETH.target,
+                    getAmountInWei(6),
+                    DAI.target,
+                    getAmountInWei(1000),
+                    swapAdapter.target,
+                    ethers.toUtf8Bytes("")
                   )
-              ).to.be.revertedWithCustomError(pool, "ArrayMismatch");
+              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
             });
-            it("should revert if liquidation warning was not triggered", async () => {
+            it("should revert if collateral vault is paused", async () => {
+              await pool.connect(owner).setPausedStatus(WETH.target, true);
               await expect(
                 pool
                   .connect(user2)
-                  .executeNFTLiquidation(
-                    user1.address,
-                    NFT.target,
-                    tokenId,
-                    [WETH.target],
-                    [getAmountInWei(5)]
+                  .deleverage(
+                    WETH.target,
+                    getAmountInWei(4),
+                    DAI.target,
+                    getAmountInWei(7000),
+                    user3.address,
+                    ethers.toUtf8Bytes("")
                   )
-              ).to.be.revertedWithCustomError(pool, "NoLiquidateWarn");
+              ).to.be.revertedWithCustomError(pool, "isPaused");
+              await pool.connect(owner).setPausedStatus(WETH.target, false);
             });
-            it("should revert if warning delay hasn't paased", async () => {
-              // trigger NFT liquidation
-              await pool
-                .connect(user2)
-                .triggerNFTLiquidation(user1.address, NFT.target, tokenId);
-              // move 1 hour in time
-              await moveTime(3600);
+            it("should repay borrower debt with collateral", async () => {
+              const swapAdapter = await deploySwapAdapterMock(
+                pool.target,
+                getAmountInWei(1900)
+              );
+              await DAI.mint(swapAdapter.target, getAmountInWei(10000));
+              const beforeHF = await pool.healthFactor(user2.address);
+              const beforeUserBalance = await DAI.balanceOf(user2.address);
+
+              // 4 WETH swapped for 7600 DAI, 7000 DAI + 0.5% fee repaid to the pool
+              const fee = getAmountInWei(35);
               await expect(
                 pool
                   .connect(user2)
-                  .executeNFTLiquidation(
-                    user1.address,
-                    NFT.target,
-                    tokenId,
-                    [WETH.target],
-                    [getAmountInWei(5)]
+                  .deleverage(
+                    WETH.target,
+                    getAmountInWei(4),
+                    DAI.target,
+                    getAmountInWei(7000),
+                    swapAdapter.target,
+                    ethers.toUtf8Bytes("")
                   )
-              ).to.be.revertedWithCustomError(pool, "WarningDelayHasNotPassed");
-            });
-            it("should revert another user try to liquidate before first liquidator delay ends", async () => {
-              // move 1 hour in time
-              await moveTime(3600);
+              )
+                .to.emit(pool, "Deleverage")
+                .withArgs(
+                  user2.address,
+                  WETH.target,
+                  getAmountInWei(4),
+                  DAI.target,
+                  getAmountInWei(7000),
+                  fee
+                );
 
-              // update oracle prices to avoid out of date price error
-              await nftFloorPriceFeed.updateAnswer(scaleAmount(7400, 8));
-              await wethFeed.updateAnswer(scaleAmount(2000, 8));
-              await daiFeed.updateAnswer(scaleAmount(1, 8));
+              // surplus of the swap is sent to the borrower
+              expect(
+                (await DAI.balanceOf(user2.address)) - beforeUserBalance
+              ).to.be.equal(getAmountInWei(565));
+              expect(await pool.healthFactor(user2.address)).to.be.greaterThan(
+                beforeHF
+              );
+              expect(
+                round(
+                  getAmountFromWei(await pool.getUserTotalBorrow(user2.address))
+                )
+              ).to.be.equal(8000);
+              const userShares = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WETH.target
+              );
+              expect(round(getAmountFromWei(userShares[0]))).to.be.equal(6);
+            });
+            it("should allow partial deleverage of a healthy position above LTV", async () => {
+              // 6 WETH at 1750$ = 10500$ of collateral for 8000 DAI of debt
+              // LTV capacity 7875$ < debt < 8400$ liquidation threshold
+              await wethFeed.updateAnswer(scaleAmount(1750, 8));
+              const swapAdapter = await deploySwapAdapterMock(
+                pool.target,
+                getAmountInWei(1750)
+              );
+              await DAI.mint(swapAdapter.target, getAmountInWei(10000));
 
+              // repay 1200 DAI with 1 WETH, debt stays above LTV capacity
               await expect(
                 pool
-                  .connect(randomUser)
-                  .executeNFTLiquidation(
-                    user1.address,
-                    NFT.target,
-                    tokenId,
-                    [WETH.target],
-                    [getAmountInWei(5)]
+                  .connect(user2)
+                  .deleverage(
+                    WETH.target,
+                    getAmountInWei(1),
+                    DAI.target,
+                    getAmountInWei(1200),
+                    swapAdapter.target,
+                    ethers.toUtf8Bytes("")
                   )
-              ).to.be.revertedWithCustomError(
-                pool,
-                "LiquidatorDelayHasNotPassed"
+              ).to.emit(pool, "Deleverage");
+
+              expect(
+                round(
+                  getAmountFromWei(await pool.getUserTotalBorrow(user2.address))
+                )
+              ).to.be.equal(6800);
+              const [, capacities] = await pool.getBorrowCapacity(
+                user2.address
               );
+              expect(capacities[0]).to.be.equal(0);
+              expect(
+                await pool.healthFactor(user2.address)
+              ).to.be.greaterThanOrEqual(getAmountInWei(1));
             });
-            let beforeBorrowerHF, afterBorrowerHF;
-            let beforeBorrowerDebtValue, afterBorrowerDebtValue;
-            let beforeBorrowerDAICollateral, afterBorrowerDAICollateral;
-            let beforeLiquidatorDAIBal, afterLiquidatorDAIBal;
-            let actualDebtRepayValue, actualNFTBuyPrice;
-            it("should allow anyone to liquidate if first liquidator delay has passed and NFT was not liquidated", async () => {
-              const amount = getAmountInWei(2);
-              // mint WETH to allow user3 to repay debt
-              await mintAndapproveERC20(
-                user3,
-                WETH.target,
-                amount,
-                pool.target
-              );
-              // mint DAI to allow user3 to buy NFT
-              await mintAndapproveERC20(
-                user3,
+          });
+          describe("swapCollateral()", () => {
+            let swapAdapter;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
                 DAI.target,
-                getAmountInWei(10000),
-                pool.target
+                daiFeed.target,
+                vaultInfoParams
               );
 
-              // move 5 minutes in time
-              await moveTime(5 * 60);
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
 
-              beforeBorrowerHF = await pool.healthFactor(user1.address);
-              beforeBorrowerDebtValue = await pool.getUserTotalBorrow(
-                user1.address
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
               );
-              beforeBorrowerDAICollateral = (
-                await pool.getUserTokenCollateralAndBorrow(
-                  user1.address,
-                  DAI.target
-                )
-              )[0];
-              beforeLiquidatorDAIBal = await DAI.balanceOf(user3.address);
-              pool.on(
-                "NFTLiquidated",
-                (
-                  liquidator,
-                  borrower,
-                  nftAddress,
-                  id,
-                  totalRepayDebt,
-                  nftBuyPrice
-                ) => {
-                  expect(liquidator).to.equal(user3.address);
-                  expect(borrower).to.equal(user1.address);
-                  expect(nftAddress).to.equal(NFT.target);
-                  expect(id).to.equal(tokenId);
-                  actualDebtRepayValue = totalRepayDebt;
-                  actualNFTBuyPrice = nftBuyPrice;
-                }
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
               );
 
+              // user1 supplies DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(100000));
+              await supply(user1, DAI.target, getAmountInWei(100000), pool);
+
+              // user2 supplies 10 WETH (20000$) and borrows 14000 DAI
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(14000));
+
+              // 1 WETH = 0.06666666 WBTC
+              swapAdapter = await deploySwapAdapterMock(pool.target, 6666666);
+              await WBTC.mint(swapAdapter.target, scaleAmount(10, 8));
+            });
+            it("should revert if received amount is below min amount out", async () => {
               await expect(
                 pool
-                  .connect(user3)
-                  .executeNFTLiquidation(
-                    user1.address,
-                    NFT.target,
-                    tokenId,
-                    [WETH.target],
-                    [amount]
+                  .connect(user2)
+                  .swapCollateral(
+                    WETH.target,
+                    WBTC.target,
+                    getAmountInWei(5),
+                    swapAdapter.target,
+                    ethers.toUtf8Bytes(""),
+                    scaleAmount(0.34, 8)
                   )
-              ).to.emit(pool, "NFTLiquidated");
+              )
+                .to.be.revertedWithCustomError(pool, "TooHighSlippage")
+                .withArgs(33333330);
             });
-            it("should increase borrower health factor and decrease debt amount", async () => {
-              afterBorrowerHF = await pool.healthFactor(user1.address);
-              afterBorrowerDebtValue = await pool.getUserTotalBorrow(
-                user1.address
-              );
-              expect(afterBorrowerHF).to.be.greaterThan(beforeBorrowerHF);
-              expect(afterBorrowerDebtValue).to.be.lessThan(
-                beforeBorrowerDebtValue
+            it("should revert if health factor is below min HF after the swap", async () => {
+              // 1 WETH = 0.03333333 WBTC (1000$)
+              const badAdapter = await deploySwapAdapterMock(
+                pool.target,
+                3333333
               );
+              await WBTC.mint(badAdapter.target, scaleAmount(10, 8));
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapCollateral(
+                    WETH.target,
+                    WBTC.target,
+                    getAmountInWei(5),
+                    badAdapter.target,
+                    ethers.toUtf8Bytes(""),
+                    0
+                  )
+              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
             });
-            it("should deposit remaining NFT value to DAI vault on behalf of borrower", async () => {
-              afterBorrowerDAICollateral = (
-                await pool.getUserTokenCollateralAndBorrow(
-                  user1.address,
-                  DAI.target
-                )
-              )[0];
-              expect(afterBorrowerDAICollateral).to.be.equal(
-                beforeBorrowerDAICollateral + actualNFTBuyPrice
-              );
+            it("should revert if swapped collateral is not supported", async () => {
+              const LINK = await deployERC20Mock("chainlink", "LINK", 18);
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapCollateral(
+                    LINK.target,
+                    WBTC.target,
+                    getAmountInWei(5),
+                    swapAdapter.target,
+                    ethers.toUtf8Bytes(""),
+                    0
+                  )
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
             });
-            it("should buy NFT with discounted price", async () => {
-              const nftPriceReelPrice = Number(
-                await pool.getTokenPrice(NFT.target)
-              );
-              // should deduce repaid debt value and liquidation bonus
-              const expectedNFTPrice =
-                nftPriceReelPrice - Number(actualDebtRepayValue) * 1.1;
-              expect(Number(actualNFTBuyPrice) / 1e18).to.be.equal(
-                Math.ceil(expectedNFTPrice / 1e18)
+            it("should revert if swap adapter re-enters the pool", async () => {
+              // adapter supplies the swap output for itself to get it credited twice
+              const reentrantAdapter = await ethers.deployContract(
+                "ReentrantSwapAdapterMock",
+                [pool.target]
+              );
+              await reentrantAdapter.waitForDeployment();
+              await WBTC.mint(reentrantAdapter.target, getAmountInWei(5));
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapCollateral(
+                    WETH.target,
+                    WBTC.target,
+                    getAmountInWei(5),
+                    reentrantAdapter.target,
+                    ethers.toUtf8Bytes(""),
+                    0
+                  )
+              ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+            });
+            it("should swap collateral without repaying debt", async () => {
+              // withdrawing 5 WETH alone would exceed user2 borrow capacity
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapCollateral(
+                    WETH.target,
+                    WBTC.target,
+                    getAmountInWei(5),
+                    swapAdapter.target,
+                    ethers.toUtf8Bytes(""),
+                    scaleAmount(0.33, 8)
+                  )
+              )
+                .to.emit(pool, "CollateralSwapped")
+                .withArgs(
+                  user2.address,
+                  WETH.target,
+                  WBTC.target,
+                  getAmountInWei(5),
+                  33333330
+                );
+
+              let userShares = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WETH.target
+              );
+              expect(round(getAmountFromWei(userShares[0]))).to.be.equal(5);
+              expect(userShares[1]).to.be.equal(0);
+              userShares = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WBTC.target
+              );
+              expect(userShares[0]).to.be.equal(33333330);
+              expect(
+                round(
+                  getAmountFromWei(await pool.getUserTotalBorrow(user2.address))
+                )
+              ).to.be.equal(14000);
+            });
+            it("should allow healthy position above LTV to swap collateral", async () => {
+              // 5 WETH at 1600$ and 0.333 WBTC = 18000$ of collateral for 14000 DAI of debt
+              // LTV capacity 13500$ < debt < 14400$ liquidation threshold
+              await wethFeed.updateAnswer(scaleAmount(1600, 8));
+              // 1 WETH = 0.05333333 WBTC (1600$)
+              const fairAdapter = await deploySwapAdapterMock(
+                pool.target,
+                5333333
+              );
+              await WBTC.mint(fairAdapter.target, scaleAmount(1, 8));
+
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapCollateral(
+                    WETH.target,
+                    WBTC.target,
+                    getAmountInWei(1),
+                    fairAdapter.target,
+                    ethers.toUtf8Bytes(""),
+                    0
+                  )
+              ).to.emit(pool, "CollateralSwapped");
+
+              const [, capacities] = await pool.getBorrowCapacity(
+                user2.address
+              );
+              expect(capacities[0]).to.be.equal(0);
+              expect(
+                await pool.healthFactor(user2.address)
+              ).to.be.greaterThanOrEqual(getAmountInWei(1));
+            });
+          });
+          describe("swapDebt()", () => {
+            let swapAdapter;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user1 supplies DAI and WETH
+              await mintERC20(user1, DAI.target, getAmountInWei(100000));
+              await supply(user1, DAI.target, getAmountInWei(100000), pool);
+              await mintERC20(user1, WETH.target, getAmountInWei(100));
+              await supply(user1, WETH.target, getAmountInWei(100), pool);
+
+              // user2 supplies 1 WBTC (30000$) and borrows 10000 DAI
+              await mintERC20(user2, WBTC.target, scaleAmount(1, 8));
+              await supply(user2, WBTC.target, scaleAmount(1, 8), pool);
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(10000));
+
+              // 1 WETH = 2000 DAI
+              swapAdapter = await deploySwapAdapterMock(
+                pool.target,
+                getAmountInWei(2000)
+              );
+              await DAI.mint(swapAdapter.target, getAmountInWei(100000));
+            });
+            it("should revert if swap needs more than max input amount", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapDebt(
+                    DAI.target,
+                    WETH.target,
+                    getAmountInWei(10000),
+                    swapAdapter.target,
+                    getAmountInWei(4)
+                  )
+              ).to.be.revertedWith("too much input");
+            });
+            it("should revert if new debt exceeds LTV even when health factor stays above minimum", async () => {
+              // 1 WETH = 850 DAI, 10000 DAI debt becomes 11.76 WETH (23529$)
+              // above 22500$ LTV capacity but below 24000$ liquidation threshold
+              const badAdapter = await deploySwapAdapterMock(
+                pool.target,
+                getAmountInWei(850)
+              );
+              await DAI.mint(badAdapter.target, getAmountInWei(100000));
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapDebt(
+                    DAI.target,
+                    WETH.target,
+                    getAmountInWei(10000),
+                    badAdapter.target,
+                    getAmountInWei(12)
+                  )
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
+            });
+            it("should revert if new debt token is not supported", async () => {
+              const LINK = await deployERC20Mock("chainlink", "LINK", 18);
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapDebt(
+                    DAI.target,
+                    LINK.target,
+                    getAmountInWei(10000),
+                    swapAdapter.target,
+                    getAmountInWei(6)
+                  )
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+            });
+            it("should revert if swap adapter re-enters the pool", async () => {
+              // adapter keeps the borrowed WETH and supplies it back for itself
+              const reentrantAdapter = await ethers.deployContract(
+                "ReentrantSwapAdapterMock",
+                [pool.target]
+              );
+              await reentrantAdapter.waitForDeployment();
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapDebt(
+                    DAI.target,
+                    WETH.target,
+                    getAmountInWei(10000),
+                    reentrantAdapter.target,
+                    getAmountInWei(6)
+                  )
+              ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+            });
+            it("should move borrower debt to another token", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapDebt(
+                    DAI.target,
+                    WETH.target,
+                    ethers.MaxUint256,
+                    swapAdapter.target,
+                    getAmountInWei(5.1)
+                  )
+              )
+                .to.emit(pool, "Repay")
+                .withArgs(user2.address, DAI.target, anyValue, anyValue)
+                .to.emit(pool, "Borrow")
+                .withArgs(user2.address, WETH.target, anyValue, anyValue)
+                .to.emit(pool, "DebtSwapped")
+                .withArgs(
+                  user2.address,
+                  DAI.target,
+                  WETH.target,
+                  anyValue,
+                  anyValue
+                );
+
+              let userShares = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                DAI.target
+              );
+              expect(userShares[1]).to.be.equal(0);
+              userShares = await pool.getUserTokenCollateralAndBorrow(
+                user2.address,
+                WETH.target
+              );
+              expect(round(getAmountFromWei(userShares[1]))).to.be.equal(5);
+              // unused WETH was refunded to the vault
+              expect(
+                round(getAmountFromWei(await WETH.balanceOf(pool.target)))
+              ).to.be.equal(95);
+            });
+          });
+          describe("isolation mode", () => {
+            const debtCeiling = getAmountInWei(10000); // 10000$
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract, DAI can be borrowed in isolation mode
+              pool = await deployPool(DAI.target, daiFeed.target, {
+                ...vaultInfoParams,
+                borrowableInIsolation: true,
+              });
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens, WBTC is listed as isolated collateral
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, isolated: true, debtCeiling },
+                true
+              );
+
+              // user1 supplies DAI and WETH
+              await mintERC20(user1, DAI.target, getAmountInWei(100000));
+              await supply(user1, DAI.target, getAmountInWei(100000), pool);
+              await mintERC20(user1, WETH.target, getAmountInWei(40));
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              // user2 supplies 1 WBTC (30000$)
+              await mintERC20(user2, WBTC.target, scaleAmount(1, 8));
+              await supply(user2, WBTC.target, scaleAmount(1, 8), pool);
+            });
+            it("should put user holding isolated collateral in isolation mode", async () => {
+              expect(
+                await pool.getUserIsolatedCollateral(user2.address)
+              ).to.be.equal(WBTC.target);
+              expect(
+                await pool.getUserIsolatedCollateral(user1.address)
+              ).to.be.equal(ethers.ZeroAddress);
+            });
+            it("should revert if borrowed token is not allowed in isolation mode", async () => {
+              await expect(
+                pool.connect(user2).borrow(WETH.target, getAmountInWei(1))
+              )
+                .to.be.revertedWithCustomError(pool, "NotBorrowableInIsolation")
+                .withArgs(WETH.target);
+            });
+            it("should track debt borrowed against isolated collateral", async () => {
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(8000))
+              )
+                .to.emit(pool, "IsolationModeTotalDebtUpdated")
+                .withArgs(WBTC.target, getAmountInWei(8000));
+              expect(
+                await pool.getIsolationModeTotalDebt(WBTC.target)
+              ).to.be.equal(getAmountInWei(8000));
+              const userDebt = await pool.getUserIsolatedDebt(user2.address);
+              expect(userDebt.collateral).to.be.equal(WBTC.target);
+              expect(userDebt.debt).to.be.equal(getAmountInWei(8000));
+            });
+            it("should only give borrow capacity for allowed tokens up to debt ceiling", async () => {
+              const [, capacities] = await pool.getBorrowCapacity(
+                user2.address
+              );
+              expect(capacities[0]).to.be.equal(getAmountInWei(2000));
+              expect(capacities[1]).to.be.equal(0);
+              expect(capacities[2]).to.be.equal(0);
+            });
+            it("should revert if isolated collateral debt ceiling is exceeded", async () => {
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(3000))
+              )
+                .to.be.revertedWithCustomError(pool, "DebtCeilingExceeded")
+                .withArgs(debtCeiling);
+            });
+            it("should decrease isolated collateral debt on repay", async () => {
+              await approveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(5000),
+                pool.target
+              );
+              await pool.connect(user2).repay(DAI.target, getAmountInWei(5000));
+              expect(
+                await pool.getIsolationModeTotalDebt(WBTC.target)
+              ).to.be.equal(getAmountInWei(3000));
+
+              // user2 can borrow again up to the debt ceiling
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(7000));
+              expect(
+                await pool.getIsolationModeTotalDebt(WBTC.target)
+              ).to.be.equal(debtCeiling);
+            });
+            it("should revert if user supplies a second isolated token", async () => {
+              const LINK = await deployERC20Mock("chainlink", "LINK", 18);
+              const linkFeed = await deployAggregatorMock(
+                scaleAmount(10, 8),
+                8
+              ); // 1LINK = 10$
+              await setupTokenVault(
+                LINK.target,
+                linkFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, isolated: true, debtCeiling },
+                true
+              );
+
+              await mintAndapproveERC20(
+                user2,
+                LINK.target,
+                getAmountInWei(100),
+                pool.target
+              );
+              await expect(
+                pool.connect(user2).supply(LINK.target, getAmountInWei(100), 0)
+              ).to.be.revertedWithCustomError(
+                pool,
+                "MultipleIsolatedCollateral"
+              );
+            });
+            it("should revert if isolated token is supplied with other collateral or debt", async () => {
+              await mintAndapproveERC20(
+                user1,
+                WBTC.target,
+                scaleAmount(1, 8),
+                pool.target
+              );
+              await expect(
+                pool.connect(user1).supply(WBTC.target, scaleAmount(1, 8), 0)
+              ).to.be.revertedWithCustomError(pool, "CannotEnterIsolationMode");
+            });
+            it("should revert if user in isolation mode deposits NFTs", async () => {
+              const [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+              await mintAndapproveNFT(user2, NFT.target, 1, pool.target);
+              await expect(
+                pool.connect(user2).depositNFT(NFT.target, 1)
+              ).to.be.revertedWithCustomError(pool, "IsolationModeActive");
+              await expect(
+                pool.connect(user2).depositNFTs([NFT.target], [[1]])
+              ).to.be.revertedWithCustomError(pool, "IsolationModeActive");
+
+              const ITEMS = await deployERC1155Mock();
+              const itemsFeed = await deployAggregatorMock(
+                scaleAmount(100, 8),
+                8
+              );
+              await setupTokenVault(
+                ITEMS.target,
+                itemsFeed.target,
+                TokenType.ERC1155,
+                vaultInfoParams,
+                true
+              );
+              await mintAndapproveERC1155(
+                user2,
+                ITEMS.target,
+                1,
+                10,
+                pool.target
+              );
+              await expect(
+                pool.connect(user2).depositERC1155(ITEMS.target, 1, 10)
+              ).to.be.revertedWithCustomError(pool, "IsolationModeActive");
+            });
+            it("should release isolated debt after isolated collateral is withdrawn", async () => {
+              await approveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(1000),
+                pool.target
+              );
+              await pool.connect(user2).repay(DAI.target, getAmountInWei(1000));
+
+              // user3 borrows 1000 DAI against 0.1 WBTC (3000$)
+              await mintAndapproveERC20(
+                user3,
+                WBTC.target,
+                scaleAmount(1, 7),
+                pool.target
+              );
+              await pool
+                .connect(user3)
+                .supply(WBTC.target, scaleAmount(1, 7), 0);
+              await pool
+                .connect(user3)
+                .borrow(DAI.target, getAmountInWei(1000));
+              expect(
+                await pool.getIsolationModeTotalDebt(WBTC.target)
+              ).to.be.equal(debtCeiling);
+
+              // user3 leaves isolation mode by swapping its collateral to WETH
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                getAmountInWei(1),
+                pool.target
+              );
+              await pool
+                .connect(user3)
+                .supply(WETH.target, getAmountInWei(1), 0);
+              await pool
+                .connect(user3)
+                .withdraw(WBTC.target, scaleAmount(1, 7), ethers.MaxUint256);
+              expect(
+                await pool.getUserIsolatedCollateral(user3.address)
+              ).to.be.equal(ethers.ZeroAddress);
+
+              // debt is still released from the WBTC debt ceiling on repay
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(1),
+                pool.target
+              );
+              await approveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(1001),
+                pool.target
+              );
+              await pool.connect(user3).repay(DAI.target, ethers.MaxUint256);
+              expect(
+                await pool.getIsolationModeTotalDebt(WBTC.target)
+              ).to.be.equal(getAmountInWei(9000));
+              expect(
+                (await pool.getUserIsolatedDebt(user3.address)).debt
+              ).to.be.equal(0);
+            });
+          });
+          describe("e-mode", () => {
+            // stablecoins category: 93% LTV, 95% liquidation threshold, 1% liquidation bonus
+            const stablecoinsCategory = {
+              loanToValue: 93000,
+              liquidationThreshold: 95000,
+              liquidationBonus: 1000,
+            };
+            let USDC;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+              USDC = await deployERC20Mock("usd coin", "USDC", 18);
+              const usdcFeed = await deployAggregatorMock(scaleAmount(1, 8), 8); // 1USDC = 1$
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // create stablecoins e-mode category and add DAI & USDC to it
+              await pool
+                .connect(owner)
+                .setEModeCategory(1, stablecoinsCategory);
+              await setupTokenVault(
+                DAI.target,
+                daiFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, eModeCategory: 1 },
+                false
+              );
+              await setupTokenVault(
+                USDC.target,
+                usdcFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, eModeCategory: 1 },
+                true
+              );
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // user1 supplies DAI and WETH
+              await mintERC20(user1, DAI.target, getAmountInWei(100000));
+              await supply(user1, DAI.target, getAmountInWei(100000), pool);
+              await mintERC20(user1, WETH.target, getAmountInWei(40));
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              // user2 supplies 10000 USDC (10000$)
+              await mintERC20(user2, USDC.target, getAmountInWei(10000));
+              await supply(user2, USDC.target, getAmountInWei(10000), pool);
+            });
+            it("should revert if pool is not paused", async () => {
+              await expect(
+                pool.connect(owner).setEModeCategory(2, stablecoinsCategory)
+              ).to.be.revertedWithCustomError(pool, "isNotPaused");
+            });
+            it("should revert if e-mode category params are invalid", async () => {
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, true);
+              await expect(
+                pool.connect(owner).setEModeCategory(0, stablecoinsCategory)
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidEModeCategory")
+                .withArgs(0);
+              await expect(
+                pool.connect(owner).setEModeCategory(2, {
+                  ...stablecoinsCategory,
+                  loanToValue: 96000,
+                })
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidEModeCategory")
+                .withArgs(2);
+              // 95% threshold with 6% bonus exceeds 100%
+              await expect(
+                pool.connect(owner).setEModeCategory(2, {
+                  ...stablecoinsCategory,
+                  liquidationBonus: 6000,
+                })
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidEModeCategory")
+                .withArgs(2);
+              await expect(
+                pool.connect(owner).setEModeCategory(2, {
+                  loanToValue: 0,
+                  liquidationThreshold: 0,
+                  liquidationBonus: 0,
+                })
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidEModeCategory")
+                .withArgs(2);
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+            });
+            it("should revert if user chooses a non existing category", async () => {
+              await expect(pool.connect(user2).setUserEMode(2))
+                .to.be.revertedWithCustomError(pool, "InvalidEModeCategory")
+                .withArgs(2);
+            });
+            it("should allow user to borrow above asset LTV with e-mode active", async () => {
+              // 75% LTV only allows borrowing 7500$
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(9000))
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
+
+              await expect(pool.connect(user2).setUserEMode(1))
+                .to.emit(pool, "UserEModeSet")
+                .withArgs(user2.address, 1);
+              const [categoryId, active] = await pool.getUserEMode(
+                user2.address
+              );
+              expect(categoryId).to.be.equal(1);
+              expect(active).to.be.equal(true);
+
+              // 93% e-mode LTV allows borrowing up to 9300$
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(9000));
+              expect(await pool.healthFactor(user2.address)).to.be.above(
+                getAmountInWei(1)
+              );
+            });
+            it("should revert if borrow outside the category exceeds asset LTV", async () => {
+              // borrowing WETH deactivates e-mode and debt exceeds 75% LTV
+              await expect(
+                pool.connect(user2).borrow(WETH.target, getAmountInWei(0.01))
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
+            });
+            it("should revert if leaving e-mode exceeds borrow capacity", async () => {
+              await expect(
+                pool.connect(user2).setUserEMode(0)
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
+            });
+            it("should not lower liquidation threshold of a category with users", async () => {
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, true);
+              await expect(
+                pool.connect(owner).setEModeCategory(1, {
+                  ...stablecoinsCategory,
+                  liquidationThreshold: 94000,
+                })
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidEModeCategory")
+                .withArgs(1);
+
+              // other params can still be updated
+              await expect(
+                pool.connect(owner).setEModeCategory(1, {
+                  ...stablecoinsCategory,
+                  loanToValue: 90000,
+                })
+              ).to.emit(pool, "EModeCategorySet");
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+            });
+          });
+        });
+        describe("NFT Collateral Logic functions", () => {
+          describe("depositNFT()", () => {
+            let tokenId = 1;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy NFT mock and NFT floor price feeds mock
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+            });
+            it("should revert if pool is paused", async () => {
+              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
+              await expect(
+                pool.connect(user1).depositNFT(NFT.target, tokenId)
+              ).to.be.revertedWithCustomError(pool, "isPaused");
+            });
+            it("should revert if NFT is not supported as collateral", async () => {
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+              await expect(
+                pool.connect(user1).depositNFT(NFT.target, tokenId)
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+            });
+            it("should allow user to deposit supported NFT as collateral", async () => {
+              // add NFT to supported collateral
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+              await expect(pool.connect(user1).depositNFT(NFT.target, tokenId))
+                .to.emit(pool, "DepositNFT")
+                .withArgs(user1.address, NFT.target, tokenId);
+            });
+            it("should transfer NFT to lending pool", async () => {
+              expect(await NFT.ownerOf(tokenId)).to.be.equal(pool.target);
+              expect(await NFT.balanceOf(pool.target)).to.be.equal(1);
+            });
+            it("should register NFT to user deposited NFT storage", async () => {
+              expect(
+                await pool.hasDepositedNFT(user1.address, NFT.target, tokenId)
+              ).to.be.equal(true);
+              expect(
+                await pool.getDepositedNFTCount(user1.address, NFT.target)
+              ).to.be.equal(1);
+            });
+            it("should increase user collateral value", async () => {
+              const nftValue = await pool.getTokenPrice(NFT.target);
+              // user has only deposited NFT as collateral
+              // expect totalCollValue == NFTCollateralValue
+              const [userTokenCollateralValue, userNFTCollateralValue] =
+                await pool.getUserData(user1.address);
+              expect(userTokenCollateralValue).to.be.equal(0);
+              expect(userNFTCollateralValue).to.be.equal(nftValue);
+            });
+            it("should allow user to borrow against NFT collateral", async () => {
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user2 supplies WETH
+              await mintERC20(user2, WETH.target, getAmountInWei(40)); // 40 ETH
+              await supply(user2, WETH.target, getAmountInWei(40), pool);
+
+              const beforeBorrowerWethBalance = getAmountFromWei(
+                await WETH.balanceOf(user1.address)
+              );
+
+              const borrowAmount = getAmountInWei(1); // 1 WETH
+              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+
+              const afterBorrowerWethBalance = getAmountFromWei(
+                await WETH.balanceOf(user1.address)
+              );
+
+              expect(afterBorrowerWethBalance).to.be.equal(
+                getAmountFromWei(borrowAmount) + beforeBorrowerWethBalance
+              );
+            });
+          });
+          describe("withdrawNFT()", () => {
+            let tokenId_1 = 1;
+            let tokenId_2 = 2;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy NFT mock and NFT floor price feeds mock
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add NFT to supported collateral
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+
+              // mint NFT to user1
+              await mintAndapproveNFT(
+                user1,
+                NFT.target,
+                tokenId_1,
+                pool.target
+              );
+
+              // mint NFT to user1
+              await mintAndapproveNFT(
+                user1,
+                NFT.target,
+                tokenId_2,
+                pool.target
+              );
+
+              // deposit NFT 1 to pool
+              await pool.connect(user1).depositNFT(NFT.target, tokenId_1);
+            });
+            it("should revert if NFT was not deposited", async () => {
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdrawNFT(user1.address, NFT.target, tokenId_2)
+              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+            });
+            it("should revert if non owner tries to withdraw NFT", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .withdrawNFT(user1.address, NFT.target, tokenId_1)
+              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+            });
+            it("should allow depositor to withdraw NFT", async () => {
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdrawNFT(user1.address, NFT.target, tokenId_1)
+              )
+                .to.emit(pool, "WithdrawNFT")
+                .withArgs(user1.address, user1.address, NFT.target, tokenId_1);
+              expect(await NFT.ownerOf(tokenId_1)).to.be.equal(user1.address);
+              expect(
+                await pool.hasDepositedNFT(user1.address, NFT.target, tokenId_1)
+              ).to.be.equal(false);
+              expect(
+                await pool.getDepositedNFTCount(user1.address, NFT.target)
+              ).to.be.equal(0);
+            });
+            it("should revert if depositor exceeds borrow capacity", async () => {
+              // user1 deposit NFT 2 to pool
+              await pool.connect(user1).depositNFT(NFT.target, tokenId_2);
+
+              // add WETH to supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user2 supplies WETH
+              await mintERC20(user2, WETH.target, getAmountInWei(10)); // 10 ETH
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+
+              // user1 borrow 2 WETH
+              const borrowAmount = getAmountInWei(2); // 2 WETH
+              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+
+              // user cannot withdraw NFT as HF will be below minimum
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdrawNFT(user1.address, NFT.target, tokenId_2)
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
+            });
+            it("should allow depositor to withdraw NFT if he remains within borrow capacity", async () => {
+              // user1 supplies 6000 DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(6000)); // 6000 DAI
+              await supply(user1, DAI.target, getAmountInWei(6000), pool);
+
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdrawNFT(user1.address, NFT.target, tokenId_2)
+              )
+                .to.emit(pool, "WithdrawNFT")
+                .withArgs(user1.address, user1.address, NFT.target, tokenId_2);
+
+              // NFT2 returned to user1
+              expect(await NFT.ownerOf(tokenId_2)).to.be.equal(user1.address);
+              //user1 health factor still above 1e18
+              expect(
+                await pool.healthFactor(user1.address)
+              ).to.be.greaterThanOrEqual(getAmountInWei(1));
+            });
+          });
+          describe("depositNFTs()/withdrawNFTs()", () => {
+            let NFT2, nft2FloorPriceFeed;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy two NFT collections mocks and their floor price feeds mocks
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+              [NFT2, nft2FloorPriceFeed] = await deployNFTMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add NFTs to supported collateral
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                NFT2.target,
+                nft2FloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+
+              // mint NFTs to user1
+              await mintAndapproveNFTs(
+                user1,
+                NFT.target,
+                [1, 2, 3],
+                pool.target
+              );
+              await mintAndapproveNFTs(user1, NFT2.target, [1, 2], pool.target);
+            });
+            it("should revert if input arrays are empty or mismatched", async () => {
+              await expect(
+                pool.connect(user1).depositNFTs([], [])
+              ).to.be.revertedWithCustomError(pool, "EmptyArray");
+              await expect(
+                pool
+                  .connect(user1)
+                  .depositNFTs([NFT.target, NFT2.target], [[1]])
+              ).to.be.revertedWithCustomError(pool, "ArrayMismatch");
+            });
+            it("should allow user to deposit many NFTs across collections", async () => {
+              await expect(
+                pool.connect(user1).depositNFTs(
+                  [NFT.target, NFT2.target],
+                  [
+                    [1, 2, 3],
+                    [1, 2],
+                  ]
+                )
+              )
+                .to.emit(pool, "DepositNFT")
+                .withArgs(user1.address, NFT2.target, 2);
+              expect(
+                await pool.getDepositedNFTCount(user1.address, NFT.target)
+              ).to.be.equal(3);
+              expect(
+                await pool.getDepositedNFTCount(user1.address, NFT2.target)
+              ).to.be.equal(2);
+              expect(
+                await pool.getUserNFTCollateralValue(user1.address)
+              ).to.be.equal(getAmountInWei(50000));
+            });
+            it("should revert if withdrawals exceed borrow capacity", async () => {
+              // user1 borrows 20000 DAI
+              await mintERC20(user2, DAI.target, getAmountInWei(30000));
+              await supply(user2, DAI.target, getAmountInWei(30000), pool);
+              await pool
+                .connect(user1)
+                .borrow(DAI.target, getAmountInWei(20000));
+
+              // withdrawing 3 NFTs leaves 20000$ of collateral (15000$ capacity)
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdrawNFTs(
+                    user1.address,
+                    [NFT.target, NFT2.target],
+                    [[1, 2], [1]]
+                  )
+              ).to.be.revertedWithCustomError(pool, "ExceedBorrowCapacity");
+            });
+            it("should allow user to withdraw many NFTs across collections", async () => {
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdrawNFTs(
+                    user1.address,
+                    [NFT.target, NFT2.target],
+                    [[1], [2]]
+                  )
+              )
+                .to.emit(pool, "WithdrawNFT")
+                .withArgs(user1.address, user1.address, NFT2.target, 2);
+              expect(await NFT.ownerOf(1)).to.be.equal(user1.address);
+              expect(await NFT2.ownerOf(2)).to.be.equal(user1.address);
+              expect(
+                await pool.getUserNFTCollateralValue(user1.address)
+              ).to.be.equal(getAmountInWei(30000));
+            });
+          });
+          describe("triggerNFTLiquidation()", () => {
+            let tokenId = 1;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy NFT mock and NFT floor price feeds mock
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add NFT to supported collateral
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+
+              // add WETH to supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user3 supplies WETH
+              await mintERC20(user3, WETH.target, getAmountInWei(20)); // 20 ETH
+              await supply(user3, WETH.target, getAmountInWei(20), pool);
+
+              // mint NFT to user1
+              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
+
+              // deposit NFT 1 to pool
+              await pool.connect(user1).depositNFT(NFT.target, tokenId);
+
+              // user1 borrow 3 WETH
+              const borrowAmount = getAmountInWei(3); // 3 WETH
+              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+            });
+            it("should revert liquidated account didn't deposit NFT", async () => {
+              const wrongTokenId = 42;
+              await expect(
+                pool
+                  .connect(user2)
+                  .triggerNFTLiquidation(
+                    user1.address,
+                    NFT.target,
+                    wrongTokenId
+                  )
+              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+            });
+            it("should revert if depositor is above min health factor", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .triggerNFTLiquidation(user1.address, NFT.target, tokenId)
+              ).to.be.revertedWithCustomError(pool, "InvalidNFTLiquidation");
+            });
+            it("should allow liquidator to trigger NFT liquidation if depositor is below min health factor", async () => {
+              // simulate decrease in NFT floor price 10000$ -> 7400$
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(7400, 8)); // 1 NFT = 7400$
+
+              await expect(
+                pool
+                  .connect(user2)
+                  .triggerNFTLiquidation(user1.address, NFT.target, tokenId)
+              )
+                .to.emit(pool, "LiquidingNFTWarning")
+                .withArgs(user2.address, user1.address, NFT.target, tokenId);
+
+              const [liquidator, liquidationTime] =
+                await pool.getNFTLiquidationWarning(
+                  user1.address,
+                  NFT.target,
+                  tokenId
+                );
+              expect(liquidator).to.be.equal(user2.address);
+              const blockNumber = await ethers.provider.getBlockNumber();
+              const block = await ethers.provider.getBlock(blockNumber);
+              // liquidation after 2 hours delay from warning
+              const expectedLiquidationTime = block.timestamp + 2 * 3600;
+              expect(liquidationTime).to.be.equal(expectedLiquidationTime);
+            });
+            it("should revert if unhealthy borrower has still ERC20 collateral not liquidated", async () => {
+              // set  NFT floor price to 10000$
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(10000, 8));
+
+              // mint NFT to user2 && deposit to pool
+              tokenId = 100;
+              await mintAndapproveNFT(user2, NFT.target, tokenId, pool.target);
+              await pool.connect(user2).depositNFT(NFT.target, tokenId);
+
+              // user2 supplies 2000 DAI
+              await mintERC20(user2, DAI.target, getAmountInWei(2000)); // 2000 DAI
+              await supply(user2, DAI.target, getAmountInWei(2000), pool);
+
+              // user2 borrow 4 WETH
+              const borrowAmount = getAmountInWei(4); // 4 WETH
+              await pool.connect(user2).borrow(WETH.target, borrowAmount);
+
+              // simulate decrease in NFT floor price 10000$ -> 7000$
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(7000, 8)); // 1 NFT = 7000$
+
+              // user2 will be below min health factor
+              expect(
+                await pool.healthFactor(user2.address)
+              ).to.be.lessThanOrEqual(getAmountInWei(1));
+              // user2 has still ERC20 collateral
+              expect(
+                await pool.healthFactor(user2.address)
+              ).to.be.lessThanOrEqual(getAmountInWei(1));
+              // NFT liquidation not possible until all ERC20
+              // collateral are liquidated nnd borrower is still unsolvent
+              await expect(
+                pool
+                  .connect(user1)
+                  .triggerNFTLiquidation(user2.address, NFT.target, tokenId)
+              ).to.be.revertedWithCustomError(pool, "InvalidNFTLiquidation");
+            });
+          });
+          describe("stopNFTLiquidation()", () => {
+            let tokenId = 1;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy NFT mock and NFT floor price feeds mock
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add NFT to supported collateral
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+
+              // add WETH to supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user3 supplies WETH
+              await mintERC20(user3, WETH.target, getAmountInWei(20)); // 20 ETH
+              await supply(user3, WETH.target, getAmountInWei(20), pool);
+
+              // mint NFT to user1
+              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
+
+              // deposit NFT 1 to pool
+              await pool.connect(user1).depositNFT(NFT.target, tokenId);
+
+              // user1 borrow 3 WETH
+              const borrowAmount = getAmountInWei(3); // 3 WETH
+              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+
+              // simulate decrease in NFT floor price 10000$ -> 7400$
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(7400, 8)); // 1 NFT = 7400$
+
+              // trigger NFT liquidation
+              await pool
+                .connect(user2)
+                .triggerNFTLiquidation(user1.address, NFT.target, tokenId);
+            });
+            it("should revert if borrower is still below min health factor", async () => {
+              await expect(
+                pool
+                  .connect(user1)
+                  .stopNFTLiquidation(user1.address, NFT.target, tokenId)
+              ).to.be.revertedWithCustomError(pool, "BelowHeathFactor");
+            });
+            it("should stop NFT liquidation if borrower is above min health factor", async () => {
+              // borrower repays borrowed amount
+              await approveERC20(
+                user1,
+                WETH.target,
+                getAmountInWei(1),
+                pool.target
+              );
+              await pool.connect(user1).repay(WETH.target, getAmountInWei(1)); // 1 WETH
+
+              expect(
+                await pool.healthFactor(user1.address)
+              ).to.be.greaterThanOrEqual(getAmountInWei(1));
+
+              await expect(
+                pool
+                  .connect(user1)
+                  .stopNFTLiquidation(user1.address, NFT.target, tokenId)
+              )
+                .to.emit(pool, "LiquidateNFTStopped")
+                .withArgs(user1.address, NFT.target, tokenId);
+
+              const [liquidator, liquidationTime] =
+                await pool.getNFTLiquidationWarning(
+                  user1.address,
+                  NFT.target,
+                  tokenId
+                );
+              expect(liquidator).to.be.equal(ethers.ZeroAddress);
+              expect(liquidationTime).to.be.equal(0);
+            });
+          });
+          describe("executeNFTLiquidation()", () => {
+            let tokenId = 1;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy NFT mock and NFT floor price feeds mock
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add NFT to supported collateral
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+
+              // add WETH to supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user3 supplies WETH
+              await mintERC20(user3, WETH.target, getAmountInWei(20)); // 20 ETH
+              await supply(user3, WETH.target, getAmountInWei(20), pool);
+
+              // mint NFT to user1
+              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
+
+              // deposit NFT 1 to pool
+              await pool.connect(user1).depositNFT(NFT.target, tokenId);
+
+              // user1 borrow 3 WETH
+              const borrowAmount = getAmountInWei(3); // 3 WETH
+              await pool.connect(user1).borrow(WETH.target, borrowAmount);
+
+              // simulate decrease in NFT floor price 10000$ -> 7400$
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(7400, 8)); // 1 NFT = 7400$
+            });
+            it("should revert if empty array given as input", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .executeNFTLiquidation(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    [],
+                    [getAmountInWei(10)]
+                  )
+              ).to.be.revertedWithCustomError(pool, "EmptyArray");
+            });
+            it("should revert if mismatch is input arrays length", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .executeNFTLiquidation(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    [WETH.target],
+                    []
+                  )
+              ).to.be.revertedWithCustomError(pool, "ArrayMismatch");
+            });
+            it("should revert if liquidation warning was not triggered", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .executeNFTLiquidation(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    [WETH.target],
+                    [getAmountInWei(5)]
+                  )
+              ).to.be.revertedWithCustomError(pool, "NoLiquidateWarn");
+            });
+            it("should revert if warning delay hasn't paased", async () => {
+              // trigger NFT liquidation
+              await pool
+                .connect(user2)
+                .triggerNFTLiquidation(user1.address, NFT.target, tokenId);
+              // move 1 hour in time
+              await moveTime(3600);
+              await expect(
+                pool
+                  .connect(user2)
+                  .executeNFTLiquidation(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    [WETH.target],
+                    [getAmountInWei(5)]
+                  )
+              ).to.be.revertedWithCustomError(pool, "WarningDelayHasNotPassed");
+            });
+            it("should revert another user try to liquidate before first liquidator delay ends", async () => {
+              // move 1 hour in time
+              await moveTime(3600);
+
+              // update oracle prices to avoid out of date price error
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(7400, 8));
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+
+              await expect(
+                pool
+                  .connect(randomUser)
+                  .executeNFTLiquidation(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    [WETH.target],
+                    [getAmountInWei(5)]
+                  )
+              ).to.be.revertedWithCustomError(
+                pool,
+                "LiquidatorDelayHasNotPassed"
+              );
+            });
+            let beforeBorrowerHF, afterBorrowerHF;
+            let beforeBorrowerDebtValue, afterBorrowerDebtValue;
+            let beforeBorrowerDAICollateral, afterBorrowerDAICollateral;
+            let beforeLiquidatorDAIBal, afterLiquidatorDAIBal;
+            let actualDebtRepayValue, actualNFTBuyPrice;
+            it("should allow anyone to liquidate if first liquidator delay has passed and NFT was not liquidated", async () => {
+              const amount = getAmountInWei(2);
+              // mint WETH to allow user3 to repay debt
+              await mintAndapproveERC20(
+                user3,
+                WETH.target,
+                amount,
+                pool.target
+              );
+              // mint DAI to allow user3 to buy NFT
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(10000),
+                pool.target
+              );
+
+              // NFT sale proceeds are credited even when DAI supply cap is reached
+              await pool.connect(owner).setPausedStatus(DAI.target, true);
+              await setupTokenVault(
+                DAI.target,
+                daiFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, supplyCap: 1 },
+                false
+              );
+              await pool.connect(owner).setPausedStatus(DAI.target, false);
+
+              // move 5 minutes in time
+              await moveTime(5 * 60);
+
+              beforeBorrowerHF = await pool.healthFactor(user1.address);
+              beforeBorrowerDebtValue = await pool.getUserTotalBorrow(
+                user1.address
+              );
+              beforeBorrowerDAICollateral = (
+                await pool.getUserTokenCollateralAndBorrow(
+                  user1.address,
+                  DAI.target
+                )
+              )[0];
+              beforeLiquidatorDAIBal = await DAI.balanceOf(user3.address);
+              pool.on(
+                "NFTLiquidated",
+                (
+                  liquidator,
+                  borrower,
+                  nftAddress,
+                  id,
+                  totalRepayDebt,
+                  nftBuyPrice
+                ) => {
+                  expect(liquidator).to.equal(user3.address);
+                  expect(borrower).to.equal(user1.address);
+                  expect(nftAddress).to.equal(NFT.target);
+                  expect(id).to.equal(tokenId);
+                  actualDebtRepayValue = totalRepayDebt;
+                  actualNFTBuyPrice = nftBuyPrice;
+                }
+              );
+
+              await expect(
+                pool
+                  .connect(user3)
+                  .executeNFTLiquidation(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    [WETH.target],
+                    [amount]
+                  )
+              ).to.emit(pool, "NFTLiquidated");
+
+              // remove DAI supply cap
+              await pool.connect(owner).setPausedStatus(DAI.target, true);
+              await setupTokenVault(
+                DAI.target,
+                daiFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                false
+              );
+              await pool.connect(owner).setPausedStatus(DAI.target, false);
+            });
+            it("should increase borrower health factor and decrease debt amount", async () => {
+              afterBorrowerHF = await pool.healthFactor(user1.address);
+              afterBorrowerDebtValue = await pool.getUserTotalBorrow(
+                user1.address
+              );
+              expect(afterBorrowerHF).to.be.greaterThan(beforeBorrowerHF);
+              expect(afterBorrowerDebtValue).to.be.lessThan(
+                beforeBorrowerDebtValue
+              );
+            });
+            it("should deposit remaining NFT value to DAI vault on behalf of borrower", async () => {
+              afterBorrowerDAICollateral = (
+                await pool.getUserTokenCollateralAndBorrow(
+                  user1.address,
+                  DAI.target
+                )
+              )[0];
+              expect(afterBorrowerDAICollateral).to.be.equal(
+                beforeBorrowerDAICollateral + actualNFTBuyPrice
+              );
+            });
+            it("should buy NFT with discounted price", async () => {
+              const nftPriceReelPrice = Number(
+                await pool.getTokenPrice(NFT.target)
+              );
+              // should deduce repaid debt value and liquidation bonus
+              const expectedNFTPrice =
+                nftPriceReelPrice - Number(actualDebtRepayValue) * 1.1;
+              expect(Number(actualNFTBuyPrice) / 1e18).to.be.equal(
+                Math.ceil(expectedNFTPrice / 1e18)
+              );
+            });
+            it("should take DAI funds from liquidator to buy NFT and transfer the NFT", async () => {
+              afterLiquidatorDAIBal = await DAI.balanceOf(user3.address);
+              expect(afterLiquidatorDAIBal).to.be.equal(
+                beforeLiquidatorDAIBal - actualNFTBuyPrice
+              );
+              expect(await NFT.ownerOf(tokenId)).to.be.equal(user3.address);
+            });
+            it("should remove liquidated NFT from user NFT deposits", async () => {
+              expect(
+                await pool.hasDepositedNFT(user1.address, NFT.target, tokenId)
+              ).to.be.equal(false);
+              expect(
+                await pool.getDepositedNFTCount(user1.address, NFT.target)
+              ).to.be.equal(0);
+            });
+            it("should revert if borrower increase health factor and become solvent again", async () => {
+              tokenId = 2;
+
+              // update NFT price
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(20000, 8)); // 1 NFT = 20000$
+
+              // mint NFT to user2
+              await mintAndapproveNFT(user2, NFT.target, tokenId, pool.target);
+
+              // deposit NFT 1 to pool
+              await pool.connect(user2).depositNFT(NFT.target, tokenId);
+
+              // user2 borrow 5 WETH
+              const borrowAmount = getAmountInWei(5); // 5 WETH
+              await pool.connect(user2).borrow(WETH.target, borrowAmount);
+
+              // simulate decrease in NFT floor price 20000$ -> 10000$
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(10000, 8)); // 1 NFT = 10000$
+
+              // user3 trigger NFT liquidation
+              await pool
+                .connect(user3)
+                .triggerNFTLiquidation(user2.address, NFT.target, tokenId);
+
+              // move 1 hour in time
+              await moveTime(60 * 60);
+
+              // user2 (borrower) add new DAI collateral to increase HF
+              await mintAndapproveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(5000),
+                pool.target
+              );
+              await pool
+                .connect(user2)
+                .supply(DAI.target, getAmountInWei(5000), 0);
+
+              // user2 health factor is now above minimum
+              expect(
+                await pool.healthFactor(user2.address)
+              ).to.greaterThanOrEqual(getAmountInWei(1));
+
+              // move 1 hour in time
+              await moveTime(60 * 60);
+              // update oracle prices to avoid out of date price error
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(10000, 8));
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+
+              // user3 tries to liquidate user2
+              await expect(
+                pool
+                  .connect(user3)
+                  .executeNFTLiquidation(
+                    user2.address,
+                    NFT.target,
+                    tokenId,
+                    [WETH.target],
+                    [getAmountInWei(4)]
+                  )
+              ).to.be.revertedWithCustomError(pool, "BorrowerIsSolvant");
+            });
+          });
+          describe("NFT liquidation auction", () => {
+            let tokenId = 1;
+            const auctionDuration = 24 * 3600; // 1 day
+            async function updatePrices() {
+              // update oracle prices to avoid out of date price error
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(7000, 8));
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+            }
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy NFT mock and NFT floor price feeds mock
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+              // add NFT to supported collateral with auction mode
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+              // protocol takes 50% of the NFT liquidation discount
+              await pool.connect(owner).setPausedStatus(NFT.target, true);
+              await pool.connect(owner).setLiquidationParams(NFT.target, {
+                ...(await pool.getLiquidationParams(NFT.target)).toObject(),
+                protocolLiquidationFee: 50000,
+                auctionDuration,
+              });
+              await pool.connect(owner).setPausedStatus(NFT.target, false);
+
+              // user3 supplies DAI and WETH
+              await mintERC20(user3, DAI.target, getAmountInWei(20000));
+              await supply(user3, DAI.target, getAmountInWei(20000), pool);
+              await mintERC20(user3, WETH.target, getAmountInWei(10));
+              await supply(user3, WETH.target, getAmountInWei(10), pool);
+
+              // user1 deposits NFT and borrows 4000 DAI and 1 WETH (6000$)
+              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
+              await pool.connect(user1).depositNFT(NFT.target, tokenId);
+              await pool
+                .connect(user1)
+                .borrow(DAI.target, getAmountInWei(4000));
+              await pool.connect(user1).borrow(WETH.target, getAmountInWei(1));
+
+              // simulate decrease in NFT floor price 10000$ -> 7000$
+              await nftFloorPriceFeed.updateAnswer(scaleAmount(7000, 8));
+
+              // trigger NFT liquidation and wait for delays to pass
+              await pool
+                .connect(user2)
+                .triggerNFTLiquidation(user1.address, NFT.target, tokenId);
+              await moveTime(3 * 3600);
+              await updatePrices();
+            });
+            it("should revert fixed price liquidation if auction mode is enabled", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .executeNFTLiquidation(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    [DAI.target],
+                    [getAmountInWei(4000)]
+                  )
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidLiquidationMode")
+                .withArgs(NFT.target);
+            });
+            it("should escrow NFT when auction starts", async () => {
+              await expect(
+                pool
+                  .connect(user2)
+                  .startNFTAuction(user1.address, NFT.target, tokenId)
+              ).to.emit(pool, "NFTAuctionStarted");
+              expect(
+                await pool.hasDepositedNFT(user1.address, NFT.target, tokenId)
+              ).to.be.equal(false);
+              const auction = await pool.getNFTAuction(
+                user1.address,
+                NFT.target,
+                tokenId
+              );
+              expect(auction.amount).to.be.equal(1);
+              // min bid is floor price minus 10% discount
+              expect(auction.minBid).to.be.equal(getAmountInWei(6300));
+            });
+            it("should not write off borrower debt while its NFT is auctioned", async () => {
+              await expect(pool.realizeBadDebt(user1.address))
+                .to.be.revertedWithCustomError(pool, "NoBadDebt")
+                .withArgs(user1.address);
+            });
+            it("should revert if bid is too low", async () => {
+              await mintAndapproveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(6300),
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user2)
+                  .bidNFTAuction(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    getAmountInWei(6000)
+                  )
+              )
+                .to.be.revertedWithCustomError(pool, "BidTooLow")
+                .withArgs(getAmountInWei(6300));
+              await pool
+                .connect(user2)
+                .bidNFTAuction(
+                  user1.address,
+                  NFT.target,
+                  tokenId,
+                  getAmountInWei(6300)
+                );
+
+              // next bid must be 1% higher
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(7000),
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .bidNFTAuction(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    getAmountInWei(6350)
+                  )
+              )
+                .to.be.revertedWithCustomError(pool, "BidTooLow")
+                .withArgs(getAmountInWei(6363));
+            });
+            it("should refund previous highest bidder when outbid", async () => {
+              await expect(
+                pool
+                  .connect(user3)
+                  .bidNFTAuction(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    getAmountInWei(7000)
+                  )
+              )
+                .to.emit(pool, "NFTAuctionBid")
+                .withArgs(
+                  user3.address,
+                  user1.address,
+                  NFT.target,
+                  tokenId,
+                  getAmountInWei(7000)
+                );
+              expect(await DAI.balanceOf(user2.address)).to.be.equal(
+                getAmountInWei(6300)
+              );
+            });
+            it("should exclude escrowed bids from vault liquidity", async () => {
+              // 20000 DAI supplied - 4000 DAI borrowed, 7000 DAI bid is not lendable
+              expect(await pool.maxFlashLoan(DAI.target)).to.be.equal(
+                getAmountInWei(16000)
+              );
+            });
+            it("should revert if auction is settled before it ends", async () => {
+              await expect(
+                pool.settleNFTAuction(
+                  user1.address,
+                  NFT.target,
+                  tokenId,
+                  [],
+                  []
+                )
+              ).to.be.revertedWithCustomError(pool, "AuctionNotEnded");
+            });
+            it("should repay borrower debts across vaults and credit surplus when auction is settled", async () => {
+              await moveTime(auctionDuration);
+              await updatePrices();
+
+              // user2 repays the borrower WETH debt and is paid back in DAI from the proceeds
+              await mintAndapproveERC20(
+                user2,
+                WETH.target,
+                getAmountInWei(2),
+                pool.target
+              );
+              const beforeUserBalance = await DAI.balanceOf(user2.address);
+              await expect(
+                pool
+                  .connect(user2)
+                  .settleNFTAuction(
+                    user1.address,
+                    NFT.target,
+                    tokenId,
+                    [WETH.target],
+                    [ethers.MaxUint256]
+                  )
+              )
+                .to.emit(pool, "NFTAuctionSettled")
+                .withArgs(
+                  user3.address,
+                  user1.address,
+                  NFT.target,
+                  tokenId,
+                  getAmountInWei(7000)
+                );
+              expect(await NFT.ownerOf(tokenId)).to.be.equal(user3.address);
+              expect(
+                round(
+                  getAmountFromWei(
+                    (await DAI.balanceOf(user2.address)) - beforeUserBalance
+                  )
+                )
+              ).to.be.equal(2000);
+
+              // protocol takes 50% of the 10% discount on the winning bid
+              expect(await pool.getLiquidationRevenue(DAI.target)).to.be.equal(
+                getAmountInWei(350)
+              );
+              expect(await pool.getUserTotalBorrow(user1.address)).to.be.equal(
+                0
+              );
+              // 7000 - 350 fee - 2000 WETH debt - 4000 DAI debt (+ interest)
+              const userShares = await pool.getUserTokenCollateralAndBorrow(
+                user1.address,
+                DAI.target
+              );
+              expect(round(getAmountFromWei(userShares[0]))).to.be.equal(650);
+              await expect(
+                pool.settleNFTAuction(
+                  user1.address,
+                  NFT.target,
+                  tokenId,
+                  [],
+                  []
+                )
+              ).to.be.revertedWithCustomError(pool, "NoAuction");
+            });
+          });
+          describe("flashAirdrop()", () => {
+            let flashAirdropReceiver;
+            let tokenId = 1;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy NFT mock and NFT floor price feeds mock
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // add NFT to supported collateral
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // user 1 mints NFT & deposit to pool
+              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
+              await pool.connect(user1).depositNFT(NFT.target, tokenId);
+
+              // Deploy flashAirdrop receiver mock
+              flashAirdropReceiver = await ethers.deployContract(
+                "FlashAirdropReceiverMock",
+                [pool.target, NFT.target]
+              );
+              await flashAirdropReceiver.waitForDeployment();
+            });
+            it("should revert if input tokenIds array is empty", async () => {
+              await expect(
+                pool
+                  .connect(user1)
+                  .flashAirdrop(
+                    flashAirdropReceiver.target,
+                    NFT.target,
+                    [],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "EmptyArray");
+            });
+            it("should allow user to flash NFT to claim Airdrop", async () => {
+              pool.on("FlashloanSuccess", (initiator, nft, tokenIds, data) => {
+                expect(initiator).to.be.equal(user1.address);
+                expect(nft).to.be.equal(NFT.target);
+                expect(tokenIds[0]).to.be.equal(tokenId);
+              });
+
+              await expect(
+                pool
+                  .connect(user1)
+                  .flashAirdrop(
+                    flashAirdropReceiver.target,
+                    NFT.target,
+                    [tokenId],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.emit(pool, "FlashAirdropSuccess");
+
+              // NFT must be returned to pool
+              expect(await NFT.ownerOf(tokenId)).to.be.equal(pool.target);
+            });
+            it("should revert if user did not deposit NFT", async () => {
+              // user 2 mints NFT 2
+              tokenId = 2;
+              await mintAndapproveNFT(user2, NFT.target, tokenId, pool.target);
+
+              await expect(
+                pool
+                  .connect(user2)
+                  .flashAirdrop(
+                    flashAirdropReceiver.target,
+                    NFT.target,
+                    [tokenId],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+            });
+            it("should revert if flashAirdrop receiver returns false", async () => {
+              // Deploy bad flashAirdrop receiver mock
+              flashAirdropReceiver = await ethers.deployContract(
+                "BadFlashAirdropReceiverMock",
+                [pool.target, NFT.target]
+              );
+              await flashAirdropReceiver.waitForDeployment();
+
+              // user 2 deposit NFT 2
+              tokenId = 2;
+              await pool.connect(user2).depositNFT(NFT.target, tokenId);
+
+              await expect(
+                pool
+                  .connect(user2)
+                  .flashAirdrop(
+                    flashAirdropReceiver.target,
+                    NFT.target,
+                    [tokenId],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "FlashAirdropFailed");
+            });
+            it("should revert if depositor does not lend its NFTs", async () => {
+              flashAirdropReceiver = await ethers.deployContract(
+                "FlashAirdropReceiverMock",
+                [pool.target, NFT.target]
+              );
+              await flashAirdropReceiver.waitForDeployment();
+
+              await expect(
+                pool
+                  .connect(user3)
+                  .rentFlashAirdrop(
+                    user1.address,
+                    flashAirdropReceiver.target,
+                    NFT.target,
+                    [1],
+                    0,
+                    ethers.toUtf8Bytes("")
+                  )
+              )
+                .to.be.revertedWithCustomError(pool, "NFTNotRentable")
+                .withArgs(user1.address, NFT.target);
+            });
+            it("should allow anyone to rent depositor NFTs to claim Airdrop", async () => {
+              const rentalFee = getAmountInWei(10);
+              await expect(
+                pool.connect(user1).setNFTRentalFee(NFT.target, rentalFee)
+              )
+                .to.emit(pool, "NFTRentalFeeSet")
+                .withArgs(user1.address, NFT.target, rentalFee);
+              expect(
+                await pool.getNFTRentalFee(user1.address, NFT.target)
+              ).to.be.equal(rentalFee);
+
+              // rental fee is credited even when DAI supply cap is reached
+              await pool.connect(owner).setPausedStatus(DAI.target, true);
+              await setupTokenVault(
+                DAI.target,
+                daiFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, supplyCap: 1 },
+                false
+              );
+              await pool.connect(owner).setPausedStatus(DAI.target, false);
+
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                rentalFee,
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .rentFlashAirdrop(
+                    user1.address,
+                    flashAirdropReceiver.target,
+                    NFT.target,
+                    [1],
+                    rentalFee,
+                    ethers.toUtf8Bytes("")
+                  )
+              )
+                .to.emit(pool, "NFTRented")
+                .withArgs(
+                  user1.address,
+                  user3.address,
+                  NFT.target,
+                  [1],
+                  rentalFee
+                );
+
+              // receiver callback is called with the renter as initiator
+              expect(await flashAirdropReceiver.lastInitiator()).to.be.equal(
+                user3.address
+              );
+              expect(await flashAirdropReceiver.airdropsClaimed()).to.be.equal(
+                1
+              );
+              // NFT must be returned to pool and fee credited to depositor
+              expect(await NFT.ownerOf(1)).to.be.equal(pool.target);
+              const userShares = await pool.getUserTokenCollateralAndBorrow(
+                user1.address,
+                DAI.target
+              );
+              expect(userShares[0]).to.be.equal(rentalFee);
+            });
+            it("should revert if rental fee is above renter max fee", async () => {
+              // depositor raises its rental fee before the rent is executed
+              await pool
+                .connect(user1)
+                .setNFTRentalFee(NFT.target, getAmountInWei(20));
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(20),
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .rentFlashAirdrop(
+                    user1.address,
+                    flashAirdropReceiver.target,
+                    NFT.target,
+                    [1],
+                    getAmountInWei(10),
+                    ethers.toUtf8Bytes("")
+                  )
+              )
+                .to.be.revertedWithCustomError(pool, "TooHighRentalFee")
+                .withArgs(getAmountInWei(20));
+            });
+            it("should revert if renter flashloans NFTs not deposited by depositor", async () => {
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(10),
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .rentFlashAirdrop(
+                    user1.address,
+                    flashAirdropReceiver.target,
+                    NFT.target,
+                    [2],
+                    getAmountInWei(10),
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+            });
+          });
+          describe("ERC1155 collateral", () => {
+            let ITEMS, itemsFeed;
+            const itemId = 7;
+            async function updatePrices(itemPrice) {
+              // update oracle prices to avoid out of date price error
+              await itemsFeed.updateAnswer(scaleAmount(itemPrice, 8));
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+            }
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy ERC1155 mock and its price feed mock
+              ITEMS = await deployERC1155Mock();
+              itemsFeed = await deployAggregatorMock(scaleAmount(100, 8), 8); // 1 item = 100$
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add ERC1155 items to supported collateral
+              await setupTokenVault(
+                ITEMS.target,
+                itemsFeed.target,
+                TokenType.ERC1155,
+                vaultInfoParams,
+                true
+              );
+
+              // user3 supplies DAI
+              await mintERC20(user3, DAI.target, getAmountInWei(10000));
+              await supply(user3, DAI.target, getAmountInWei(10000), pool);
+
+              await mintAndapproveERC1155(
+                user1,
+                ITEMS.target,
+                itemId,
+                10,
+                pool.target
+              );
+            });
+            it("should revert if collection is not supported as ERC1155", async () => {
+              const [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+              await expect(
+                pool.connect(user1).depositERC1155(NFT.target, itemId, 1)
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidTokenType")
+                .withArgs(TokenType.ERC721);
+            });
+            it("should revert if ERC1155 tokens are deposited as ERC721", async () => {
+              await expect(pool.connect(user1).depositNFT(ITEMS.target, itemId))
+                .to.be.revertedWithCustomError(pool, "InvalidTokenType")
+                .withArgs(TokenType.ERC1155);
+              await expect(
+                pool.connect(user1).depositNFTs([ITEMS.target], [[itemId]])
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidTokenType")
+                .withArgs(TokenType.ERC1155);
+            });
+            it("should allow user to deposit ERC1155 tokens as collateral", async () => {
+              await expect(
+                pool.connect(user1).depositERC1155(ITEMS.target, itemId, 10)
+              )
+                .to.emit(pool, "DepositERC1155")
+                .withArgs(user1.address, ITEMS.target, itemId, 10);
+              expect(await ITEMS.balanceOf(pool.target, itemId)).to.be.equal(
+                10
+              );
+              expect(
+                await pool.getDepositedNFTAmount(
+                  user1.address,
+                  ITEMS.target,
+                  itemId
+                )
+              ).to.be.equal(10);
+              expect(
+                await pool.getUserNFTCollateralValue(user1.address)
+              ).to.be.equal(getAmountInWei(1000));
+            });
+            it("should allow user to withdraw part of deposited ERC1155 tokens", async () => {
+              await expect(
+                pool
+                  .connect(user1)
+                  .withdrawERC1155(user1.address, ITEMS.target, itemId, 11)
+              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+              await pool
+                .connect(user1)
+                .withdrawERC1155(user1.address, ITEMS.target, itemId, 4);
+              expect(await ITEMS.balanceOf(user1.address, itemId)).to.be.equal(
+                4
+              );
+              expect(
+                await pool.getDepositedNFTAmount(
+                  user1.address,
+                  ITEMS.target,
+                  itemId
+                )
+              ).to.be.equal(6);
+            });
+            it("should allow user to flash ERC1155 tokens to claim Airdrop", async () => {
+              const flashAirdropReceiver = await ethers.deployContract(
+                "FlashAirdropReceiverMock",
+                [pool.target, ITEMS.target]
+              );
+              await flashAirdropReceiver.waitForDeployment();
+              await expect(
+                pool
+                  .connect(user1)
+                  .flashAirdrop(
+                    flashAirdropReceiver.target,
+                    ITEMS.target,
+                    [itemId],
+                    ethers.toUtf8Bytes("")
+                  )
+              ).to.emit(pool, "FlashAirdropSuccess");
+              // tokens must be returned to pool
+              expect(await ITEMS.balanceOf(pool.target, itemId)).to.be.equal(6);
+            });
+            it("should charge ERC1155 rental fee for each rented unit", async () => {
+              const flashAirdropReceiver = await ethers.deployContract(
+                "FlashAirdropReceiverMock",
+                [pool.target, ITEMS.target]
+              );
+              await flashAirdropReceiver.waitForDeployment();
+              await pool
+                .connect(user1)
+                .setNFTRentalFee(ITEMS.target, getAmountInWei(1));
+
+              // 6 deposited items are rented for 1 DAI each
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(6),
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .rentFlashAirdrop(
+                    user1.address,
+                    flashAirdropReceiver.target,
+                    ITEMS.target,
+                    [itemId],
+                    getAmountInWei(1),
+                    ethers.toUtf8Bytes("")
+                  )
+              )
+                .to.be.revertedWithCustomError(pool, "TooHighRentalFee")
+                .withArgs(getAmountInWei(6));
+              await expect(
+                pool
+                  .connect(user3)
+                  .rentFlashAirdrop(
+                    user1.address,
+                    flashAirdropReceiver.target,
+                    ITEMS.target,
+                    [itemId],
+                    getAmountInWei(6),
+                    ethers.toUtf8Bytes("")
+                  )
+              )
+                .to.emit(pool, "NFTRented")
+                .withArgs(
+                  user1.address,
+                  user3.address,
+                  ITEMS.target,
+                  [itemId],
+                  getAmountInWei(6)
+                );
+              expect(
+                (
+                  await pool.getUserTokenCollateralAndBorrow(
+                    user1.address,
+                    DAI.target
+                  )
+                )[0]
+              ).to.be.equal(getAmountInWei(6));
+              // withdraw rental fees to keep only NFT collateral
+              await pool
+                .connect(user1)
+                .withdraw(DAI.target, getAmountInWei(6), ethers.MaxUint256);
+            });
+            it("should liquidate ERC1155 collateral through the warning flow", async () => {
+              // user1 borrows 400 DAI against 6 items (600$)
+              await pool.connect(user1).borrow(DAI.target, getAmountInWei(400));
+
+              // simulate decrease in item price 100$ -> 80$
+              await updatePrices(80);
+              expect(await pool.healthFactor(user1.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+
+              await pool
+                .connect(user2)
+                .triggerNFTLiquidation(user1.address, ITEMS.target, itemId);
+              await moveTime(3 * 3600);
+              await updatePrices(80);
+
+              // repay 400 DAI and buy items for 480$ - 440$ = 40 DAI
+              await mintAndapproveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(440),
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user2)
+                  .executeNFTLiquidation(
+                    user1.address,
+                    ITEMS.target,
+                    itemId,
+                    [DAI.target],
+                    [getAmountInWei(400)]
+                  )
+              )
+                .to.emit(pool, "NFTLiquidated")
+                .withArgs(
+                  user2.address,
+                  user1.address,
+                  ITEMS.target,
+                  itemId,
+                  getAmountInWei(400),
+                  getAmountInWei(40)
+                );
+              expect(await ITEMS.balanceOf(user2.address, itemId)).to.be.equal(
+                6
+              );
+              expect(
+                await pool.getDepositedNFTAmount(
+                  user1.address,
+                  ITEMS.target,
+                  itemId
+                )
+              ).to.be.equal(0);
+            });
+            it("should auction the same ERC1155 tokenId of different borrowers separately", async () => {
+              const auctionDuration = 24 * 3600;
+              await updatePrices(100);
+              await pool.connect(owner).setPausedStatus(ITEMS.target, true);
+              await pool.connect(owner).setLiquidationParams(ITEMS.target, {
+                ...(await pool.getLiquidationParams(ITEMS.target)).toObject(),
+                auctionDuration,
+              });
+              await pool.connect(owner).setPausedStatus(ITEMS.target, false);
+
+              // user2 and randomUser deposit 5 items each and borrow 300 DAI
+              await mintAndapproveERC1155(
+                user2,
+                ITEMS.target,
+                itemId,
+                1,
+                pool.target
+              );
+              await mintAndapproveERC1155(
+                randomUser,
+                ITEMS.target,
+                itemId,
+                5,
+                pool.target
+              );
+              for (const user of [user2, randomUser]) {
+                await pool
+                  .connect(user)
+                  .depositERC1155(ITEMS.target, itemId, 5);
+                await pool
+                  .connect(user)
+                  .borrow(DAI.target, getAmountInWei(300));
+              }
+
+              // simulate decrease in item price 100$ -> 70$
+              await updatePrices(70);
+              for (const user of [user2, randomUser]) {
+                await pool
+                  .connect(user3)
+                  .triggerNFTLiquidation(user.address, ITEMS.target, itemId);
+              }
+              await moveTime(3 * 3600);
+              await updatePrices(70);
+              for (const user of [user2, randomUser]) {
+                await pool
+                  .connect(user3)
+                  .startNFTAuction(user.address, ITEMS.target, itemId);
+              }
+              expect(
+                await pool.getDepositedNFTAmount(
+                  pool.target,
+                  ITEMS.target,
+                  itemId
+                )
+              ).to.be.equal(10);
+              expect(
+                (
+                  await pool.getNFTAuction(
+                    randomUser.address,
+                    ITEMS.target,
+                    itemId
+                  )
+                ).amount
+              ).to.be.equal(5);
+
+              // user3 bids on randomUser auction only, min bid is 5 * 70$ - 10%
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(315),
+                pool.target
+              );
+              await pool
+                .connect(user3)
+                .bidNFTAuction(
+                  randomUser.address,
+                  ITEMS.target,
+                  itemId,
+                  getAmountInWei(315)
+                );
+
+              // user2 redeposited items can't be auctioned before settlement
+              await pool.connect(user2).depositERC1155(ITEMS.target, itemId, 1);
+              await pool
+                .connect(user3)
+                .triggerNFTLiquidation(user2.address, ITEMS.target, itemId);
+              await moveTime(3 * 3600);
+              await updatePrices(70);
+              await expect(
+                pool
+                  .connect(user3)
+                  .startNFTAuction(user2.address, ITEMS.target, itemId)
+              )
+                .to.be.revertedWithCustomError(pool, "AuctionAlreadyStarted")
+                .withArgs(user2.address, ITEMS.target, itemId);
+
+              await moveTime(auctionDuration);
+              await updatePrices(70);
+              for (const user of [user2, randomUser]) {
+                await pool.settleNFTAuction(
+                  user.address,
+                  ITEMS.target,
+                  itemId,
+                  [],
+                  []
+                );
+              }
+              // user2 items returned without bid, randomUser items sold to user3
+              expect(
+                await pool.getDepositedNFTAmount(
+                  user2.address,
+                  ITEMS.target,
+                  itemId
+                )
+              ).to.be.equal(6);
+              expect(await ITEMS.balanceOf(user3.address, itemId)).to.be.equal(
+                5
+              );
+              expect(
+                await pool.getDepositedNFTAmount(
+                  pool.target,
+                  ITEMS.target,
+                  itemId
+                )
+              ).to.be.equal(0);
+            });
+          });
+        });
+        describe("Getters functions", () => {
+          describe("getUserData()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              // user2 supplies token2
+              const amount = scaleAmount(10, 8); // 10 WBTC
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+
+              // user2 borrows WETH
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+
+              // virtually mine some blocks
+              await hre.network.provider.send("hardhat_mine", ["0xa"]);
+              await pool.connect(user1).accrueInterest(WETH.target);
+            });
+            it("should return correct total collateral and borrow value in USD", async () => {
+              // test user2 data
+              const [
+                totalTokenCollateralValue,
+                totalNFTCollateralValue,
+                totalBorrowValue,
+              ] = await pool.getUserData(user2.address);
+
+              // user2 has only wBTC as collateral
+              const [user2BTCCollShares, user2BTCBorrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  WBTC.target
+                );
+              const user2CollValue = await pool.getAmountInUSD(
+                WBTC.target,
+                user2BTCCollShares
+              );
+              expect(user2BTCBorrowShares).to.be.equal(0);
+
+              // user2 has only borrowed ETH
+              const [user2ETHCollShares, user2ETHBorrowShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  WETH.target
+                );
+              const user2BorrowedValue = await pool.getAmountInUSD(
+                WETH.target,
+                user2ETHBorrowShares
+              );
+              expect(user2ETHCollShares).to.be.equal(0);
+
+              expect(totalTokenCollateralValue).to.be.equal(user2CollValue);
+              expect(totalNFTCollateralValue).to.be.equal(0);
+              // account for interest accrued
+              expect(totalBorrowValue).to.be.greaterThanOrEqual(
+                user2BorrowedValue
+              );
+            });
+          });
+          describe("getBorrowCapacity()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              // user2 supplies 1 WBTC
+              const amount = scaleAmount(1, 8);
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+
+              // user2 borrows 5 WETH (10000$)
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(5));
+            });
+            it("should return remaining borrowable USD value for each token", async () => {
+              const [tokens, capacities] = await pool.getBorrowCapacity(
+                user2.address
+              );
+              expect(tokens).to.deep.equal([
+                DAI.target,
+                WETH.target,
+                WBTC.target,
+              ]);
+              // 30000$ * 75% LTV - 10000$ debt = 12500$
+              const remainingValue = getAmountInWei(12500);
+              // DAI vault has no liquidity
+              expect(capacities[0]).to.be.equal(0);
+              expect(capacities[1]).to.be.equal(remainingValue);
+              expect(capacities[2]).to.be.equal(remainingValue);
+            });
+            it("should cap capacity by vault available liquidity", async () => {
+              // 40 ETH supplied - 5 ETH borrowed - 20% reserve = 27 ETH
+              const [, capacities] = await pool.getBorrowCapacity(
+                user1.address
+              );
+              expect(capacities[1]).to.be.equal(
+                await pool.getAmountInUSD(WETH.target, getAmountInWei(27))
+              );
+            });
+            it("should return no capacity for paused vaults and frozen tokens", async () => {
+              await pool.connect(owner).setPausedStatus(WETH.target, true);
+              await pool.connect(owner).setTokenFrozen(WBTC.target, true);
+              const [, capacities] = await pool.getBorrowCapacity(
+                user2.address
+              );
+              expect(capacities[1]).to.be.equal(0);
+              expect(capacities[2]).to.be.equal(0);
+
+              await pool.connect(owner).setTokenFrozen(WBTC.target, false);
+              await pool.connect(owner).setPausedStatus(WETH.target, false);
+            });
+            it("should cap capacity by vault remaining borrow cap", async () => {
+              // set WETH vault borrow cap to 7 ETH, 5 ETH already borrowed
+              await pool.connect(owner).setPausedStatus(WETH.target, true);
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, borrowCap: getAmountInWei(7) },
+                false
+              );
+              await pool.connect(owner).setPausedStatus(WETH.target, false);
+
+              const [, capacities] = await pool.getBorrowCapacity(
+                user1.address
+              );
+              expect(capacities[1]).to.be.equal(
+                await pool.getAmountInUSD(WETH.target, getAmountInWei(2))
+              );
+            });
+          });
+          describe("healthFactor()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              // user2 supplies token2
+              const amount = scaleAmount(10, 8); // 10 WBTC
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+
+              // user2 borrows WETH
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+
+              // virtually mine some blocks
+              await hre.network.provider.send("hardhat_mine", ["0xa"]);
+              await pool.connect(user1).accrueInterest(WETH.target);
+            });
+            it("should calculate correct health factor for user", async () => {
+              // test user2 health factor
+              const user2Data = await pool.getUserData(user2.address);
+              const totalCollateralValue = Number(user2Data[0] + user2Data[1]);
+              const totalBorrowValue = Number(user2Data[2]);
+              const expectedHeathFactor =
+                (totalCollateralValue * 80000 * 1e18) /
+                (100000 * totalBorrowValue);
+              let hf = await pool.healthFactor(user2.address);
+              expect(Number(hf)).to.be.equal(expectedHeathFactor);
+
+              // user1 has no borrow so HF = 100*1e18
+              hf = await pool.healthFactor(user1.address);
+              expect(hf).to.be.equal(getAmountInWei(100));
+            });
+            it("should weight each collateral by its own liquidation threshold", async () => {
+              // lower WBTC collateral factors: LTV 40%, liquidation threshold 50%
+              await pool.connect(owner).setPausedStatus(WBTC.target, true);
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                withCollateralFactors(vaultInfoParams, 40000, 50000),
+                false
+              );
+              await pool.connect(owner).setPausedStatus(WBTC.target, false);
+
+              // user2 also supplies DAI which keeps 80% liquidation threshold
+              const daiAmount = getAmountInWei(10000);
+              await mintERC20(user2, DAI.target, daiAmount);
+              await supply(user2, DAI.target, daiAmount, pool);
+
+              const btcValue = await pool.getAmountInUSD(
+                WBTC.target,
+                scaleAmount(10, 8)
+              );
+              const daiValue = await pool.getAmountInUSD(DAI.target, daiAmount);
+              const totalBorrowValue = (
+                await pool.getUserData(user2.address)
+              )[2];
+              const expectedHeathFactor =
+                (((btcValue * 50000n) / 100000n +
+                  (daiValue * 80000n) / 100000n) *
+                  BigInt(1e18)) /
+                totalBorrowValue;
+              expect(await pool.healthFactor(user2.address)).to.be.equal(
+                expectedHeathFactor
+              );
+            });
+          });
+          describe("getNFTValue()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy NFT mock and NFT floor price feeds mock
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add NFT to supported collateral
+              await setupTokenVault(
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
+                vaultInfoParams,
+                true
+              );
+
+              // user1 deposits NFTs 1 and 2
+              for (let tokenId = 1; tokenId <= 2; tokenId++) {
+                await mintAndapproveNFT(
+                  user1,
+                  NFT.target,
+                  tokenId,
+                  pool.target
+                );
+                await pool.connect(user1).depositNFT(NFT.target, tokenId);
+              }
+            });
+            it("should value NFT at collection floor price by default", async () => {
+              expect(await pool.getNFTValue(NFT.target, 1)).to.be.equal(
+                getAmountInWei(10000)
+              );
+              expect(
+                await pool.getUserNFTCollateralValue(user1.address)
+              ).to.be.equal(getAmountInWei(20000));
+            });
+            it("only owner should be able to set valid trait tier multipliers", async () => {
+              await expect(
+                pool
+                  .connect(randomUser)
+                  .setNFTTierMultipliers(NFT.target, [2], [200000])
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              await expect(
+                pool
+                  .connect(owner)
+                  .setNFTTierMultipliers(NFT.target, [2], [1000001])
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidTierMultiplier")
+                .withArgs(1000001);
+              await expect(
+                pool
+                  .connect(owner)
+                  .setNFTTierMultipliers(NFT.target, [2], [200000])
+              )
+                .to.emit(pool, "NFTTierMultiplierSet")
+                .withArgs(NFT.target, 2, 200000);
+            });
+            it("should apply trait tier multiplier to floor price", async () => {
+              // NFT 2 is worth twice the floor price
+              expect(await pool.getNFTValue(NFT.target, 2)).to.be.equal(
+                getAmountInWei(20000)
+              );
+              expect(
+                await pool.getUserNFTCollateralValue(user1.address)
+              ).to.be.equal(getAmountInWei(30000));
+            });
+            it("should use collection appraisal oracle if set", async () => {
+              const appraisalOracle = await deployNFTAppraisalMock();
+              await appraisalOracle.setTokenValue(
+                NFT.target,
+                1,
+                getAmountInWei(25000)
+              );
+              await appraisalOracle.setTokenValue(
+                NFT.target,
+                2,
+                getAmountInWei(8000)
+              );
+              await expect(
+                pool
+                  .connect(owner)
+                  .setNFTValuation(NFT.target, appraisalOracle.target)
+              )
+                .to.emit(pool, "NFTValuationSet")
+                .withArgs(NFT.target, appraisalOracle.target);
+
+              expect(await pool.getNFTValue(NFT.target, 1)).to.be.equal(
+                getAmountInWei(25000)
+              );
+              expect(
+                await pool.getUserNFTCollateralValue(user1.address)
+              ).to.be.equal(getAmountInWei(33000));
+            });
+            it("should revert if appraised value is outside of collection price bounds", async () => {
+              await pool.connect(owner).setPriceBounds(NFT.target, {
+                minPrice: getAmountInWei(10000),
+                maxPrice: getAmountInWei(30000),
+                maxPriceChange: 0,
+              });
+              expect(await pool.getNFTValue(NFT.target, 1)).to.be.equal(
+                getAmountInWei(25000)
+              );
+              await expect(pool.getNFTValue(NFT.target, 2))
+                .to.be.revertedWithCustomError(pool, "InvalidNFTValue")
+                .withArgs(NFT.target, 2);
+            });
+            it("should revert if appraised value is stale", async () => {
+              // collection default heartbeat is 2 hours
+              await moveTime(2 * 3600 + 1);
+              await expect(pool.getNFTValue(NFT.target, 1))
+                .to.be.revertedWithCustomError(pool, "InvalidNFTValue")
+                .withArgs(NFT.target, 1);
+            });
+            it("should revert if appraised value is read while sequencer is down", async () => {
+              const sequencerFeed = await deployAggregatorMock(1, 0);
+              await pool
+                .connect(owner)
+                .setSequencerUptimeFeed(sequencerFeed.target, 3600);
+              await expect(
+                pool.getNFTValue(NFT.target, 1)
+              ).to.be.revertedWithCustomError(pool, "SequencerDown");
+            });
+          });
+          describe("amountToShares()/sharesToAmount()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
               );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // user1 supplies WETH
+              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
+              await supply(user1, WETH.target, getAmountInWei(40), pool);
+
+              // user2 supplies token2
+              const amount = scaleAmount(10, 8); // 10 WBTC
+              await mintERC20(user2, WBTC.target, amount);
+              await supply(user2, WBTC.target, amount, pool);
+
+              // user2 borrows WETH
+              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
             });
-            it("should take DAI funds from liquidator to buy NFT and transfer the NFT", async () => {
-              afterLiquidatorDAIBal = await DAI.balanceOf(user3.address);
-              expect(afterLiquidatorDAIBal).to.be.equal(
-                beforeLiquidatorDAIBal - actualNFTBuyPrice
+            it("should return correct shares given token amount", async () => {
+              // virtually mine some blocks
+              await hre.network.provider.send("hardhat_mine", ["0xa"]);
+              await pool.connect(user1).accrueInterest(WETH.target);
+
+              // test for ETH asset vault shares
+              const ethamount = getAmountInWei(5);
+              const vault = await pool.getTokenVault(WETH.target);
+              const expectedAssetShares =
+                (ethamount * vault.totalAsset.shares) / vault.totalAsset.amount;
+              let shares = await pool.amountToShares(
+                WETH.target,
+                ethamount,
+                true // asset
+              );
+              expect(shares).to.be.equal(expectedAssetShares);
+
+              // test for ETH borrow vault shares
+              const expectedBorrowShares =
+                (ethamount * vault.totalBorrow.shares) /
+                vault.totalBorrow.amount;
+              shares = await pool.amountToShares(WETH.target, ethamount, false);
+              expect(shares).to.be.equal(expectedBorrowShares);
+
+              // test for BTC asset vault shares
+              const btcamount = scaleAmount(5, 8); // 5 WBTC
+              const vaultBTC = await pool.getTokenVault(WETH.target);
+              const expectedBTCAssetShares =
+                (btcamount * Number(vaultBTC.totalAsset.shares)) /
+                Number(vaultBTC.totalAsset.amount);
+              shares = await pool.amountToShares(
+                WETH.target,
+                btcamount,
+                true // asset
+              );
+              expect(Number(shares)).to.be.equal(
+                Math.floor(expectedBTCAssetShares)
               );
-              expect(await NFT.ownerOf(tokenId)).to.be.equal(user3.address);
             });
-            it("should remove liquidated NFT from user NFT deposits", async () => {
+            it("should return correct amount given vault shares", async () => {
+              // test for ETH asset vault amount
+              const ethShares = getAmountInWei(10);
+              const vault = await pool.getTokenVault(WETH.target);
+              const expectedAssetAmount =
+                (ethShares * vault.totalAsset.amount) / vault.totalAsset.shares;
+              let amount = await pool.sharesToAmount(
+                WETH.target,
+                ethShares,
+                true // asset
+              );
+              expect(amount).to.be.equal(expectedAssetAmount);
+
+              // test for ETH borrow vault amount
+              const expectedBorrowAmount =
+                (ethShares * vault.totalBorrow.amount) /
+                vault.totalBorrow.shares;
+              amount = await pool.sharesToAmount(WETH.target, ethShares, false);
+              expect(amount).to.be.equal(expectedBorrowAmount);
+
+              // test for BTC asset vault amount
+              const btcShares = scaleAmount(5, 8); // 5 WBTC
+              const vaultBTC = await pool.getTokenVault(WETH.target);
+              const expectedBTCAmount =
+                (btcShares * Number(vaultBTC.totalAsset.amount)) /
+                Number(vaultBTC.totalAsset.shares);
+              amount = await pool.sharesToAmount(
+                WETH.target,
+                btcShares,
+                true // asset
+              );
+              expect(Number(amount)).to.be.equal(Math.floor(expectedBTCAmount));
+            });
+          });
+          describe("getPrice()", () => {
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+            });
+            it("should return correct price", async () => {
+              const price1 = await pool.getTokenPrice(WETH.target);
+              let expected_price1 = (await wethFeed.latestRoundData())[1];
+              expected_price1 = scaleAmount(expected_price1, 10); // scale by 10^10
+              expect(Number(price1)).to.be.equal(expected_price1);
+
+              const price2 = await pool.getTokenPrice(WBTC.target);
+              let expected_price2 = (await wbtcFeed.latestRoundData())[1];
+              expected_price2 = scaleAmount(expected_price2, 10); // scale by 10^10
+              expect(Number(price2)).to.be.equal(expected_price2);
+            });
+            it("should return price scaled by 18 decimals", async () => {
+              const token = await deployERC20Mock("USD coinbase", "USDC", 6);
+              const tokenFeed = await deployAggregatorMock(
+                scaleAmount(1, 8),
+                8
+              ); // 1USDC = 1$
+              await setupTokenVault(
+                token.target,
+                tokenFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+              let price = await pool.getTokenPrice(token.target);
+              const expected_price = getAmountInWei(1); // 1e18
+              expect(price).to.be.equal(expected_price);
+            });
+            it("should return zero price if token is not supported", async () => {
+              const token3 = await deployERC20Mock("USDT", "USDT", 6);
+              const price = await pool.getTokenPrice(token3.target);
+              expect(price).to.be.equal(0);
+            });
+            it("should revert if price is outdated", async () => {
+              const period = 3 * 24 * 3600; // 3h
+              await moveTime(period);
+              await expect(
+                pool.getTokenPrice(WETH.target)
+              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
+            });
+            it("should revert if price is below zero", async () => {
+              await wethFeed.updateAnswer(0);
+              await expect(
+                pool.getTokenPrice(WETH.target)
+              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
+            });
+          });
+          describe("price fallback", () => {
+            let wethFallbackFeed;
+            before(async () => {
+              // Deploy ERC20 and USD price feeds mocks
+              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+                await deployTokenMocks();
+
+              // Deploy Lending Pool contract
+              pool = await deployPool(
+                DAI.target,
+                daiFeed.target,
+                vaultInfoParams
+              );
+
+              // unpause pool
+              await pool
+                .connect(owner)
+                .setPausedStatus(ethers.ZeroAddress, false);
+
+              // add supported ERC20 tokens
+              await setupTokenVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+              await setupTokenVault(
+                WBTC.target,
+                wbtcFeed.target,
+                TokenType.ERC20,
+                vaultInfoParams,
+                true
+              );
+
+              // Deploy WETH fallback price feed mock
+              wethFallbackFeed = await deployAggregatorMock(
+                scaleAmount(2010, 8),
+                8
+              ); // 1ETH = 2010$
+            });
+            it("only owner should be allowed to set fallback oracles", async () => {
+              await expect(
+                pool.connect(user1).proposeFallbackOracle(WETH.target, {
+                  source: FallbackSource.PRICE_FEED,
+                  priceFeed: wethFallbackFeed.target,
+                  maxDeviation: 1000,
+                  heartbeat: 2 * 3600,
+                  priceDecimals: 0,
+                })
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              await expect(
+                pool
+                  .connect(user1)
+                  .setGovernancePrice(WBTC.target, getAmountInWei(29000))
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+            });
+            it("should revert if fallback oracle is invalid", async () => {
+              await expect(
+                pool.connect(owner).proposeFallbackOracle(WETH.target, {
+                  source: FallbackSource.PRICE_FEED,
+                  priceFeed: ethers.ZeroAddress,
+                  maxDeviation: 1000,
+                  heartbeat: 2 * 3600,
+                  priceDecimals: 0,
+                })
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidFallbackOracle")
+                .withArgs(WETH.target);
+              await expect(
+                pool.connect(owner).proposeFallbackOracle(WETH.target, {
+                  source: FallbackSource.PRICE_FEED,
+                  priceFeed: wethFallbackFeed.target,
+                  maxDeviation: 0,
+                  heartbeat: 2 * 3600,
+                  priceDecimals: 0,
+                })
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidFallbackOracle")
+                .withArgs(WETH.target);
+              await expect(
+                pool.connect(owner).proposeFallbackOracle(WETH.target, {
+                  source: FallbackSource.PRICE_FEED,
+                  priceFeed: wethFallbackFeed.target,
+                  maxDeviation: 1000,
+                  heartbeat: 0,
+                  priceDecimals: 0,
+                })
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidFallbackOracle")
+                .withArgs(WETH.target);
+            });
+            it("should change fallback oracle after the timelock", async () => {
+              const fallbackOracle = {
+                source: FallbackSource.PRICE_FEED,
+                priceFeed: wethFallbackFeed.target,
+                maxDeviation: 1000, // 1% max deviation
+                heartbeat: 2 * 3600,
+                priceDecimals: 0,
+              };
+              await expect(
+                pool
+                  .connect(owner)
+                  .proposeFallbackOracle(WETH.target, fallbackOracle)
+              ).to.emit(pool, "FallbackOracleChangeProposed");
+              await expect(
+                pool.connect(owner).executeFallbackOracleChange(WETH.target)
+              )
+                .to.be.revertedWithCustomError(
+                  pool,
+                  "PriceFeedChangeDelayNotOver"
+                )
+                .withArgs(WETH.target);
+
+              // pending change can be cancelled
+              await expect(
+                pool.connect(owner).cancelFallbackOracleChange(WETH.target)
+              )
+                .to.emit(pool, "FallbackOracleChangeCancelled")
+                .withArgs(WETH.target);
+              await expect(
+                pool.connect(owner).executeFallbackOracleChange(WETH.target)
+              )
+                .to.be.revertedWithCustomError(pool, "NoPendingFallbackOracle")
+                .withArgs(WETH.target);
+
+              await pool
+                .connect(owner)
+                .proposeFallbackOracle(WETH.target, fallbackOracle);
               expect(
-                await pool.hasDepositedNFT(user1.address, NFT.target, tokenId)
-              ).to.be.equal(false);
+                (await pool.getPendingFallbackOracle(WETH.target))
+                  .fallbackOracle.priceFeed
+              ).to.be.equal(wethFallbackFeed.target);
+              await moveTime(2 * 24 * 3600); // 2 days
+              await expect(
+                pool.connect(owner).executeFallbackOracleChange(WETH.target)
+              ).to.emit(pool, "FallbackOracleSet");
               expect(
-                await pool.getDepositedNFTCount(user1.address, NFT.target)
+                (await pool.getFallbackOracle(WETH.target)).priceFeed
+              ).to.be.equal(wethFallbackFeed.target);
+              expect(
+                (await pool.getPendingFallbackOracle(WETH.target)).executableAt
               ).to.be.equal(0);
             });
-            it("should revert if borrower increase health factor and become solvent again", async () => {
-              tokenId = 2;
-
-              // update NFT price
-              await nftFloorPriceFeed.updateAnswer(scaleAmount(20000, 8)); // 1 NFT = 20000$
-
-              // mint NFT to user2
-              await mintAndapproveNFT(user2, NFT.target, tokenId, pool.target);
-
-              // deposit NFT 1 to pool
-              await pool.connect(user2).depositNFT(NFT.target, tokenId);
+            it("should use primary price when sources are within max deviation", async () => {
+              // refresh prices
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await wethFallbackFeed.updateAnswer(scaleAmount(2010, 8));
+              expect(await pool.getTokenPrice(WETH.target)).to.be.equal(
+                getAmountInWei(2000)
+              );
+            });
+            it("should not use the price if sources deviate by more than max deviation", async () => {
+              // user3 supplies 1 WETH
+              await mintERC20(user3, WETH.target, getAmountInWei(1));
+              await supply(user3, WETH.target, getAmountInWei(1), pool);
+
+              await wethFallbackFeed.updateAnswer(scaleAmount(2100, 8));
+              await expect(pool.getTokenPrice(WETH.target))
+                .to.be.revertedWithCustomError(pool, "PriceDeviationTooHigh")
+                .withArgs(WETH.target);
+              await expect(
+                pool.getAmountInUSD(WETH.target, getAmountInWei(1))
+              ).to.be.revertedWithCustomError(pool, "PriceDeviationTooHigh");
+              // position using the price can't be changed
+              await expect(
+                pool
+                  .connect(user3)
+                  .withdraw(WETH.target, getAmountInWei(0.1), ethers.MaxUint256)
+              ).to.be.revertedWithCustomError(pool, "PriceDeviationTooHigh");
 
-              // user2 borrow 5 WETH
-              const borrowAmount = getAmountInWei(5); // 5 WETH
-              await pool.connect(user2).borrow(WETH.target, borrowAmount);
+              // price is used again once sources agree
+              await wethFallbackFeed.updateAnswer(scaleAmount(2010, 8));
+              expect(await pool.getTokenPrice(WETH.target)).to.be.equal(
+                getAmountInWei(2000)
+              );
+            });
+            it("should fall back to the governance price when primary feed is stale", async () => {
+              await pool.connect(owner).proposeFallbackOracle(WBTC.target, {
+                source: FallbackSource.GOVERNANCE,
+                priceFeed: ethers.ZeroAddress,
+                maxDeviation: 5000,
+                heartbeat: 2 * 3600,
+                priceDecimals: 0,
+              });
+              await moveTime(2 * 24 * 3600); // 2 days
+              await pool
+                .connect(owner)
+                .executeFallbackOracleChange(WBTC.target);
+              await wbtcFeed.updateAnswer(scaleAmount(30000, 8));
+              await expect(
+                pool
+                  .connect(owner)
+                  .setGovernancePrice(WBTC.target, getAmountInWei(29900))
+              )
+                .to.emit(pool, "GovernancePriceSet")
+                .withArgs(WBTC.target, getAmountInWei(29900));
 
-              // simulate decrease in NFT floor price 20000$ -> 10000$
-              await nftFloorPriceFeed.updateAnswer(scaleAmount(10000, 8)); // 1 NFT = 10000$
+              // primary feed is used while it is valid
+              expect(await pool.getTokenPrice(WBTC.target)).to.be.equal(
+                getAmountInWei(30000)
+              );
+              await moveTime(3 * 3600); // 3h
+              expect(await pool.getTokenPrice(WBTC.target)).to.be.equal(
+                getAmountInWei(29900)
+              );
+            });
+            it("should liquidate with the fallback price when primary feed is stale", async () => {
+              // refresh prices
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await wethFallbackFeed.updateAnswer(scaleAmount(2000, 8));
 
-              // user3 trigger NFT liquidation
+              // user1 supplies DAI, user2 supplies 10 WETH and borrows 14000 DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(50000));
+              await supply(user1, DAI.target, getAmountInWei(50000), pool);
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
               await pool
-                .connect(user3)
-                .triggerNFTLiquidation(user2.address, NFT.target, tokenId);
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(14000));
 
-              // move 1 hour in time
-              await moveTime(60 * 60);
+              // WETH primary feed becomes stale while fallback feed reports a price drop
+              await moveTime(3 * 3600); // 3h
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+              await wethFallbackFeed.updateAnswer(scaleAmount(1500, 8));
+              expect(await pool.getTokenPrice(WETH.target)).to.be.equal(
+                getAmountInWei(1500)
+              );
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+              // fallback usage is reported on every position check
+              await expect(
+                pool
+                  .connect(user3)
+                  .withdraw(WETH.target, getAmountInWei(0.1), ethers.MaxUint256)
+              )
+                .to.emit(pool, "FallbackPriceUsed")
+                .withArgs(WETH.target, getAmountInWei(1500));
 
-              // user2 (borrower) add new DAI collateral to increase HF
               await mintAndapproveERC20(
-                user2,
+                user3,
                 DAI.target,
-                getAmountInWei(5000),
+                getAmountInWei(1000),
                 pool.target
               );
-              await pool
-                .connect(user2)
-                .supply(DAI.target, getAmountInWei(5000), 0);
-
-              // user2 health factor is now above minimum
-              expect(
-                await pool.healthFactor(user2.address)
-              ).to.greaterThanOrEqual(getAmountInWei(1));
-
-              // move 1 hour in time
-              await moveTime(60 * 60);
-              // update oracle prices to avoid out of date price error
-              await nftFloorPriceFeed.updateAnswer(scaleAmount(10000, 8));
-              await wethFeed.updateAnswer(scaleAmount(2000, 8));
-              await daiFeed.updateAnswer(scaleAmount(1, 8));
-
-              // user3 tries to liquidate user2
               await expect(
                 pool
                   .connect(user3)
-                  .executeNFTLiquidation(
+                  .liquidate(
                     user2.address,
-                    NFT.target,
-                    tokenId,
-                    [WETH.target],
-                    [getAmountInWei(4)]
+                    WETH.target,
+                    DAI.target,
+                    getAmountInWei(1000)
                   )
-              ).to.be.revertedWithCustomError(pool, "BorrowerIsSolvant");
+              )
+                .to.emit(pool, "FallbackPriceUsed")
+                .withArgs(WETH.target, getAmountInWei(1500));
+            });
+            it("should revert if both sources are unusable", async () => {
+              // governance price is outdated after 1 day
+              await moveTime(24 * 3600);
+              await expect(
+                pool.getTokenPrice(WBTC.target)
+              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
             });
           });
-          describe("flashAirdrop()", () => {
-            let flashAirdropReceiver;
-            let tokenId = 1;
+          describe("price feed heartbeat and decimals", () => {
+            let LINK, linkFeed;
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
                 await deployTokenMocks();
 
-              // Deploy NFT mock and NFT floor price feeds mock
-              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
-
               // Deploy Lending Pool contract
               pool = await deployPool(
                 DAI.target,
@@ -2072,107 +5663,85 @@ let vaultInfoParams = {
                 vaultInfoParams
               );
 
-              // add NFT to supported collateral
+              // add LINK with a 18 decimals price feed
+              LINK = await deployERC20Mock("chainlink", "LINK", 18);
+              linkFeed = await deployAggregatorMock(getAmountInWei(15), 18); // 1LINK = 15$
               await setupTokenVault(
-                NFT.target,
-                nftFloorPriceFeed.target,
-                TokenType.ERC721,
+                LINK.target,
+                linkFeed.target,
+                TokenType.ERC20,
                 vaultInfoParams,
                 true
               );
-
-              // unpause pool
-              await pool
-                .connect(owner)
-                .setPausedStatus(ethers.ZeroAddress, false);
-
-              // user 1 mints NFT & deposit to pool
-              await mintAndapproveNFT(user1, NFT.target, tokenId, pool.target);
-              await pool.connect(user1).depositNFT(NFT.target, tokenId);
-
-              // Deploy flashAirdrop receiver mock
-              flashAirdropReceiver = await ethers.deployContract(
-                "FlashAirdropReceiverMock",
-                [pool.target, NFT.target]
+            });
+            it("should store price feed decimals and default heartbeat on listing", async () => {
+              const supportedToken = await pool.getSupportedToken(LINK.target);
+              expect(supportedToken.heartbeat).to.be.equal(2 * 3600); // 2 hours
+              expect(supportedToken.priceDecimals).to.be.equal(18);
+              expect(
+                (await pool.getSupportedToken(DAI.target)).priceDecimals
+              ).to.be.equal(8);
+            });
+            it("should scale price using the feed decimals", async () => {
+              expect(await pool.getTokenPrice(LINK.target)).to.be.equal(
+                getAmountInWei(15)
               );
-              await flashAirdropReceiver.waitForDeployment();
             });
-            it("should revert if input tokenIds array is empty", async () => {
+            it("only owner should be allowed to change price feed heartbeat", async () => {
               await expect(
                 pool
                   .connect(user1)
-                  .flashAirdrop(
-                    flashAirdropReceiver.target,
-                    NFT.target,
-                    [],
-                    ethers.toUtf8Bytes("")
-                  )
-              ).to.be.revertedWithCustomError(pool, "EmptyArray");
+                  .proposePriceFeed(LINK.target, linkFeed.target, 86400)
+              ).to.be.revertedWith("Ownable: caller is not the owner");
             });
-            it("should allow user to flash NFT to claim Airdrop", async () => {
-              pool.on("FlashloanSuccess", (initiator, nft, tokenIds, data) => {
-                expect(initiator).to.be.equal(user1.address);
-                expect(nft).to.be.equal(NFT.target);
-                expect(tokenIds[0]).to.be.equal(tokenId);
-              });
-
+            it("should revert if heartbeat is invalid", async () => {
               await expect(
                 pool
-                  .connect(user1)
-                  .flashAirdrop(
-                    flashAirdropReceiver.target,
-                    NFT.target,
-                    [tokenId],
-                    ethers.toUtf8Bytes("")
-                  )
-              ).to.emit(pool, "FlashAirdropSuccess");
-
-              // NFT must be returned to pool
-              expect(await NFT.ownerOf(tokenId)).to.be.equal(pool.target);
-            });
-            it("should revert if user did not deposit NFT", async () => {
-              // user 2 mints NFT 2
-              tokenId = 2;
-              await mintAndapproveNFT(user2, NFT.target, tokenId, pool.target);
-
+                  .connect(owner)
+                  .proposePriceFeed(LINK.target, linkFeed.target, 0)
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidHeartbeat")
+                .withArgs(0);
               await expect(
                 pool
-                  .connect(user2)
-                  .flashAirdrop(
-                    flashAirdropReceiver.target,
-                    NFT.target,
-                    [tokenId],
-                    ethers.toUtf8Bytes("")
-                  )
-              ).to.be.revertedWithCustomError(pool, "InvalidNFT");
+                  .connect(owner)
+                  .proposePriceFeed(LINK.target, linkFeed.target, 3 * 86400)
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidHeartbeat")
+                .withArgs(3 * 86400);
             });
-            it("should revert if flashAirdrop receiver returns false", async () => {
-              // Deploy bad flashAirdrop receiver mock
-              flashAirdropReceiver = await ethers.deployContract(
-                "BadFlashAirdropReceiverMock",
-                [pool.target, NFT.target]
-              );
-              await flashAirdropReceiver.waitForDeployment();
-
-              // user 2 deposit NFT 2
-              tokenId = 2;
-              await pool.connect(user2).depositNFT(NFT.target, tokenId);
-
+            it("should validate price against the feed heartbeat", async () => {
+              // heartbeat is changed through the price feed timelock
+              await pool
+                .connect(owner)
+                .proposePriceFeed(LINK.target, linkFeed.target, 86400);
+              await moveTime(2 * 24 * 3600); // 2 days
               await expect(
-                pool
-                  .connect(user2)
-                  .flashAirdrop(
-                    flashAirdropReceiver.target,
-                    NFT.target,
-                    [tokenId],
-                    ethers.toUtf8Bytes("")
-                  )
-              ).to.be.revertedWithCustomError(pool, "FlashAirdropFailed");
+                pool.connect(owner).executePriceFeedChange(LINK.target)
+              )
+                .to.emit(pool, "PriceFeedChanged")
+                .withArgs(LINK.target, linkFeed.target, 86400);
+              await linkFeed.updateAnswer(getAmountInWei(15));
+
+              const status = await pool.getPriceFeedStatus(LINK.target);
+              expect(status.heartbeat).to.be.equal(86400);
+              expect(status.decimals).to.be.equal(18);
+              expect(status.expiresAt).to.be.equal(status.updatedAt + 86400n);
+
+              // still valid after the default 2 hours timeout
+              await moveTime(3 * 3600);
+              expect(await pool.getTokenPrice(LINK.target)).to.be.equal(
+                getAmountInWei(15)
+              );
+              // stale after the feed heartbeat
+              await moveTime(86400);
+              await expect(
+                pool.getTokenPrice(LINK.target)
+              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
             });
           });
-        });
-        describe("Getters functions", () => {
-          describe("getUserData()", () => {
+          describe("sequencer uptime", () => {
+            let sequencerFeed;
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
@@ -2198,71 +5767,139 @@ let vaultInfoParams = {
                 vaultInfoParams,
                 true
               );
-              await setupTokenVault(
-                WBTC.target,
-                wbtcFeed.target,
-                TokenType.ERC20,
-                vaultInfoParams,
-                true
-              );
-
-              // user1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
-              await supply(user1, WETH.target, getAmountInWei(40), pool);
-
-              // user2 supplies token2
-              const amount = scaleAmount(10, 8); // 10 WBTC
-              await mintERC20(user2, WBTC.target, amount);
-              await supply(user2, WBTC.target, amount, pool);
 
-              // user2 borrows WETH
-              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+              // Deploy sequencer uptime feed mock (0 = up, 1 = down)
+              sequencerFeed = await deployAggregatorMock(0, 0);
 
-              // virtually mine some blocks
-              await hre.network.provider.send("hardhat_mine", ["0xa"]);
-              await pool.connect(user1).accrueInterest(WETH.target);
+              // user1 supplies DAI, user2 supplies 10 WETH and borrows 1000 DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(50000));
+              await supply(user1, DAI.target, getAmountInWei(50000), pool);
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(1000));
             });
-            it("should return correct total collateral and borrow value in USD", async () => {
-              // test user2 data
-              const [
-                totalTokenCollateralValue,
-                totalNFTCollateralValue,
-                totalBorrowValue,
-              ] = await pool.getUserData(user2.address);
-
-              // user2 has only wBTC as collateral
-              const [user2BTCCollShares, user2BTCBorrowShares] =
-                await pool.getUserTokenCollateralAndBorrow(
-                  user2.address,
-                  WBTC.target
-                );
-              const user2CollValue = await pool.getAmountInUSD(
-                WBTC.target,
-                user2BTCCollShares
-              );
-              expect(user2BTCBorrowShares).to.be.equal(0);
+            it("only owner should be allowed to set sequencer uptime feed", async () => {
+              await expect(
+                pool
+                  .connect(user1)
+                  .setSequencerUptimeFeed(sequencerFeed.target, 3600)
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              // grace period above 1 day
+              await expect(
+                pool
+                  .connect(owner)
+                  .setSequencerUptimeFeed(sequencerFeed.target, 86401)
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidGracePeriod")
+                .withArgs(86401);
+            });
+            it("should set sequencer uptime feed", async () => {
+              await moveTime(3601);
+              await expect(
+                pool
+                  .connect(owner)
+                  .setSequencerUptimeFeed(sequencerFeed.target, 3600)
+              )
+                .to.emit(pool, "SequencerUptimeFeedSet")
+                .withArgs(sequencerFeed.target, 3600);
+              const [feed, gracePeriod] = await pool.getSequencerUptimeFeed();
+              expect(feed).to.be.equal(sequencerFeed.target);
+              expect(gracePeriod).to.be.equal(3600);
 
-              // user2 has only borrowed ETH
-              const [user2ETHCollShares, user2ETHBorrowShares] =
-                await pool.getUserTokenCollateralAndBorrow(
-                  user2.address,
-                  WETH.target
-                );
-              const user2BorrowedValue = await pool.getAmountInUSD(
+              // sequencer up for more than grace period
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(100))
+              ).to.emit(pool, "Borrow");
+            });
+            it("should block borrows and liquidations while sequencer is down", async () => {
+              await sequencerFeed.updateAnswer(1);
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(100))
+              ).to.be.revertedWithCustomError(pool, "SequencerDown");
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WETH.target,
+                    DAI.target,
+                    getAmountInWei(100)
+                  )
+              ).to.be.revertedWithCustomError(pool, "SequencerDown");
+              await expect(
+                pool
+                  .connect(user2)
+                  .deleverage(
+                    WETH.target,
+                    getAmountInWei(1),
+                    DAI.target,
+                    getAmountInWei(100),
+                    user3.address,
+                    "0x"
+                  )
+              ).to.be.revertedWithCustomError(pool, "SequencerDown");
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapCollateral(
+                    WETH.target,
+                    DAI.target,
+                    getAmountInWei(1),
+                    user3.address,
+                    "0x",
+                    0
+                  )
+              ).to.be.revertedWithCustomError(pool, "SequencerDown");
+            });
+            it("should allow supply and repay while sequencer is down", async () => {
+              await mintAndapproveERC20(
+                user2,
                 WETH.target,
-                user2ETHBorrowShares
+                getAmountInWei(1),
+                pool.target
               );
-              expect(user2ETHCollShares).to.be.equal(0);
-
-              expect(totalTokenCollateralValue).to.be.equal(user2CollValue);
-              expect(totalNFTCollateralValue).to.be.equal(0);
-              // account for interest accrued
-              expect(totalBorrowValue).to.be.greaterThanOrEqual(
-                user2BorrowedValue
+              await expect(
+                pool.connect(user2).supply(WETH.target, getAmountInWei(1), 0)
+              ).to.emit(pool, "Deposit");
+              await approveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(100),
+                pool.target
               );
+              await expect(
+                pool.connect(user2).repay(DAI.target, getAmountInWei(100))
+              ).to.emit(pool, "Repay");
+            });
+            it("should block borrows during grace period after sequencer is back up", async () => {
+              await sequencerFeed.updateAnswer(0);
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(100))
+              ).to.be.revertedWithCustomError(
+                pool,
+                "SequencerGracePeriodNotOver"
+              );
+
+              await moveTime(3601);
+              await daiFeed.updateAnswer(scaleAmount(1, 8));
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(100))
+              ).to.emit(pool, "Borrow");
+            });
+            it("should treat uninitialized sequencer uptime round as down", async () => {
+              const now = (await ethers.provider.getBlock("latest")).timestamp;
+              await sequencerFeed.updateRoundData(10, 0, now, 0);
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(100))
+              ).to.be.revertedWithCustomError(pool, "SequencerDown");
             });
           });
-          describe("healthFactor()", () => {
+          describe("price circuit breaker", () => {
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
@@ -2288,6 +5925,113 @@ let vaultInfoParams = {
                 vaultInfoParams,
                 true
               );
+
+              // user1 supplies DAI, user2 supplies 10 WETH and borrows 14000 DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(50000));
+              await supply(user1, DAI.target, getAmountInWei(50000), pool);
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(14000));
+            });
+            it("only owner should be allowed to set price bounds", async () => {
+              await expect(
+                pool.connect(user1).setPriceBounds(WETH.target, {
+                  minPrice: getAmountInWei(1000),
+                  maxPrice: getAmountInWei(5000),
+                  maxPriceChange: 0,
+                })
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+            });
+            it("should revert if price bounds are invalid", async () => {
+              await expect(
+                pool.connect(owner).setPriceBounds(WETH.target, {
+                  minPrice: getAmountInWei(5000),
+                  maxPrice: getAmountInWei(1000),
+                  maxPriceChange: 0,
+                })
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidPriceBounds")
+                .withArgs(WETH.target);
+              await expect(
+                pool.connect(owner).setPriceBounds(WETH.target, {
+                  minPrice: 0,
+                  maxPrice: 0,
+                  maxPriceChange: 200000, // 200%
+                })
+              )
+                .to.be.revertedWithCustomError(pool, "InvalidPriceBounds")
+                .withArgs(WETH.target);
+            });
+            it("should set price bounds", async () => {
+              await expect(
+                pool.connect(owner).setPriceBounds(WETH.target, {
+                  minPrice: getAmountInWei(1000),
+                  maxPrice: getAmountInWei(5000),
+                  maxPriceChange: 0,
+                })
+              ).to.emit(pool, "PriceBoundsSet");
+              const bounds = await pool.getPriceBounds(WETH.target);
+              expect(bounds.minPrice).to.be.equal(getAmountInWei(1000));
+              expect(bounds.maxPrice).to.be.equal(getAmountInWei(5000));
+
+              // price within bounds
+              expect(
+                await pool
+                  .connect(user3)
+                  .checkPriceBounds.staticCall(WETH.target)
+              ).to.be.equal(false);
+            });
+            it("should pause vault instead of liquidating when price is below min bound", async () => {
+              // aggregator reports a wrong price, user2 becomes liquidatable
+              await wethFeed.updateAnswer(scaleAmount(500, 8));
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(1000),
+                pool.target
+              );
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WETH.target,
+                    DAI.target,
+                    getAmountInWei(1000)
+                  )
+              )
+                .to.emit(pool, "PriceCircuitBreakerTriggered")
+                .withArgs(WETH.target, getAmountInWei(500))
+                .to.emit(pool, "VaultPaused")
+                .withArgs(WETH.target, true);
+              expect(await pool.pausedStatus(WETH.target)).to.be.equal(true);
+              // nothing was liquidated
+              expect(await DAI.balanceOf(user3.address)).to.be.equal(
+                getAmountInWei(1000)
+              );
+
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WETH.target,
+                    DAI.target,
+                    getAmountInWei(1000)
+                  )
+              ).to.be.revertedWithCustomError(pool, "isPaused");
+            });
+            it("should pause vault instead of liquidating when any borrower token price is out of bounds", async () => {
+              await wethFeed.updateAnswer(scaleAmount(1000, 8));
+              await pool.connect(owner).setPausedStatus(WETH.target, false);
+
+              // user2 also supplies 0.1 WBTC (3000$) bounded between 10000$ and 100000$
               await setupTokenVault(
                 WBTC.target,
                 wbtcFeed.target,
@@ -2295,45 +6039,108 @@ let vaultInfoParams = {
                 vaultInfoParams,
                 true
               );
+              await pool.connect(owner).setPriceBounds(WBTC.target, {
+                minPrice: getAmountInWei(10000),
+                maxPrice: getAmountInWei(100000),
+                maxPriceChange: 0,
+              });
+              await mintERC20(user2, WBTC.target, scaleAmount(1, 7));
+              await supply(user2, WBTC.target, scaleAmount(1, 7), pool);
 
-              // user1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
-              await supply(user1, WETH.target, getAmountInWei(40), pool);
-
-              // user2 supplies token2
-              const amount = scaleAmount(10, 8); // 10 WBTC
-              await mintERC20(user2, WBTC.target, amount);
-              await supply(user2, WBTC.target, amount, pool);
+              // WBTC aggregator reports a wrong price, liquidated collateral and debt prices are valid
+              await wbtcFeed.updateAnswer(scaleAmount(1, 8));
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WETH.target,
+                    DAI.target,
+                    getAmountInWei(1000)
+                  )
+              )
+                .to.emit(pool, "PriceCircuitBreakerTriggered")
+                .withArgs(WBTC.target, getAmountInWei(1))
+                .to.not.emit(pool, "Liquidated");
+              expect(await pool.pausedStatus(WBTC.target)).to.be.equal(true);
+              expect(await pool.pausedStatus(WETH.target)).to.be.equal(false);
+              expect(await DAI.balanceOf(user3.address)).to.be.equal(
+                getAmountInWei(1000)
+              );
+            });
+            it("should revert borrow when price change is above max change", async () => {
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              await pool.connect(owner).setPausedStatus(WETH.target, false);
 
-              // user2 borrows WETH
-              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+              // 5% max change between two DAI feed updates
+              await pool.connect(owner).setPriceBounds(DAI.target, {
+                minPrice: 0,
+                maxPrice: 0,
+                maxPriceChange: 5000,
+              });
+              await daiFeed.updateAnswer(90000000); // 1DAI = 0.9$
 
-              // virtually mine some blocks
-              await hre.network.provider.send("hardhat_mine", ["0xa"]);
-              await pool.connect(user1).accrueInterest(WETH.target);
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(100))
+              ).to.be.revertedWithCustomError(pool, "PriceOutOfBounds");
+
+              // pause is persisted by keepers
+              await expect(pool.connect(user3).checkPriceBounds(DAI.target))
+                .to.emit(pool, "PriceCircuitBreakerTriggered")
+                .withArgs(DAI.target, getAmountInWei(0.9));
+              expect(await pool.pausedStatus(DAI.target)).to.be.equal(true);
             });
-            it("should calculate correct health factor for user", async () => {
-              // test user2 health factor
-              const user2Data = await pool.getUserData(user2.address);
-              const totalCollateralValue = Number(user2Data[0] + user2Data[1]);
-              const totalBorrowValue = Number(user2Data[2]);
-              const expectedHeathFactor =
-                (totalCollateralValue * 80000 * 1e18) /
-                (100000 * totalBorrowValue);
-              let hf = await pool.healthFactor(user2.address);
-              expect(Number(hf)).to.be.equal(expectedHeathFactor);
+            it("should revert borrow when a collateral price is out of bounds", async () => {
+              await pool.connect(owner).setPriceBounds(DAI.target, {
+                minPrice: 0,
+                maxPrice: 0,
+                maxPriceChange: 0,
+              });
+              await pool.connect(owner).setPausedStatus(DAI.target, false);
+              await wbtcFeed.updateAnswer(scaleAmount(30000, 8));
 
-              // user1 has no borrow so HF = 100*1e18
-              hf = await pool.healthFactor(user1.address);
-              expect(hf).to.be.equal(getAmountInWei(100));
+              // WETH bounded between 1000$ and 5000$ reported at 100000$
+              await wethFeed.updateAnswer(scaleAmount(100000, 8));
+              await expect(
+                pool.connect(user2).borrow(DAI.target, getAmountInWei(100))
+              ).to.be.revertedWithCustomError(pool, "PriceOutOfBounds");
+              expect(await pool.pausedStatus(WETH.target)).to.be.equal(false);
+            });
+            it("should revert debt swap when a collateral price is out of bounds", async () => {
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
+              // WBTC bounded between 10000$ and 100000$ reported at 1$
+              await wbtcFeed.updateAnswer(scaleAmount(1, 8));
+              await expect(
+                pool
+                  .connect(user2)
+                  .swapDebt(
+                    DAI.target,
+                    WETH.target,
+                    getAmountInWei(100),
+                    user3.address,
+                    getAmountInWei(1)
+                  )
+              ).to.be.revertedWithCustomError(pool, "PriceOutOfBounds");
+            });
+            it("should allow anyone to trigger the circuit breaker", async () => {
+              await wethFeed.updateAnswer(scaleAmount(6000, 8));
+              await expect(pool.connect(user3).checkPriceBounds(WETH.target))
+                .to.emit(pool, "PriceCircuitBreakerTriggered")
+                .withArgs(WETH.target, getAmountInWei(6000));
+              expect(await pool.pausedStatus(WETH.target)).to.be.equal(true);
             });
           });
-          describe("amountToShares()/sharesToAmount()", () => {
+          describe("token freezing and delisting", () => {
+            let hfBeforeFreeze;
+            let nftTokenId = 1;
             before(async () => {
               // Deploy ERC20 and USD price feeds mocks
               [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
                 await deployTokenMocks();
 
+              // Deploy NFT mock and NFT floor price feeds mock
+              [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+
               // Deploy Lending Pool contract
               pool = await deployPool(
                 DAI.target,
@@ -2346,7 +6153,7 @@ let vaultInfoParams = {
                 .connect(owner)
                 .setPausedStatus(ethers.ZeroAddress, false);
 
-              // add supported ERC20 tokens
+              // add supported ERC20 tokens and NFT collection
               await setupTokenVault(
                 WETH.target,
                 wethFeed.target,
@@ -2355,177 +6162,323 @@ let vaultInfoParams = {
                 true
               );
               await setupTokenVault(
-                WBTC.target,
-                wbtcFeed.target,
-                TokenType.ERC20,
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
                 vaultInfoParams,
                 true
               );
 
-              // user1 supplies WETH
-              await mintERC20(user1, WETH.target, getAmountInWei(40)); // 40 ETH
-              await supply(user1, WETH.target, getAmountInWei(40), pool);
-
-              // user2 supplies token2
-              const amount = scaleAmount(10, 8); // 10 WBTC
-              await mintERC20(user2, WBTC.target, amount);
-              await supply(user2, WBTC.target, amount, pool);
-
-              // user2 borrows WETH
-              await pool.connect(user2).borrow(WETH.target, getAmountInWei(20));
+              // user1 supplies DAI, user2 supplies 10 WETH and borrows 10000 DAI
+              await mintERC20(user1, DAI.target, getAmountInWei(50000));
+              await supply(user1, DAI.target, getAmountInWei(50000), pool);
+              await mintERC20(user2, WETH.target, getAmountInWei(10));
+              await supply(user2, WETH.target, getAmountInWei(10), pool);
+              await pool
+                .connect(user2)
+                .borrow(DAI.target, getAmountInWei(10000));
             });
-            it("should return correct shares given token amount", async () => {
-              // virtually mine some blocks
-              await hre.network.provider.send("hardhat_mine", ["0xa"]);
-              await pool.connect(user1).accrueInterest(WETH.target);
+            it("only owner should be allowed to freeze, delist or change price feed", async () => {
+              await expect(
+                pool.connect(user1).setTokenFrozen(WETH.target, true)
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              await expect(
+                pool.connect(user1).delistToken(WETH.target)
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+              await expect(
+                pool
+                  .connect(user1)
+                  .proposePriceFeed(WETH.target, daiFeed.target, 2 * 3600)
+              ).to.be.revertedWith("Ownable: caller is not the owner");
+            });
+            it("should block new supply and borrow of a frozen token", async () => {
+              hfBeforeFreeze = await pool.healthFactor(user2.address);
+              await expect(
+                pool.connect(owner).setTokenFrozen(WETH.target, true)
+              )
+                .to.emit(pool, "TokenFrozen")
+                .withArgs(WETH.target, true);
+              expect(
+                (await pool.getSupportedToken(WETH.target)).frozen
+              ).to.be.equal(true);
 
-              // test for ETH asset vault shares
-              const ethamount = getAmountInWei(5);
-              const vault = await pool.getTokenVault(WETH.target);
-              const expectedAssetShares =
-                (ethamount * vault.totalAsset.shares) / vault.totalAsset.amount;
-              let shares = await pool.amountToShares(
+              await mintAndapproveERC20(
+                user2,
                 WETH.target,
-                ethamount,
-                true // asset
+                getAmountInWei(1),
+                pool.target
               );
-              expect(shares).to.be.equal(expectedAssetShares);
-
-              // test for ETH borrow vault shares
-              const expectedBorrowShares =
-                (ethamount * vault.totalBorrow.shares) /
-                vault.totalBorrow.amount;
-              shares = await pool.amountToShares(WETH.target, ethamount, false);
-              expect(shares).to.be.equal(expectedBorrowShares);
-
-              // test for BTC asset vault shares
-              const btcamount = scaleAmount(5, 8); // 5 WBTC
-              const vaultBTC = await pool.getTokenVault(WETH.target);
-              const expectedBTCAssetShares =
-                (btcamount * Number(vaultBTC.totalAsset.shares)) /
-                Number(vaultBTC.totalAsset.amount);
-              shares = await pool.amountToShares(
-                WETH.target,
-                btcamount,
-                true // asset
+              await expect(
+                pool.connect(user2).supply(WETH.target, getAmountInWei(1), 0)
+              )
+                .to.be.revertedWithCustomError(pool, "TokenIsFrozen")
+                .withArgs(WETH.target);
+              await expect(
+                pool.connect(user1).borrow(WETH.target, getAmountInWei(1))
+              )
+                .to.be.revertedWithCustomError(pool, "TokenIsFrozen")
+                .withArgs(WETH.target);
+            });
+            it("frozen collateral should still count in health factor", async () => {
+              expect(await pool.healthFactor(user2.address)).to.be.equal(
+                hfBeforeFreeze
               );
-              expect(Number(shares)).to.be.equal(
-                Math.floor(expectedBTCAssetShares)
+              // user can still borrow other tokens against frozen collateral
+              await pool.connect(user2).borrow(DAI.target, getAmountInWei(100));
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                hfBeforeFreeze
+              );
+            });
+            it("should allow liquidating frozen collateral", async () => {
+              // 10 WETH * 1200$ * 80% = 9600$ < 10100$ of debt
+              await wethFeed.updateAnswer(scaleAmount(1200, 8));
+              expect(await pool.healthFactor(user2.address)).to.be.lessThan(
+                getAmountInWei(1)
+              );
+
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(1000),
+                pool.target
               );
+              await expect(
+                pool
+                  .connect(user3)
+                  .liquidate(
+                    user2.address,
+                    WETH.target,
+                    DAI.target,
+                    getAmountInWei(1000)
+                  )
+              ).to.not.be.reverted;
+              await wethFeed.updateAnswer(scaleAmount(2000, 8));
             });
-            it("should return correct amount given vault shares", async () => {
-              // test for ETH asset vault amount
-              const ethShares = getAmountInWei(10);
-              const vault = await pool.getTokenVault(WETH.target);
-              const expectedAssetAmount =
-                (ethShares * vault.totalAsset.amount) / vault.totalAsset.shares;
-              let amount = await pool.sharesToAmount(
-                WETH.target,
-                ethShares,
-                true // asset
+            it("should not delist a token with remaining positions", async () => {
+              await expect(pool.connect(owner).delistToken(WETH.target))
+                .to.be.revertedWithCustomError(pool, "InvalidDelisting")
+                .withArgs(WETH.target);
+              // DAI can't be delisted
+              await pool.connect(owner).setTokenFrozen(DAI.target, true);
+              await expect(pool.connect(owner).delistToken(DAI.target))
+                .to.be.revertedWithCustomError(pool, "InvalidDelisting")
+                .withArgs(DAI.target);
+              await pool.connect(owner).setTokenFrozen(DAI.target, false);
+            });
+            it("should allow repay and withdraw of a frozen token", async () => {
+              await mintAndapproveERC20(
+                user2,
+                DAI.target,
+                getAmountInWei(20000),
+                pool.target
               );
-              expect(amount).to.be.equal(expectedAssetAmount);
-
-              // test for ETH borrow vault amount
-              const expectedBorrowAmount =
-                (ethShares * vault.totalBorrow.amount) /
-                vault.totalBorrow.shares;
-              amount = await pool.sharesToAmount(WETH.target, ethShares, false);
-              expect(amount).to.be.equal(expectedBorrowAmount);
+              await expect(
+                pool.connect(user2).repay(DAI.target, ethers.MaxUint256)
+              ).to.emit(pool, "Repay");
 
-              // test for BTC asset vault amount
-              const btcShares = scaleAmount(5, 8); // 5 WBTC
-              const vaultBTC = await pool.getTokenVault(WETH.target);
-              const expectedBTCAmount =
-                (btcShares * Number(vaultBTC.totalAsset.amount)) /
-                Number(vaultBTC.totalAsset.shares);
-              amount = await pool.sharesToAmount(
-                WETH.target,
-                btcShares,
-                true // asset
-              );
-              expect(Number(amount)).to.be.equal(Math.floor(expectedBTCAmount));
+              const [collateralShares] =
+                await pool.getUserTokenCollateralAndBorrow(
+                  user2.address,
+                  WETH.target
+                );
+              await expect(
+                pool.connect(user2).redeem(WETH.target, collateralShares, 0)
+              ).to.emit(pool, "Withdraw");
             });
-          });
-          describe("getPrice()", () => {
-            before(async () => {
-              // Deploy ERC20 and USD price feeds mocks
-              [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
-                await deployTokenMocks();
+            it("should not delist a token that is not frozen", async () => {
+              await pool.connect(owner).setTokenFrozen(WETH.target, false);
+              await expect(pool.connect(owner).delistToken(WETH.target))
+                .to.be.revertedWithCustomError(pool, "InvalidDelisting")
+                .withArgs(WETH.target);
+              await pool.connect(owner).setTokenFrozen(WETH.target, true);
+            });
+            it("should delist frozen token once no positions remain", async () => {
+              await expect(pool.connect(owner).delistToken(WETH.target))
+                .to.emit(pool, "RemoveSupportedToken")
+                .withArgs(WETH.target);
+              expect(
+                (await pool.getSupportedToken(WETH.target)).supported
+              ).to.be.equal(false);
+              const [tokens] = await pool.getBorrowCapacity(user1.address);
+              expect(tokens).to.be.deep.equal([DAI.target]);
 
-              // Deploy Lending Pool contract
-              pool = await deployPool(
-                DAI.target,
-                daiFeed.target,
-                vaultInfoParams
+              await expect(
+                pool.connect(user2).supply(WETH.target, getAmountInWei(1), 0)
+              ).to.be.revertedWithCustomError(pool, "TokenNotSupported");
+            });
+            it("should delist frozen NFT collection once all NFTs are withdrawn", async () => {
+              await mintAndapproveNFT(
+                user1,
+                NFT.target,
+                nftTokenId,
+                pool.target
               );
+              await pool.connect(user1).depositNFT(NFT.target, nftTokenId);
 
-              // unpause pool
+              await pool.connect(owner).setTokenFrozen(NFT.target, true);
+              await mintAndapproveNFT(
+                user1,
+                NFT.target,
+                nftTokenId + 1,
+                pool.target
+              );
+              await expect(
+                pool.connect(user1).depositNFT(NFT.target, nftTokenId + 1)
+              )
+                .to.be.revertedWithCustomError(pool, "TokenIsFrozen")
+                .withArgs(NFT.target);
+              await expect(pool.connect(owner).delistToken(NFT.target))
+                .to.be.revertedWithCustomError(pool, "InvalidDelisting")
+                .withArgs(NFT.target);
+
+              // collection settings set before delisting
+              const appraisalOracle = await deployNFTAppraisalMock();
               await pool
                 .connect(owner)
-                .setPausedStatus(ethers.ZeroAddress, false);
+                .setNFTValuation(NFT.target, appraisalOracle.target);
+              await pool
+                .connect(owner)
+                .setNFTTierMultipliers(NFT.target, [nftTokenId], [200000]);
+              await pool
+                .connect(user1)
+                .setNFTRentalFee(NFT.target, getAmountInWei(10));
 
-              // add supported ERC20 tokens
+              await pool
+                .connect(user1)
+                .withdrawNFT(user1.address, NFT.target, nftTokenId);
+              await expect(pool.connect(owner).delistToken(NFT.target))
+                .to.emit(pool, "RemoveSupportedToken")
+                .withArgs(NFT.target);
+            });
+            it("should reset NFT collection settings on relisting", async () => {
               await setupTokenVault(
-                WETH.target,
-                wethFeed.target,
-                TokenType.ERC20,
+                NFT.target,
+                nftFloorPriceFeed.target,
+                TokenType.ERC721,
                 vaultInfoParams,
                 true
               );
+              // floor price is used without previous listing appraisal oracle and tier multiplier
+              expect(
+                await pool.getNFTValue(NFT.target, nftTokenId)
+              ).to.be.equal(getAmountInWei(10000));
+              expect(
+                await pool.getNFTRentalFee(user1.address, NFT.target)
+              ).to.be.equal(0);
+            });
+            it("should not delist an isolated token with debt borrowed against it", async () => {
+              // DAI can be borrowed in isolation mode, WBTC is listed as isolated collateral
+              await pool.connect(owner).setPausedStatus(DAI.target, true);
+              await setupTokenVault(
+                DAI.target,
+                daiFeed.target,
+                TokenType.ERC20,
+                { ...vaultInfoParams, borrowableInIsolation: true },
+                false
+              );
+              await pool.connect(owner).setPausedStatus(DAI.target, false);
               await setupTokenVault(
                 WBTC.target,
                 wbtcFeed.target,
                 TokenType.ERC20,
-                vaultInfoParams,
+                {
+                  ...vaultInfoParams,
+                  isolated: true,
+                  debtCeiling: getAmountInWei(10000),
+                },
                 true
               );
-            });
-            it("should return correct price", async () => {
-              const price1 = await pool.getTokenPrice(WETH.target);
-              let expected_price1 = (await wethFeed.latestRoundData())[1];
-              expected_price1 = scaleAmount(expected_price1, 10); // scale by 10^10
-              expect(Number(price1)).to.be.equal(expected_price1);
 
-              const price2 = await pool.getTokenPrice(WBTC.target);
-              let expected_price2 = (await wbtcFeed.latestRoundData())[1];
-              expected_price2 = scaleAmount(expected_price2, 10); // scale by 10^10
-              expect(Number(price2)).to.be.equal(expected_price2);
-            });
-            it("should return price scaled by 18 decimals", async () => {
-              const token = await deployERC20Mock("USD coinbase", "USDC", 6);
-              const tokenFeed = await deployAggregatorMock(
-                scaleAmount(1, 8),
-                8
-              ); // 1USDC = 1$
-              await setupTokenVault(
-                token.target,
-                tokenFeed.target,
-                TokenType.ERC20,
-                vaultInfoParams,
-                true
+              // user3 borrows 1000 DAI against 0.1 WBTC then withdraws it against DAI collateral
+              await mintERC20(user3, WBTC.target, scaleAmount(1, 7));
+              await supply(user3, WBTC.target, scaleAmount(1, 7), pool);
+              await pool
+                .connect(user3)
+                .borrow(DAI.target, getAmountInWei(1000));
+              await mintERC20(user3, DAI.target, getAmountInWei(5000));
+              await supply(user3, DAI.target, getAmountInWei(5000), pool);
+              await pool
+                .connect(user3)
+                .withdraw(WBTC.target, scaleAmount(1, 7), ethers.MaxUint256);
+
+              await pool.connect(owner).setTokenFrozen(WBTC.target, true);
+              await expect(pool.connect(owner).delistToken(WBTC.target))
+                .to.be.revertedWithCustomError(pool, "InvalidDelisting")
+                .withArgs(WBTC.target);
+
+              // can be delisted once the isolated debt is repaid
+              await mintAndapproveERC20(
+                user3,
+                DAI.target,
+                getAmountInWei(1001),
+                pool.target
               );
-              let price = await pool.getTokenPrice(token.target);
-              const expected_price = getAmountInWei(1); // 1e18
-              expect(price).to.be.equal(expected_price);
-            });
-            it("should return zero price if token is not supported", async () => {
-              const token3 = await deployERC20Mock("USDT", "USDT", 6);
-              const price = await pool.getTokenPrice(token3.target);
-              expect(price).to.be.equal(0);
+              await pool.connect(user3).repay(DAI.target, ethers.MaxUint256);
+              await expect(pool.connect(owner).delistToken(WBTC.target))
+                .to.emit(pool, "RemoveSupportedToken")
+                .withArgs(WBTC.target);
             });
-            it("should revert if price is outdated", async () => {
-              const period = 3 * 24 * 3600; // 3h
-              await moveTime(period);
+            it("should change token price feed after the timelock", async () => {
+              const newDaiFeed = await deployAggregatorMock(
+                getAmountInWei(1),
+                18
+              );
               await expect(
-                pool.getTokenPrice(WETH.target)
-              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
+                pool
+                  .connect(owner)
+                  .proposePriceFeed(DAI.target, ethers.ZeroAddress, 2 * 3600)
+              ).to.be.revertedWithCustomError(pool, "InvalidPriceFeed");
+              await expect(
+                pool
+                  .connect(owner)
+                  .proposePriceFeed(DAI.target, newDaiFeed.target, 2 * 3600)
+              )
+                .to.emit(pool, "PriceFeedChangeProposed")
+                .withArgs(DAI.target, newDaiFeed.target, 2 * 3600, anyValue);
+              expect(
+                (await pool.getPendingPriceFeed(DAI.target)).priceFeed
+              ).to.be.equal(newDaiFeed.target);
+
+              await expect(
+                pool.connect(owner).executePriceFeedChange(DAI.target)
+              )
+                .to.be.revertedWithCustomError(
+                  pool,
+                  "PriceFeedChangeDelayNotOver"
+                )
+                .withArgs(DAI.target);
+
+              await moveTime(2 * 86400); // 2 days
+              await expect(
+                pool.connect(owner).executePriceFeedChange(DAI.target)
+              )
+                .to.emit(pool, "PriceFeedChanged")
+                .withArgs(DAI.target, newDaiFeed.target, 2 * 3600);
+              const supportedToken = await pool.getSupportedToken(DAI.target);
+              expect(supportedToken.usdPriceFeed).to.be.equal(
+                newDaiFeed.target
+              );
+              expect(supportedToken.priceDecimals).to.be.equal(18);
+
+              await newDaiFeed.updateAnswer(getAmountInWei(1));
+              expect(await pool.getTokenPrice(DAI.target)).to.be.equal(
+                getAmountInWei(1)
+              );
             });
-            it("should revert if price is below zero", async () => {
-              await wethFeed.updateAnswer(0);
+            it("should cancel pending price feed change", async () => {
+              await pool
+                .connect(owner)
+                .proposePriceFeed(DAI.target, daiFeed.target, 2 * 3600);
               await expect(
-                pool.getTokenPrice(WETH.target)
-              ).to.be.revertedWithCustomError(pool, "InvalidPrice");
+                pool.connect(owner).cancelPriceFeedChange(DAI.target)
+              )
+                .to.emit(pool, "PriceFeedChangeCancelled")
+                .withArgs(DAI.target);
+              await expect(
+                pool.connect(owner).executePriceFeedChange(DAI.target)
+              )
+                .to.be.revertedWithCustomError(pool, "NoPendingPriceFeed")
+                .withArgs(DAI.target);
             });
           });
           describe("getAmountInUSD()", () => {
@@ -2633,6 +6586,113 @@ let vaultInfoParams = {
               true
             );
         });
+        it("should revert if vault collateral factors are invalid", async () => {
+          const WETH = await deployERC20Mock("ether", "ETH", 18);
+          const wethFeed = await deployAggregatorMock(scaleAmount(2000, 8), 8); // 1ETH = 2000$
+
+          // liquidation threshold above 100%
+          await expect(
+            pool
+              .connect(owner)
+              .setupVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                withCollateralFactors(vaultInfoParams, 75000, 100001),
+                true
+              )
+          ).to.be.revertedWithCustomError(pool, "InvalidLiquidationThreshold");
+          // LTV above liquidation threshold
+          await expect(
+            pool
+              .connect(owner)
+              .setupVault(
+                WETH.target,
+                wethFeed.target,
+                TokenType.ERC20,
+                withCollateralFactors(vaultInfoParams, 85000, 80000),
+                true
+              )
+          ).to.be.revertedWithCustomError(pool, "InvalidLoanToValue");
+        });
+        it("should set collateral factors of NFT collections", async () => {
+          const [NFT, nftFloorPriceFeed] = await deployNFTMocks();
+          await pool
+            .connect(owner)
+            .setupVault(
+              NFT.target,
+              nftFloorPriceFeed.target,
+              TokenType.ERC721,
+              withCollateralFactors(vaultInfoParams, 30000, 50000),
+              true
+            );
+          const nftConfig = await pool.getSupportedToken(NFT.target);
+          expect(nftConfig.loanToValue).to.be.equal(30000);
+          expect(nftConfig.liquidationThreshold).to.be.equal(50000);
+        });
+        it("should give default liquidation params to new supported tokens", async () => {
+          const params = await pool.getLiquidationParams(DAI.target);
+          expect(params.liquidationBonus).to.be.equal(5000); // 5%
+          expect(params.closeFactor).to.be.equal(50000); // 50%
+          expect(params.closeFactorHFThreshold).to.be.equal(
+            getAmountInWei(0.9)
+          );
+          expect(params.warningDelay).to.be.equal(2 * 3600); // 2 hours
+          expect(params.liquidatorDelay).to.be.equal(5 * 60); // 5 minutes
+        });
+        it("only owner should be able to set valid liquidation params", async () => {
+          const liquidationParams = {
+            liquidationBonus: 10000, // 10%
+            protocolLiquidationFee: 20000, // 20% of liquidation bonus
+            closeFactor: 100000, // 100%
+            closeFactorHFThreshold: getAmountInWei(0.95),
+            warningDelay: 3600, // 1 hour
+            liquidatorDelay: 600, // 10 minutes
+            auctionDuration: 0,
+          };
+          await expect(
+            pool
+              .connect(randomUser)
+              .setLiquidationParams(DAI.target, liquidationParams)
+          ).to.be.revertedWith("Ownable: caller is not the owner");
+          // cannot change liquidation params when vault isn't paused
+          await expect(
+            pool
+              .connect(owner)
+              .setLiquidationParams(DAI.target, liquidationParams)
+          ).to.be.revertedWithCustomError(pool, "isNotPaused");
+          await pool.connect(owner).setPausedStatus(DAI.target, true);
+          // 80% liquidation threshold with 30% bonus exceeds 100%
+          await expect(
+            pool.connect(owner).setLiquidationParams(DAI.target, {
+              ...liquidationParams,
+              liquidationBonus: 30000,
+            })
+          )
+            .to.be.revertedWithCustomError(pool, "InvalidLiquidationParams")
+            .withArgs(DAI.target);
+          await expect(
+            pool.connect(owner).setLiquidationParams(DAI.target, {
+              ...liquidationParams,
+              closeFactor: 0,
+            })
+          )
+            .to.be.revertedWithCustomError(pool, "InvalidLiquidationParams")
+            .withArgs(DAI.target);
+
+          await expect(
+            pool
+              .connect(owner)
+              .setLiquidationParams(DAI.target, liquidationParams)
+          ).to.emit(pool, "LiquidationParamsSet");
+          const params = await pool.getLiquidationParams(DAI.target);
+          expect(params.liquidationBonus).to.be.equal(10000);
+          expect(params.closeFactor).to.be.equal(100000);
+          expect(params.closeFactorHFThreshold).to.be.equal(
+            getAmountInWei(0.95)
+          );
+          await pool.connect(owner).setPausedStatus(DAI.target, false);
+        });
         it("should not be able to setup vault when it isn't paused", async () => {
           // Deploy ERC20 mocks contract for testing
           const WETH = await deployERC20Mock("ether", "ETH", 18);
@@ -2683,6 +6743,108 @@ let vaultInfoParams = {
             );
         });
       });
+      describe("Protocol Fees", () => {
+        let protocolShares;
+        before(async () => {
+          // Deploy ERC20 and USD price feeds mocks
+          [DAI, WETH, WBTC, daiFeed, wethFeed, wbtcFeed] =
+            await deployTokenMocks();
+
+          // Deploy Lending Pool contract
+          pool = await deployPool(DAI.target, daiFeed.target, vaultInfoParams);
+
+          // unpause pool
+          await pool.connect(owner).setPausedStatus(ethers.ZeroAddress, false);
+
+          // add supported ERC20 tokens
+          await setupTokenVault(
+            WETH.target,
+            wethFeed.target,
+            TokenType.ERC20,
+            vaultInfoParams,
+            true
+          );
+
+          // user1 supplies DAI, user2 supplies WETH and borrows DAI
+          await mintERC20(user1, DAI.target, getAmountInWei(10000));
+          await supply(user1, DAI.target, getAmountInWei(10000), pool);
+          await mintERC20(user2, WETH.target, getAmountInWei(5));
+          await supply(user2, WETH.target, getAmountInWei(5), pool);
+          await pool.connect(user2).borrow(DAI.target, getAmountInWei(5000));
+
+          // accrue interest and protocol fees
+          await hre.network.provider.send("hardhat_mine", ["0x4e20"]);
+          await pool.accrueInterest(DAI.target);
+          protocolShares = (
+            await pool.getUserTokenCollateralAndBorrow(pool.target, DAI.target)
+          )[0];
+        });
+        it("should accrue protocol fee shares to the pool", async () => {
+          expect(protocolShares).to.be.greaterThan(0);
+        });
+        it("only owner should be able to claim protocol fees", async () => {
+          await expect(
+            pool
+              .connect(randomUser)
+              .claimProtocolFees(DAI.target, randomUser.address, 1)
+          ).to.be.revertedWith("Ownable: caller is not the owner");
+          await expect(
+            pool.connect(randomUser).claimAllProtocolFees()
+          ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+        it("should revert if claimed shares exceed protocol shares", async () => {
+          await expect(
+            pool
+              .connect(owner)
+              .claimProtocolFees(
+                DAI.target,
+                randomUser.address,
+                protocolShares * 2n
+              )
+          ).to.be.revertedWithCustomError(pool, "InsufficientBalance");
+        });
+        it("should transfer claimed protocol fees to recipient", async () => {
+          const claimedShares = protocolShares / 2n;
+          await expect(
+            pool
+              .connect(owner)
+              .claimProtocolFees(DAI.target, randomUser.address, claimedShares)
+          ).to.emit(pool, "ProtocolFeesClaimed");
+          expect(await DAI.balanceOf(randomUser.address)).to.be.greaterThan(0);
+          expect(
+            (
+              await pool.getUserTokenCollateralAndBorrow(
+                pool.target,
+                DAI.target
+              )
+            )[0]
+          ).to.be.greaterThanOrEqual(protocolShares - claimedShares);
+        });
+        it("only owner should be able to set a valid treasury", async () => {
+          await expect(
+            pool.connect(randomUser).setTreasury(user3.address)
+          ).to.be.revertedWith("Ownable: caller is not the owner");
+          await expect(
+            pool.connect(owner).setTreasury(ethers.ZeroAddress)
+          ).to.be.revertedWithCustomError(pool, "InvalidTreasury");
+          await expect(pool.connect(owner).setTreasury(user3.address))
+            .to.emit(pool, "TreasuryUpdated")
+            .withArgs(user3.address);
+          expect(await pool.getTreasury()).to.be.equal(user3.address);
+        });
+        it("should claim all protocol fees to the treasury", async () => {
+          await pool.connect(owner).claimAllProtocolFees();
+          expect(await DAI.balanceOf(user3.address)).to.be.greaterThan(0);
+          expect(
+            (
+              await pool.getUserTokenCollateralAndBorrow(
+                pool.target,
+                DAI.target
+              )
+            )[0]
+          ).to.be.equal(0);
+        });
+      });
     });
 
 async function setupTokenVault(
@@ -2698,10 +6860,12 @@ async function setupTokenVault(
 }
 
 async function deployPool(daiAddress, daiPriceFeed, daiVaultParams) {
+  const modules = await deployLogicModules();
   const pool = await ethers.deployContract("LendingPool", [
     daiAddress,
     daiPriceFeed,
     daiVaultParams,
+    modules,
   ]);
   await pool.waitForDeployment();
   return pool;
@@ -21,6 +21,11 @@ function round(num) {
   return Math.round(num * 10) / 10;
 }
 
+// returns a copy of the vault params with the given collateral factors (1e5 precision)
+function withCollateralFactors(vaultParams, loanToValue, liquidationThreshold) {
+  return { ...vaultParams, loanToValue, liquidationThreshold };
+}
+
 async function moveTime(waitingPeriod) {
   await ethers.provider.send("evm_increaseTime", [waitingPeriod]);
   await ethers.provider.send("evm_mine");
@@ -52,6 +57,49 @@ async function mintAndapproveNFT(account, nftAddress, tokenId, spender) {
   await tx.wait(1);
 }
 
+async function mintAndapproveNFTs(account, nftAddress, tokenIds, spender) {
+  const erc721 = await ethers.getContractAt("ERC721Mock", nftAddress);
+  for (const tokenId of tokenIds) {
+    const mint_tx = await erc721
+      .connect(account)
+      .mint(account.address, tokenId);
+    await mint_tx.wait(1);
+  }
+  const tx = await erc721.connect(account).setApprovalForAll(spender, true);
+  await tx.wait(1);
+}
+
+async function deployERC1155Mock() {
+  const mockContract = await ethers.deployContract("ERC1155Mock", [""]);
+  await mockContract.waitForDeployment();
+  return mockContract;
+}
+
+async function mintAndapproveERC1155(account, nftAddress, id, amount, spender) {
+  const erc1155 = await ethers.getContractAt("ERC1155Mock", nftAddress);
+  const mint_tx = await erc1155
+    .connect(account)
+    .mint(account.address, id, amount);
+  await mint_tx.wait(1);
+  const tx = await erc1155.connect(account).setApprovalForAll(spender, true);
+  await tx.wait(1);
+}
+
+async function deployNFTAppraisalMock() {
+  const mockContract = await ethers.deployContract("NFTAppraisalOracleMock");
+  await mockContract.waitForDeployment();
+  return mockContract;
+}
+
+async function deploySwapAdapterMock(poolAddress, rate) {
+  const mockContract = await ethers.deployContract("SwapAdapterMock", [
+    poolAddress,
+    rate,
+  ]);
+  await mockContract.waitForDeployment();
+  return mockContract;
+}
+
 async function deployERC20Mock(name, symbol, decimals) {
   const mockContract = await ethers.deployContract("ERC20DecimalsMock", [
     name,
@@ -74,6 +122,23 @@ async function approveERC20(account, erc20Address, approvedAmount, spender) {
   await tx.wait(1);
 }
 
+// deploys the lending pool logic modules (see PoolStructs.LogicModules)
+async function deployLogicModules() {
+  const modules = {
+    position: "PositionModule",
+    liquidation: "LiquidationModule",
+    nftLiquidation: "NFTLiquidationModule",
+    flashLoan: "FlashLoanModule",
+    admin: "AdminModule",
+  };
+  for (const [key, name] of Object.entries(modules)) {
+    const module = await ethers.deployContract(name);
+    await module.waitForDeployment();
+    modules[key] = module.target;
+  }
+  return modules;
+}
+
 async function mintAndapproveERC20(account, erc20Address, amount, spender) {
   const erc20 = await ethers.getContractAt("ERC20DecimalsMock", erc20Address);
   const mint_tx = await erc20.connect(account).mint(account.address, amount);
@@ -90,11 +155,18 @@ module.exports = {
   getAmountInWei,
   deployAggregatorMock,
   deployERC721Mock,
+  deployNFTAppraisalMock,
+  deploySwapAdapterMock,
   mintAndapproveNFT,
+  mintAndapproveNFTs,
+  deployERC1155Mock,
+  mintAndapproveERC1155,
   deployERC20Mock,
+  deployLogicModules,
   mintERC20,
   approveERC20,
   mintAndapproveERC20,
   moveTime,
   round,
+  withCollateralFactors,
 };